@@ -0,0 +1,51 @@
+// lib/alerts.js - saved-search matching and notification timing
+//
+// Rules and preferences are plain rows (SavedSearches / NotificationPrefs), so nothing
+// here touches the database.
+
+// digest mode -> minimum time between two digests ("off" delivers each match right away)
+const DIGEST_INTERVALS = { off: 0, hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 };
+
+// every criterion set on the rule must hold; all keywords must appear in the title or description
+function matchesRule(rule, post) {
+  if (rule.commodityId && rule.commodityId !== post.commodityId) return false;
+  if (rule.keywords) {
+    const text = `${post.itemName || ''} ${post.description || ''}`.toLowerCase();
+    const words = rule.keywords.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.every(w => text.includes(w))) return false;
+  }
+  if (rule.location && !String(post.location || '').toLowerCase().includes(rule.location.toLowerCase())) return false;
+  if (rule.maxPrice !== null && rule.maxPrice !== undefined) {
+    if (post.price === null || post.price === undefined || post.currency !== rule.currency || post.price > rule.maxPrice) return false;
+  }
+  return true;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// "HH:MM" on the user's wall clock
+function localTime(date, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+}
+
+// quiet hours may wrap midnight (22:00 - 06:00)
+function inQuietHours(prefs, date = new Date()) {
+  const { quietStart, quietEnd } = prefs || {};
+  if (!quietStart || !quietEnd || quietStart === quietEnd) return false;
+  const now = localTime(date, prefs.timezone);
+  return quietStart < quietEnd ? now >= quietStart && now < quietEnd : now >= quietStart || now < quietEnd;
+}
+
+function digestDue(prefs, date = new Date()) {
+  const interval = DIGEST_INTERVALS[prefs.digest] || 0;
+  return !interval || !prefs.lastDigestAt || date - new Date(prefs.lastDigestAt) >= interval;
+}
+
+module.exports = { DIGEST_INTERVALS, matchesRule, isValidTimeZone, inQuietHours, digestDue };
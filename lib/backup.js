@@ -0,0 +1,168 @@
+// lib/backup.js - snapshots of the SQLite database and public/uploads, and restoring them
+//
+// A backup is a directory <backupDir>/<YYYYMMDD-HHMMSS>[-label]/ holding database.sqlite,
+// uploads/ and manifest.json. The database is copied with VACUUM INTO, which reads one
+// consistent snapshot (WAL included) while the server keeps writing. Uploads are copied
+// afterwards: photo files are never rewritten, so anything the snapshot references is
+// already on disk (a few newer files may come along too).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { openDatabase } = require('./database');
+const { schemaVersion, latestVersion } = require('./migrate');
+
+const MANIFEST = 'manifest.json';
+const DB_FILE = 'database.sqlite';
+const UPLOADS = 'uploads';
+
+function stamp(date) {
+  return date.toISOString().replace(/\..*$/, '').replace(/[-:]/g, '').replace('T', '-');
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file).on('error', reject).on('data', d => hash.update(d)).on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// { files, bytes } of everything under dir
+function dirStats(dir) {
+  let files = 0, bytes = 0;
+  if (!fs.existsSync(dir)) return { files, bytes };
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const sub = dirStats(full);
+      files += sub.files; bytes += sub.bytes;
+    } else if (entry.isFile()) {
+      files++; bytes += fs.statSync(full).size;
+    }
+  }
+  return { files, bytes };
+}
+
+// newest first: [{ name, dir, manifest }]; directories without a readable manifest are skipped
+function listBackups(backupDir) {
+  if (!fs.existsSync(backupDir)) return [];
+  return fs.readdirSync(backupDir, { withFileTypes: true })
+    .filter(e => e.isDirectory())
+    .map(e => {
+      const dir = path.join(backupDir, e.name);
+      try {
+        return { name: e.name, dir, manifest: JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), 'utf8')) };
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.manifest.createdAt.localeCompare(a.manifest.createdAt) || b.name.localeCompare(a.name));
+}
+
+// keeps the newest `keep` backups and deletes the rest; returns the deleted names
+function rotateBackups(backupDir, keep) {
+  const removed = [];
+  for (const old of listBackups(backupDir).slice(Math.max(keep, 1))) {
+    fs.rmSync(old.dir, { recursive: true, force: true });
+    removed.push(old.name);
+  }
+  return removed;
+}
+
+// snapshots the open database plus uploads into a new backup directory; returns { name, dir, manifest, removed }
+async function createBackup({ sequelize, uploadsDir, backupDir, keep, label }) {
+  const now = new Date();
+  let name = stamp(now) + (label ? `-${label}` : '');
+  if (fs.existsSync(path.join(backupDir, name))) name += `-${crypto.randomBytes(2).toString('hex')}`;
+  const dir = path.join(backupDir, name);
+  const partial = `${dir}.partial`;
+  fs.mkdirSync(partial, { recursive: true });
+  try {
+    const dbFile = path.join(partial, DB_FILE);
+    await sequelize.query('VACUUM INTO ?;', { replacements: [dbFile] });
+    if (fs.existsSync(uploadsDir)) fs.cpSync(uploadsDir, path.join(partial, UPLOADS), { recursive: true });
+    else fs.mkdirSync(path.join(partial, UPLOADS));
+    const manifest = {
+      createdAt: now.toISOString(),
+      schemaVersion: await schemaVersion(sequelize),
+      database: { file: DB_FILE, bytes: fs.statSync(dbFile).size, sha256: await sha256File(dbFile) },
+      uploads: { dir: UPLOADS, ...dirStats(path.join(partial, UPLOADS)) }
+    };
+    fs.writeFileSync(path.join(partial, MANIFEST), JSON.stringify(manifest, null, 2));
+    // only complete backups get their final name, so listBackups never sees a half-written one
+    fs.renameSync(partial, dir);
+    const removed = keep ? rotateBackups(backupDir, keep) : [];
+    return { name, dir, manifest, removed };
+  } catch (err) {
+    fs.rmSync(partial, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+// checks a backup before restoring it: files present, checksum, SQLite integrity and schema
+// version. Returns { manifest, version, latest }; throws with the reason otherwise.
+async function verifyBackup(dir) {
+  const manifestFile = path.join(dir, MANIFEST);
+  if (!fs.existsSync(manifestFile)) throw new Error(`No ${MANIFEST} in ${dir}`);
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  const dbFile = path.join(dir, manifest.database.file);
+  if (!fs.existsSync(dbFile)) throw new Error(`Backup database ${dbFile} is missing`);
+  if (await sha256File(dbFile) !== manifest.database.sha256) throw new Error('Backup database does not match its checksum');
+
+  // check a scratch copy: opening the file switches it to WAL and would change it
+  const scratch = path.join(dir, `.verify-${process.pid}.sqlite`);
+  fs.copyFileSync(dbFile, scratch);
+  let sequelize;
+  try {
+    sequelize = await openDatabase(scratch);
+    const [rows] = await sequelize.query('PRAGMA integrity_check;');
+    const result = rows.map(r => r.integrity_check).join('; ');
+    if (result !== 'ok') throw new Error(`Backup database failed the integrity check: ${result}`);
+    const version = await schemaVersion(sequelize);
+    if (version !== manifest.schemaVersion) throw new Error(`Backup database is at schema version ${version}, manifest says ${manifest.schemaVersion}`);
+    return { manifest, version, latest: latestVersion() };
+  } finally {
+    if (sequelize) await sequelize.close();
+    for (const f of [scratch, `${scratch}-wal`, `${scratch}-shm`]) fs.rmSync(f, { force: true });
+  }
+}
+
+// replaces the live database and uploads with a backup. The server must be stopped. A backup
+// from newer code (higher schema version) is refused unless `force`; an older one is fine, the
+// missing migrations run on the next start. The current state is backed up first (label
+// "pre-restore", not rotated so it can't push out the backup being restored) unless `safety`
+// is false. Returns { verified, safety }.
+async function restoreBackup({ dir, storagePath, uploadsDir, backupDir, force = false, safety = true }) {
+  const verified = await verifyBackup(dir);
+  if (verified.version > verified.latest && !force) {
+    throw new Error(`Backup is at schema version ${verified.version} but this code only knows up to ${verified.latest}; upgrade first or pass --force`);
+  }
+
+  let safetyBackup = null;
+  if (safety && fs.existsSync(storagePath)) {
+    const live = await openDatabase(storagePath);
+    try {
+      safetyBackup = await createBackup({ sequelize: live, uploadsDir, backupDir, label: 'pre-restore' });
+    } finally {
+      await live.close();
+    }
+  }
+
+  // copy next to the target first so the swap itself is a rename
+  const incoming = `${storagePath}.restoring`;
+  fs.copyFileSync(path.join(dir, verified.manifest.database.file), incoming);
+  for (const f of [`${storagePath}-wal`, `${storagePath}-shm`]) fs.rmSync(f, { force: true });
+  fs.renameSync(incoming, storagePath);
+
+  const incomingUploads = `${uploadsDir}.restoring`;
+  fs.rmSync(incomingUploads, { recursive: true, force: true });
+  const fromUploads = path.join(dir, verified.manifest.uploads.dir);
+  if (fs.existsSync(fromUploads)) fs.cpSync(fromUploads, incomingUploads, { recursive: true });
+  else fs.mkdirSync(incomingUploads, { recursive: true });
+  fs.rmSync(uploadsDir, { recursive: true, force: true });
+  fs.renameSync(incomingUploads, uploadsDir);
+
+  return { verified, safety: safetyBackup };
+}
+
+module.exports = { listBackups, rotateBackups, createBackup, verifyBackup, restoreBackup };
@@ -0,0 +1,93 @@
+// lib/catalog.js - default commodity catalog, units and price parsing helpers
+//
+// The catalog is seeded into the Commodities table on startup (missing slugs only),
+// so edits made directly in the database are kept.
+
+const CURRENCIES = ['KES', 'UGX', 'TZS'];
+
+// unit code -> label shown in the UI
+const UNITS = {
+  kg: 'kg',
+  tonne: 'tonne',
+  bag: 'bag (90kg)',
+  debe: 'debe',
+  crate: 'crate',
+  tray: 'tray (30 eggs)',
+  litre: 'litre',
+  piece: 'piece',
+  bunch: 'bunch',
+  head: 'head'
+};
+
+const COMMODITIES = [
+  { slug: 'maize', name: 'Maize', category: 'Cereals', units: ['kg', 'bag', 'debe', 'tonne'], aliases: ['mahindi', 'corn'] },
+  { slug: 'wheat', name: 'Wheat', category: 'Cereals', units: ['kg', 'bag', 'tonne'], aliases: ['ngano'] },
+  { slug: 'rice', name: 'Rice', category: 'Cereals', units: ['kg', 'bag'], aliases: ['mchele', 'pishori'] },
+  { slug: 'sorghum', name: 'Sorghum', category: 'Cereals', units: ['kg', 'bag', 'debe'], aliases: ['mtama'] },
+  { slug: 'millet', name: 'Millet', category: 'Cereals', units: ['kg', 'bag', 'debe'], aliases: ['wimbi'] },
+  { slug: 'beans', name: 'Beans', category: 'Legumes', units: ['kg', 'bag', 'debe'], aliases: ['maharagwe', 'rosecoco'] },
+  { slug: 'green-grams', name: 'Green grams', category: 'Legumes', units: ['kg', 'bag', 'debe'], aliases: ['ndengu', 'pojo'] },
+  { slug: 'cowpeas', name: 'Cowpeas', category: 'Legumes', units: ['kg', 'bag'], aliases: ['kunde'] },
+  { slug: 'potatoes', name: 'Potatoes', category: 'Tubers', units: ['kg', 'bag', 'tonne'], aliases: ['potato', 'viazi', 'waru'] },
+  { slug: 'sweet-potatoes', name: 'Sweet potatoes', category: 'Tubers', units: ['kg', 'bag'], aliases: ['viazi vitamu'] },
+  { slug: 'cassava', name: 'Cassava', category: 'Tubers', units: ['kg', 'bag'], aliases: ['mihogo'] },
+  { slug: 'tomatoes', name: 'Tomatoes', category: 'Vegetables', units: ['kg', 'crate'], aliases: ['tomato', 'nyanya'] },
+  { slug: 'onions', name: 'Onions', category: 'Vegetables', units: ['kg', 'bag'], aliases: ['onion', 'vitunguu'] },
+  { slug: 'cabbages', name: 'Cabbages', category: 'Vegetables', units: ['piece', 'kg', 'bag'], aliases: ['cabbage', 'kabichi'] },
+  { slug: 'kales', name: 'Kales (sukuma wiki)', category: 'Vegetables', units: ['bunch', 'kg', 'bag'], aliases: ['kale', 'sukuma'] },
+  { slug: 'bananas', name: 'Bananas', category: 'Fruits', units: ['bunch', 'kg', 'piece'], aliases: ['banana', 'ndizi', 'matoke'] },
+  { slug: 'avocados', name: 'Avocados', category: 'Fruits', units: ['piece', 'kg', 'crate'], aliases: ['avocado', 'parachichi', 'hass'] },
+  { slug: 'mangoes', name: 'Mangoes', category: 'Fruits', units: ['piece', 'kg', 'crate'], aliases: ['mango', 'maembe'] },
+  { slug: 'milk', name: 'Milk', category: 'Livestock products', units: ['litre'], aliases: ['maziwa'] },
+  { slug: 'eggs', name: 'Eggs', category: 'Livestock products', units: ['tray', 'piece'], aliases: ['egg', 'mayai'] },
+  { slug: 'cattle', name: 'Cattle', category: 'Livestock', units: ['head'], aliases: ['cow', 'cows', 'bull', 'heifer', 'ng\'ombe'] },
+  { slug: 'goats', name: 'Goats', category: 'Livestock', units: ['head'], aliases: ['goat', 'mbuzi'] },
+  { slug: 'chicken', name: 'Chicken', category: 'Livestock', units: ['head', 'kg'], aliases: ['chickens', 'kuku', 'broilers', 'kienyeji'] }
+];
+
+// spellings people type -> unit code
+const UNIT_ALIASES = {
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+  t: 'tonne', ton: 'tonne', tons: 'tonne', tonne: 'tonne', tonnes: 'tonne',
+  bag: 'bag', bags: 'bag', gunia: 'bag', sack: 'bag', sacks: 'bag',
+  debe: 'debe', debes: 'debe',
+  crate: 'crate', crates: 'crate',
+  tray: 'tray', trays: 'tray',
+  l: 'litre', ltr: 'litre', ltrs: 'litre', litre: 'litre', litres: 'litre', liter: 'litre', liters: 'litre',
+  pc: 'piece', pcs: 'piece', piece: 'piece', pieces: 'piece',
+  bunch: 'bunch', bunches: 'bunch',
+  head: 'head', heads: 'head'
+};
+
+// "3,500/=", "Ksh 3500", "KES 3.5k", "2000 per bag" -> 3500 / 3500 / 3500 / 2000; null if no number
+function parsePriceText(text) {
+  if (text === null || text === undefined) return null;
+  const s = String(text).toLowerCase().replace(/ksh\.?|kes|kshs|\/=|shillings?|bob/g, ' ').replace(/,/g, '');
+  const m = s.match(/(\d+(?:\.\d+)?)\s*(k\b)?/);
+  if (!m) return null;
+  const n = parseFloat(m[1]) * (m[2] ? 1000 : 1);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "Maize - 90kg", "2 bags beans", "milk 20 litres" -> { quantity, unit } or null
+function parseQuantityText(text) {
+  if (!text) return null;
+  const re = /(\d+(?:\.\d+)?)\s*([a-z]+)\b/gi;
+  let m;
+  while ((m = re.exec(String(text)))) {
+    const unit = UNIT_ALIASES[m[2].toLowerCase()];
+    if (unit) return { quantity: parseFloat(m[1]), unit };
+  }
+  return null;
+}
+
+// finds the catalog entry whose slug, name or alias appears as a word in the text
+function matchCommodity(text, commodities = COMMODITIES) {
+  if (!text) return null;
+  const words = ` ${String(text).toLowerCase().replace(/[^a-z0-9' ]+/g, ' ')} `;
+  return commodities.find(c =>
+    [c.slug.replace(/-/g, ' '), c.name.toLowerCase(), ...(c.aliases || [])].some(a => words.includes(` ${a} `))
+  ) || null;
+}
+
+module.exports = { CURRENCIES, UNITS, COMMODITIES, UNIT_ALIASES, parsePriceText, parseQuantityText, matchCommodity };
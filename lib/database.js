@@ -0,0 +1,26 @@
+// lib/database.js - opens the SQLite database the way the server and the db scripts both need it
+const { Sequelize } = require('sequelize');
+
+// one connection (pool max 1) so BEGIN/COMMIT and PRAGMAs issued through sequelize.query all
+// land on the same handle; sequelize.transaction() would open a second one
+async function openDatabase(storagePath) {
+  const sequelize = new Sequelize({
+    dialect: 'sqlite',
+    storage: storagePath,
+    logging: false,
+    pool: { max: 1, min: 0, acquire: 30000, idle: 10000 }
+  });
+  await sequelize.authenticate();
+  // set pragmas to reduce locking issues
+  try {
+    await sequelize.query('PRAGMA journal_mode = WAL;');
+    await sequelize.query('PRAGMA synchronous = NORMAL;');
+    await sequelize.query('PRAGMA foreign_keys = ON;');
+    await sequelize.query('PRAGMA busy_timeout = 5000;');
+  } catch (e) {
+    console.warn('Warning: could not set PRAGMA values', e && e.message);
+  }
+  return sequelize;
+}
+
+module.exports = { openDatabase };
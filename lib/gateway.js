@@ -0,0 +1,173 @@
+// lib/gateway.js - USSD menus and SMS commands for feature phones
+//
+// USSD gateways call back with the whole session so far in `text` ("2*maize*90kg"), so the
+// menus here are rebuilt from that input on every request and keep no state of their own.
+// Responses start with "CON " (wait for more input) or "END " (close the session). Reply text
+// lives in the sms.* / ussd.* catalog keys (lib/i18n); the helpers here return codes for it.
+const catalog = require('./catalog');
+const i18n = require('./i18n');
+
+const USSD_MAX_CHARS = 182;   // longest screen most handsets show
+const SMS_MAX_CHARS = 306;    // two concatenated SMS parts
+const PAGE_SIZE = 3;          // listings per USSD screen / SMS reply
+
+// "1*maize*00*2" -> ['2']: "00" anywhere returns to the main menu
+function ussdInputs(text) {
+  const parts = String(text || '').split('*').map(s => s.trim());
+  const home = parts.lastIndexOf('00');
+  const inputs = home === -1 ? parts : parts.slice(home + 1);
+  return inputs.length === 1 && inputs[0] === '' ? [] : inputs;
+}
+
+// "2 bags", "90kg", "20 litres" -> { quantity, unit }; null if it doesn't read as a quantity
+function readQuantity(text) {
+  const q = catalog.parseQuantityText(text);
+  return q && q.quantity > 0 ? q : null;
+}
+
+// "3500", "3,500/=", "ksh 3.5k" -> 3500; null if there is no number
+function readPrice(text) {
+  if (!/\d/.test(String(text || ''))) return null;
+  return catalog.parsePriceText(text);
+}
+
+const FILLER_WORDS = ['at', 'in', 'from', '@', 'for', 'ksh', 'kes', 'kshs'];
+
+// "maize 90kg 3500 Eldoret", "2 bags beans 6000 Kitale" -> listing draft. Words before the first
+// number name the item, words after the numbers are the location.
+function parseListingText(text) {
+  const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const draft = { itemName: '', commodity: null, quantity: null, unit: null, price: null, location: '' };
+  const before = [];
+  const after = [];
+  let seenNumber = false;
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const pair = i + 1 < tokens.length ? `${tok} ${tokens[i + 1]}` : null;
+    if (draft.unit === null && /^\d+(\.\d+)?[a-z]+$/i.test(tok) && readQuantity(tok)) {
+      Object.assign(draft, readQuantity(tok));
+      seenNumber = true;
+    } else if (draft.unit === null && pair && /^\d+(\.\d+)?$/.test(tok) && catalog.UNIT_ALIASES[tokens[i + 1].toLowerCase()]) {
+      Object.assign(draft, readQuantity(pair));
+      seenNumber = true;
+      i++;
+    } else if (draft.price === null && /\d/.test(tok)) {
+      draft.price = readPrice(tok);
+      seenNumber = true;
+    } else if (!FILLER_WORDS.includes(tok.toLowerCase())) {
+      (seenNumber ? after : before).push(tok);
+    }
+  }
+  if (!before.length && after.length) before.push(after.shift());
+  draft.itemName = before.join(' ');
+  draft.location = after.join(' ');
+  draft.commodity = catalog.matchCommodity(draft.itemName);
+  return draft;
+}
+
+// SMS commands: SELL <item> [quantity] [price] [location] | FIND <item> [location] (or UZA / TAFUTA);
+// anything else gets help. error is a code: sms.<error> in the catalog.
+function parseSmsCommand(text) {
+  const trimmed = String(text || '').trim();
+  const [word = '', ...rest] = trimmed.split(/\s+/);
+  const args = rest.join(' ');
+  switch (word.toUpperCase()) {
+    case 'SELL':
+    case 'UZA': {
+      const draft = parseListingText(args);
+      if (!draft.itemName) return { command: 'sell', error: 'sell_missing' };
+      return { command: 'sell', draft };
+    }
+    case 'FIND':
+    case 'SEARCH':
+    case 'TAFUTA': {
+      const [query = '', ...where] = rest;
+      if (!query) return { command: 'find', error: 'find_missing' };
+      return { command: 'find', query, location: where.join(' ') };
+    }
+    default:
+      return { command: 'help' };
+  }
+}
+
+// browse menu: commodity (0 = all) -> location (0 = anywhere) -> results, "9" pages on
+function readBrowseSteps(inputs) {
+  const [query, location, ...more] = inputs;
+  if (query === undefined) return { step: 'query' };
+  if (location === undefined) return { step: 'location', query: query === '0' ? '' : query };
+  if (more.some(x => x !== '9')) return { step: 'invalid' };
+  return { step: 'results', query: query === '0' ? '' : query, location: location === '0' ? '' : location, page: more.length };
+}
+
+// sell menu: item -> quantity -> price -> location -> confirm. An entry that can't be read is
+// dropped and the same question asked again with a hint (a code: ussd.hint.<error>), so one typo
+// doesn't end the session.
+function readSellSteps(inputs) {
+  const draft = { itemName: '', commodity: null, quantity: null, unit: null, price: null, location: '' };
+  let step = 'item';
+  let error = null;
+  for (const input of inputs) {
+    error = null;
+    if (step === 'item') {
+      if (!input || input === '0') { error = 'item_missing'; continue; }
+      draft.itemName = input;
+      draft.commodity = catalog.matchCommodity(input);
+      step = 'quantity';
+    } else if (step === 'quantity') {
+      if (input !== '0') {
+        const q = readQuantity(input);
+        if (!q) { error = 'quantity_unreadable'; continue; }
+        Object.assign(draft, q);
+      }
+      step = 'price';
+    } else if (step === 'price') {
+      if (input !== '0') {
+        const price = readPrice(input);
+        if (price === null) { error = 'price_unreadable'; continue; }
+        draft.price = price;
+      }
+      step = 'location';
+    } else if (step === 'location') {
+      if (!input || input === '0') { error = 'location_missing'; continue; }
+      draft.location = input;
+      step = 'confirm';
+    } else if (step === 'confirm') {
+      if (input === '1') step = 'post';
+      else if (input === '2') step = 'cancel';
+      else error = 'choose';
+    } else {
+      break;
+    }
+  }
+  return { step, draft, error };
+}
+
+const UNIT_PLURALS = { tonne: 'tonnes', bag: 'bags', debe: 'debes', crate: 'crates', tray: 'trays', litre: 'litres', piece: 'pieces', bunch: 'bunches' };
+
+// "Maize 90kg KES 3,500 Eldoret 0712345678", the price grouped for the locale
+function formatListing(post, locale = i18n.DEFAULT_LOCALE) {
+  const parts = [post.itemName];
+  if (post.quantity) {
+    const unit = post.quantity === 1 ? post.unit : UNIT_PLURALS[post.unit] || post.unit;
+    parts.push(`${post.quantity}${unit === 'kg' ? 'kg' : ` ${unit}`}`);
+  }
+  if (post.price !== null && post.price !== undefined) parts.push(`${post.currency || 'KES'} ${i18n.formatNumber(locale, Number(post.price))}`);
+  if (post.location) parts.push(post.location);
+  if (post.phone) parts.push(post.phone);
+  return parts.join(' ');
+}
+
+// trims a message to fit the channel, cutting the body before the trailing lines (menu options)
+function fitText(lines, max, keepLast = 0) {
+  const tail = keepLast ? lines.slice(-keepLast) : [];
+  const body = keepLast ? lines.slice(0, -keepLast) : lines.slice();
+  const room = max - tail.reduce((n, l) => n + l.length + 1, 0);
+  let text = body.join('\n');
+  if (text.length > room) text = text.slice(0, Math.max(0, room - 3)).trimEnd() + '...';
+  return [text, ...tail].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  USSD_MAX_CHARS, SMS_MAX_CHARS, PAGE_SIZE,
+  ussdInputs, parseListingText, parseSmsCommand, readBrowseSteps, readSellSteps, formatListing, fitText
+};
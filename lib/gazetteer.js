@@ -0,0 +1,192 @@
+// lib/gazetteer.js - offline list of Kenyan counties and market towns with coordinates
+//
+// Used to give listings coordinates from the free-text location people type ("Kitale",
+// "near Eldoret town", "Muranga") and to name the nearest town for a GPS position. Coordinates
+// are town centres; good enough for "within driving distance", not for directions.
+
+// county, headquarters town, lat, lng
+const COUNTIES = [
+  ['Mombasa', 'Mombasa', -4.0435, 39.6682],
+  ['Kwale', 'Kwale', -4.1816, 39.4521],
+  ['Kilifi', 'Kilifi', -3.6305, 39.8499],
+  ['Tana River', 'Hola', -1.5000, 40.0300],
+  ['Lamu', 'Lamu', -2.2717, 40.9020],
+  ['Taita-Taveta', 'Mwatate', -3.5050, 38.3781],
+  ['Garissa', 'Garissa', -0.4532, 39.6461],
+  ['Wajir', 'Wajir', 1.7471, 40.0573],
+  ['Mandera', 'Mandera', 3.9366, 41.8670],
+  ['Marsabit', 'Marsabit', 2.3284, 37.9899],
+  ['Isiolo', 'Isiolo', 0.3546, 37.5822],
+  ['Meru', 'Meru', 0.0463, 37.6559],
+  ['Tharaka-Nithi', 'Chuka', -0.3333, 37.6500],
+  ['Embu', 'Embu', -0.5310, 37.4500],
+  ['Kitui', 'Kitui', -1.3667, 38.0167],
+  ['Machakos', 'Machakos', -1.5177, 37.2634],
+  ['Makueni', 'Wote', -1.7833, 37.6333],
+  ['Nyandarua', 'Ol Kalou', -0.2667, 36.3833],
+  ['Nyeri', 'Nyeri', -0.4201, 36.9476],
+  ['Kirinyaga', 'Kerugoya', -0.4989, 37.2803],
+  ['Murang\'a', 'Murang\'a', -0.7210, 37.1526],
+  ['Kiambu', 'Kiambu', -1.1714, 36.8356],
+  ['Turkana', 'Lodwar', 3.1191, 35.5973],
+  ['West Pokot', 'Kapenguria', 1.2389, 35.1119],
+  ['Samburu', 'Maralal', 1.0968, 36.6980],
+  ['Trans-Nzoia', 'Kitale', 1.0157, 35.0062],
+  ['Uasin Gishu', 'Eldoret', 0.5143, 35.2698],
+  ['Elgeyo-Marakwet', 'Iten', 0.6703, 35.5081],
+  ['Nandi', 'Kapsabet', 0.2037, 35.1050],
+  ['Baringo', 'Kabarnet', 0.4919, 35.7430],
+  ['Laikipia', 'Rumuruti', 0.2725, 36.5381],
+  ['Nakuru', 'Nakuru', -0.3031, 36.0800],
+  ['Narok', 'Narok', -1.0783, 35.8601],
+  ['Kajiado', 'Kajiado', -1.8524, 36.7768],
+  ['Kericho', 'Kericho', -0.3689, 35.2863],
+  ['Bomet', 'Bomet', -0.7813, 35.3416],
+  ['Kakamega', 'Kakamega', 0.2827, 34.7519],
+  ['Vihiga', 'Vihiga', 0.0833, 34.7167],
+  ['Bungoma', 'Bungoma', 0.5635, 34.5606],
+  ['Busia', 'Busia', 0.4608, 34.1115],
+  ['Siaya', 'Siaya', 0.0607, 34.2881],
+  ['Kisumu', 'Kisumu', -0.0917, 34.7680],
+  ['Homa Bay', 'Homa Bay', -0.5273, 34.4571],
+  ['Migori', 'Migori', -1.0634, 34.4731],
+  ['Kisii', 'Kisii', -0.6817, 34.7667],
+  ['Nyamira', 'Nyamira', -0.5633, 34.9358],
+  ['Nairobi', 'Nairobi', -1.2864, 36.8172]
+];
+
+// town, county, lat, lng, other spellings
+const TOWNS = [
+  ['Thika', 'Kiambu', -1.0333, 37.0693],
+  ['Ruiru', 'Kiambu', -1.1461, 36.9609],
+  ['Juja', 'Kiambu', -1.1000, 37.0167],
+  ['Gatundu', 'Kiambu', -1.0167, 36.9000],
+  ['Limuru', 'Kiambu', -1.1136, 36.6422],
+  ['Kikuyu', 'Kiambu', -1.2464, 36.6629],
+  ['Naivasha', 'Nakuru', -0.7167, 36.4333],
+  ['Gilgil', 'Nakuru', -0.4994, 36.3186],
+  ['Molo', 'Nakuru', -0.2490, 35.7322],
+  ['Njoro', 'Nakuru', -0.3300, 35.9440],
+  ['Nanyuki', 'Laikipia', 0.0167, 37.0722],
+  ['Nyahururu', 'Laikipia', 0.0380, 36.3630, ['thomsons falls']],
+  ['Karatina', 'Nyeri', -0.4833, 37.1333],
+  ['Othaya', 'Nyeri', -0.5467, 36.9439],
+  ['Sagana', 'Kirinyaga', -0.6667, 37.2000],
+  ['Mwea', 'Kirinyaga', -0.6900, 37.3500, ['wanguru']],
+  ['Maragua', 'Murang\'a', -0.7833, 37.1333],
+  ['Kangema', 'Murang\'a', -0.6833, 36.9667],
+  ['Maua', 'Meru', 0.2333, 37.9333],
+  ['Chogoria', 'Tharaka-Nithi', -0.2333, 37.6333],
+  ['Runyenjes', 'Embu', -0.4200, 37.5700],
+  ['Athi River', 'Machakos', -1.4560, 36.9780, ['mavoko']],
+  ['Kangundo', 'Machakos', -1.3000, 37.3500],
+  ['Mwingi', 'Kitui', -0.9333, 38.0667],
+  ['Emali', 'Makueni', -2.0833, 37.4667],
+  ['Kibwezi', 'Makueni', -2.4167, 37.9667],
+  ['Makindu', 'Makueni', -2.2833, 37.8167],
+  ['Mtito Andei', 'Makueni', -2.6833, 38.1667],
+  ['Kitengela', 'Kajiado', -1.4750, 36.9630],
+  ['Ngong', 'Kajiado', -1.3617, 36.6556],
+  ['Namanga', 'Kajiado', -2.5450, 36.7900],
+  ['Loitokitok', 'Kajiado', -2.9333, 37.5167],
+  ['Kilgoris', 'Narok', -1.0000, 34.8833],
+  ['Malindi', 'Kilifi', -3.2192, 40.1169],
+  ['Watamu', 'Kilifi', -3.3540, 40.0240],
+  ['Mariakani', 'Kilifi', -3.8667, 39.4667],
+  ['Ukunda', 'Kwale', -4.2833, 39.5667, ['diani']],
+  ['Voi', 'Taita-Taveta', -3.3961, 38.5561],
+  ['Taveta', 'Taita-Taveta', -3.3980, 37.6830],
+  ['Wundanyi', 'Taita-Taveta', -3.4000, 38.3667],
+  ['Garsen', 'Tana River', -2.2667, 40.1167],
+  ['Mpeketoni', 'Lamu', -2.3900, 40.7000],
+  ['Dadaab', 'Garissa', 0.0553, 40.3086],
+  ['Moyale', 'Marsabit', 3.5167, 39.0500],
+  ['Kakuma', 'Turkana', 3.7167, 34.8667],
+  ['Lokichogio', 'Turkana', 4.2047, 34.3481],
+  ['Webuye', 'Bungoma', 0.6167, 34.7667],
+  ['Kimilili', 'Bungoma', 0.7833, 34.7167],
+  ['Malaba', 'Busia', 0.6333, 34.2833],
+  ['Mumias', 'Kakamega', 0.3333, 34.4833],
+  ['Butere', 'Kakamega', 0.2069, 34.4906],
+  ['Bondo', 'Siaya', -0.1000, 34.2667],
+  ['Ugunja', 'Siaya', 0.1833, 34.3000],
+  ['Ahero', 'Kisumu', -0.1667, 34.9167],
+  ['Maseno', 'Kisumu', -0.0040, 34.6000],
+  ['Muhoroni', 'Kisumu', -0.1500, 35.2000],
+  ['Oyugis', 'Homa Bay', -0.5167, 34.7333],
+  ['Mbita', 'Homa Bay', -0.4333, 34.2000],
+  ['Rongo', 'Migori', -0.7667, 34.6000],
+  ['Awendo', 'Migori', -0.9000, 34.5333],
+  ['Isebania', 'Migori', -1.2333, 34.4833],
+  ['Keroka', 'Nyamira', -0.7766, 34.9450],
+  ['Ogembo', 'Kisii', -0.8000, 34.7167],
+  ['Litein', 'Kericho', -0.5833, 35.1833],
+  ['Londiani', 'Kericho', -0.1667, 35.6000],
+  ['Sotik', 'Bomet', -0.6833, 35.1167],
+  ['Burnt Forest', 'Uasin Gishu', 0.2333, 35.4333],
+  ['Turbo', 'Uasin Gishu', 0.6333, 35.0500],
+  ['Moi\'s Bridge', 'Uasin Gishu', 0.8833, 35.1167],
+  ['Endebess', 'Trans-Nzoia', 1.0833, 34.8500],
+  ['Nandi Hills', 'Nandi', 0.1000, 35.1833],
+  ['Eldama Ravine', 'Baringo', 0.0500, 35.7167],
+  ['Marigat', 'Baringo', 0.4667, 35.9833]
+];
+
+// a few common short forms for counties
+const COUNTY_ALIASES = { Nairobi: ['nbi', 'nairobi cbd'], Mombasa: ['msa'] };
+
+// lowercase words only: "Murang'a" -> "muranga", "Trans-Nzoia" -> "trans nzoia"
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// towns (including county headquarters) come before counties so the more specific place wins
+const PLACES = [];
+for (const [county, hq, lat, lng] of COUNTIES) PLACES.push({ name: hq, county, lat, lng, kind: 'town', keys: [normalize(hq)] });
+for (const [name, county, lat, lng, aliases = []] of TOWNS) {
+  PLACES.push({ name, county, lat, lng, kind: 'town', keys: [normalize(name), ...aliases.map(normalize)] });
+}
+for (const [county, , lat, lng] of COUNTIES) {
+  PLACES.push({ name: county, county, lat, lng, kind: 'county', keys: [normalize(county), ...(COUNTY_ALIASES[county] || [])] });
+}
+
+// first place named in the text ("2km from Kitale town" -> Kitale); longer names beat shorter ones
+// so "Homa Bay" isn't read as something else. Returns { name, county, lat, lng } or null.
+function lookupPlace(text) {
+  const words = ` ${normalize(text)} `;
+  if (!words.trim()) return null;
+  let best = null;
+  for (const place of PLACES) {
+    for (const key of place.keys) {
+      if (!words.includes(` ${key} `)) continue;
+      const rank = (place.kind === 'town' ? 1000 : 0) + key.length;
+      if (!best || rank > best.rank) best = { place, rank };
+    }
+  }
+  if (!best) return null;
+  const { name, county, lat, lng } = best.place;
+  return { name, county, lat, lng };
+}
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (deg) => deg * Math.PI / 180;
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// nearest town to a position, for listings posted with GPS but no typed location
+function nearestTown(lat, lng) {
+  let best = null;
+  for (const place of PLACES) {
+    if (place.kind !== 'town') continue;
+    const km = distanceKm(lat, lng, place.lat, place.lng);
+    if (!best || km < best.km) best = { place, km };
+  }
+  return best ? { name: best.place.name, county: best.place.county, km: best.km } : null;
+}
+
+module.exports = { COUNTIES, TOWNS, normalize, lookupPlace, distanceKm, nearestTown };
@@ -0,0 +1,78 @@
+// lib/i18n.js - message catalogs (public/locales/<locale>.json, shared with the browser), locale
+// negotiation and locale-aware numbers, money and dates
+//
+// Messages are looked up by dotted key ("errors.unknown_commodity") and may hold {placeholders}.
+// Number params are formatted for the locale; a param named "wait" is a number of seconds and
+// reads as "in 5 minutes" / "baada ya dakika 5". A message can be { "one": ..., "other": ... },
+// picked by the "count" param.
+const en = require('../public/locales/en.json');
+const sw = require('../public/locales/sw.json');
+
+const CATALOGS = { en, sw };
+const LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = 'en';
+// Intl tags: Kenyan conventions for both languages
+const INTL_TAGS = { en: 'en-KE', sw: 'sw-KE' };
+
+function isLocale(value) {
+  return LOCALES.includes(value);
+}
+
+// best supported locale for an Accept-Language header (or a bare "sw"), DEFAULT_LOCALE otherwise
+function pickLocale(header) {
+  const ranges = String(header || '').split(',').map((part, i) => {
+    const [tag, ...rest] = part.trim().toLowerCase().split(';');
+    const q = rest.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    return { lang: tag.split('-')[0], q: q ? parseFloat(q[1]) : 1, i };
+  });
+  const best = ranges
+    .filter(r => r.q > 0 && isLocale(r.lang))
+    .sort((a, b) => b.q - a.q || a.i - b.i)[0];
+  return best ? best.lang : DEFAULT_LOCALE;
+}
+
+function lookup(locale, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), CATALOGS[locale]);
+}
+
+function formatNumber(locale, n, options) {
+  return new Intl.NumberFormat(INTL_TAGS[locale] || INTL_TAGS[DEFAULT_LOCALE], options).format(n);
+}
+
+// "Ksh 3,500": the currency label the app uses, with the amount grouped for the locale
+function formatMoney(locale, amount, currency = 'KES') {
+  const label = lookup(locale, `currency.${currency}`) || currency;
+  return `${label} ${formatNumber(locale, amount, { maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(locale, date, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+  return new Date(date).toLocaleDateString(INTL_TAGS[locale] || INTL_TAGS[DEFAULT_LOCALE], options);
+}
+
+// "in 45 seconds" / "in 5 minutes" / "in 2 hours"
+function waitText(locale, seconds) {
+  const rtf = new Intl.RelativeTimeFormat(INTL_TAGS[locale] || INTL_TAGS[DEFAULT_LOCALE], { numeric: 'always' });
+  if (seconds < 90) return rtf.format(seconds, 'second');
+  if (seconds < 90 * 60) return rtf.format(Math.ceil(seconds / 60), 'minute');
+  return rtf.format(Math.ceil(seconds / 3600), 'hour');
+}
+
+// the message for key in locale, falling back to English and then to the key itself
+function t(locale, key, params = {}) {
+  if (!isLocale(locale)) locale = DEFAULT_LOCALE;
+  let msg = lookup(locale, key);
+  if (msg === undefined) msg = lookup(DEFAULT_LOCALE, key);
+  if (msg && typeof msg === 'object') {
+    const form = new Intl.PluralRules(INTL_TAGS[locale]).select(Number(params.count) || 0);
+    msg = msg[form] !== undefined ? msg[form] : msg.other;
+  }
+  if (typeof msg !== 'string') return key;
+  return msg.replace(/\{(\w+)\}/g, (whole, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return whole;
+    if (name === 'wait') return waitText(locale, value);
+    return typeof value === 'number' ? formatNumber(locale, value) : String(value);
+  });
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, INTL_TAGS, isLocale, pickLocale, t, formatNumber, formatMoney, formatDate, waitText };
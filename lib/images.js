@@ -0,0 +1,44 @@
+// lib/images.js - upload sniffing and re-encoding for listing photos
+//
+// Originals are never written to disk: each upload is decoded, auto-rotated and
+// re-encoded into a thumbnail and a medium JPEG. Re-encoding drops all metadata
+// (EXIF, GPS, camera serials), which keeps farm locations private.
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const SIZES = {
+  thumb: { width: 320, height: 320, quality: 65 },
+  medium: { width: 1024, height: 1024, quality: 78 }
+};
+// refuse decompression bombs (a 40 MP photo is already larger than any phone camera)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// content type from magic bytes; the client-sent mimetype and extension are not trusted
+function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+// writes <base>-thumb.jpg and <base>-md.jpg into dir; resolves to their filenames and the medium size
+async function processImage(buf, dir) {
+  const base = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  const source = sharp(buf, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+  const out = {};
+  for (const [name, size] of Object.entries(SIZES)) {
+    const filename = `${base}-${name === 'thumb' ? 'thumb' : 'md'}.jpg`;
+    const info = await source.clone()
+      .resize(size.width, size.height, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: size.quality, mozjpeg: true })
+      .toFile(path.join(dir, filename));
+    out[name] = filename;
+    if (name === 'medium') { out.width = info.width; out.height = info.height; }
+  }
+  return out;
+}
+
+module.exports = { sniffImageType, processImage, MAX_INPUT_PIXELS };
@@ -0,0 +1,53 @@
+// lib/matching.js - pairs "wanted" requests with offers
+//
+// An offer and a request match when they are for the same produce, close enough to each other
+// and the offer's price is within what the buyer will pay. Criteria one side leaves blank don't
+// rule a match out.
+const gazetteer = require('./gazetteer');
+
+const POST_TYPES = ['offer', 'request'];
+
+// words of an item name, for listings without a catalog commodity ("Hass avocado seedlings")
+function nameWords(name) {
+  return gazetteer.normalize(name).split(' ').filter(w => w.length > 2);
+}
+
+function sameProduce(a, b) {
+  if (a.commodityId && b.commodityId) return a.commodityId === b.commodityId;
+  const words = new Set(nameWords(a.itemName));
+  return nameWords(b.itemName).some(w => words.has(w));
+}
+
+function distanceBetween(a, b) {
+  if (a.latitude === null || a.latitude === undefined || b.latitude === null || b.latitude === undefined) return null;
+  return gazetteer.distanceKm(a.latitude, a.longitude, b.latitude, b.longitude);
+}
+// within radiusKm when both have coordinates, otherwise the same county (or the same place name)
+function nearEnough(a, b, radiusKm) {
+  const km = distanceBetween(a, b);
+  if (km !== null) return km <= radiusKm;
+  if (!a.location || !b.location) return true;
+  const pa = gazetteer.lookupPlace(a.location);
+  const pb = gazetteer.lookupPlace(b.location);
+  if (pa && pb) return pa.county === pb.county;
+  return gazetteer.normalize(a.location) === gazetteer.normalize(b.location);
+}
+
+// prices only compare in the same currency and unit (a price per bag says nothing about one per kg)
+function priceFits(offer, request) {
+  if (offer.price === null || offer.price === undefined || request.price === null || request.price === undefined) return true;
+  if (offer.currency !== request.currency || (offer.unit || null) !== (request.unit || null)) return true;
+  return offer.price <= request.price;
+}
+
+// null when the two don't match, else { distanceKm } (null when either has no coordinates)
+function matchPosts(offer, request, { radiusKm = 100, now = new Date() } = {}) {
+  if (offer.type !== 'offer' || request.type !== 'request') return null;
+  if (offer.ownerUserId === request.ownerUserId) return null;
+  if (request.neededBy && new Date(request.neededBy) < now) return null;
+  if (!sameProduce(offer, request) || !nearEnough(offer, request, radiusKm) || !priceFits(offer, request)) return null;
+  const km = distanceBetween(offer, request);
+  return { distanceKm: km === null ? null : Math.round(km * 10) / 10 };
+}
+
+module.exports = { POST_TYPES, matchPosts };
@@ -0,0 +1,118 @@
+// lib/migrate.js - versioned schema migrations, tracked in the SchemaMigrations table
+//
+// Migrations live in migrations/NNN-name.js and export `up(ctx)` (plus `foreignKeys: false` when
+// they rebuild a table that others reference). Each runs in its own transaction together with
+// its SchemaMigrations row, so a failed one leaves the database as it was. They run before
+// sequelize.sync(): sync only creates tables that don't exist yet, so on a fresh database the
+// migrations find nothing to change and must treat missing tables as a no-op.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// [{ version, name, file }] sorted by version; file names are "<version>-<name>.js"
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const list = fs.readdirSync(dir)
+    .map(file => ({ file, m: file.match(/^(\d+)-([a-z0-9-]+)\.js$/) }))
+    .filter(({ m }) => m)
+    .map(({ file, m }) => ({ version: parseInt(m[1], 10), name: m[2], file: path.join(dir, file) }))
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < list.length; i++) {
+    if (list[i].version === list[i - 1].version) throw new Error(`Two migrations share version ${list[i].version}`);
+  }
+  return list;
+}
+
+// version a database should be at for this code
+function latestVersion(dir) {
+  const list = loadMigrations(dir);
+  return list.length ? list[list.length - 1].version : 0;
+}
+
+async function ensureTable(sequelize) {
+  await sequelize.query(`CREATE TABLE IF NOT EXISTS \`SchemaMigrations\` (
+    \`version\` INTEGER PRIMARY KEY,
+    \`name\` VARCHAR(255) NOT NULL,
+    \`appliedAt\` DATETIME NOT NULL
+  );`);
+}
+
+// applied migrations, oldest first
+async function appliedMigrations(sequelize) {
+  const tables = await sequelize.getQueryInterface().showAllTables();
+  if (!tables.includes('SchemaMigrations')) return [];
+  const [rows] = await sequelize.query('SELECT `version`, `name`, `appliedAt` FROM `SchemaMigrations` ORDER BY `version`;');
+  return rows;
+}
+
+async function schemaVersion(sequelize) {
+  const rows = await appliedMigrations(sequelize);
+  return rows.length ? rows[rows.length - 1].version : 0;
+}
+
+// helpers handed to every migration
+function migrationContext(sequelize) {
+  const queryInterface = sequelize.getQueryInterface();
+  const tableExists = async (table) => (await queryInterface.showAllTables()).includes(table);
+  return {
+    sequelize,
+    queryInterface,
+    tableExists,
+    // adds the columns a table is missing; `columns` maps name -> SQL definition
+    async addMissingColumns(table, columns) {
+      if (!(await tableExists(table))) return [];
+      const cols = await queryInterface.describeTable(table);
+      const added = [];
+      for (const [name, definition] of Object.entries(columns)) {
+        if (cols[name]) continue;
+        await sequelize.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${name}\` ${definition};`);
+        added.push(name);
+      }
+      return added;
+    }
+  };
+}
+
+// runs every migration the database hasn't had yet, oldest first. Returns
+// { from, to, applied: [{ version, name, result }] }; `result` is whatever up() returned
+// (e.g. whether data needs backfilling afterwards).
+async function runMigrations(sequelize, { dir, log = console.log } = {}) {
+  await ensureTable(sequelize);
+  const done = await appliedMigrations(sequelize);
+  const from = done.length ? done[done.length - 1].version : 0;
+  const versions = new Set(done.map(r => r.version));
+  const pending = loadMigrations(dir).filter(m => !versions.has(m.version));
+  const ctx = migrationContext(sequelize);
+  const applied = [];
+  for (const m of pending) {
+    const migration = require(m.file);
+    const fkOff = migration.foreignKeys === false;
+    // PRAGMA foreign_keys is ignored inside a transaction, so it is switched around it
+    if (fkOff) await sequelize.query('PRAGMA foreign_keys = OFF;');
+    try {
+      await sequelize.query('BEGIN;');
+      try {
+        const result = await migration.up(ctx);
+        if (fkOff) {
+          const [broken] = await sequelize.query('PRAGMA foreign_key_check;');
+          if (broken.length) throw new Error(`foreign key check failed (${broken.length} rows)`);
+        }
+        await sequelize.query('INSERT INTO `SchemaMigrations` (`version`, `name`, `appliedAt`) VALUES (?, ?, ?);', {
+          replacements: [m.version, m.name, new Date().toISOString()]
+        });
+        await sequelize.query('COMMIT;');
+        applied.push({ version: m.version, name: m.name, result });
+        log(`Migration ${m.version}-${m.name} applied`);
+      } catch (err) {
+        await sequelize.query('ROLLBACK;');
+        err.message = `migration ${m.version}-${m.name}: ${err.message}`;
+        throw err;
+      }
+    } finally {
+      if (fkOff) await sequelize.query('PRAGMA foreign_keys = ON;');
+    }
+  }
+  return { from, to: Math.max(from, ...applied.map(a => a.version)), applied };
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, latestVersion, appliedMigrations, schemaVersion, runMigrations };
@@ -0,0 +1,52 @@
+// lib/prices.js - weekly price summaries for the market price index
+//
+// Observations are prices per listed unit (e.g. KES per 90kg bag), so they are only ever
+// compared within one commodity, unit and currency. Weeks start on Monday (UTC).
+
+// "2026-10-21T09:00Z" -> "2026-10-19" (the Monday of that week)
+function weekStart(date) {
+  const d = new Date(date);
+  const day = (d.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day)).toISOString().slice(0, 10);
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (pos - lo);
+}
+
+const MAX_RATIO = 5;  // anything over 5x (or under a fifth of) the median is a typo or a different unit
+const IQR_FENCE = 1.5;
+
+// splits prices into the ones to aggregate and the outliers: first far from the median, then
+// (with enough data left) outside the interquartile fences
+function dropOutliers(values) {
+  let kept = values.filter(v => Number.isFinite(v) && v > 0).sort((a, b) => a - b);
+  if (kept.length >= 3) {
+    const m = median(kept);
+    kept = kept.filter(v => v <= m * MAX_RATIO && v >= m / MAX_RATIO);
+  }
+  if (kept.length >= 4) {
+    const q1 = quantile(kept, 0.25);
+    const q3 = quantile(kept, 0.75);
+    const pad = (q3 - q1) * IQR_FENCE;
+    kept = kept.filter(v => v >= q1 - pad && v <= q3 + pad);
+  }
+  return { kept, excluded: values.length - kept.length };
+}
+
+// { median, min, max, count, excluded }; null when nothing is left after outliers
+function summarize(values) {
+  const { kept, excluded } = dropOutliers(values);
+  if (!kept.length) return null;
+  const round = (n) => Math.round(n * 100) / 100;
+  return { median: round(median(kept)), min: kept[0], max: kept[kept.length - 1], count: kept.length, excluded };
+}
+
+module.exports = { weekStart, dropOutliers, summarize };
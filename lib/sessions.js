@@ -0,0 +1,33 @@
+// lib/sessions.js - refresh tokens and device labels for signed-in sessions
+const crypto = require('crypto');
+
+// opaque token handed to the client once; only its hash is stored
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// first match wins: Edge and Opera also claim Chrome, Chrome also claims Safari,
+// iOS also claims Mac OS X and Android also claims Linux
+const BROWSERS = [
+  [/Edg(A|iOS)?\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/SamsungBrowser\//, 'Samsung Internet'],
+  [/Firefox\/|FxiOS\//, 'Firefox'], [/Chrome\/|CriOS\//, 'Chrome'], [/Safari\//, 'Safari']
+];
+const SYSTEMS = [
+  [/Android/, 'Android'], [/iPhone|iPad|iPod/, 'iOS'], [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'], [/CrOS/, 'ChromeOS'], [/Linux/, 'Linux']
+];
+
+// "Chrome on Android" from a User-Agent: enough for people to tell their devices apart
+function describeDevice(userAgent) {
+  const ua = String(userAgent || '');
+  const browser = (BROWSERS.find(([re]) => re.test(ua)) || [])[1];
+  const system = (SYSTEMS.find(([re]) => re.test(ua)) || [])[1];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+module.exports = { newRefreshToken, hashRefreshToken, describeDevice };
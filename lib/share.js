@@ -0,0 +1,306 @@
+// lib/share.js - public listing pages (/p/:id) with link-preview tags, and RSS / Atom / JSON Feed
+//
+// Chat apps and feed readers fetch these without the app and without signing in, so everything
+// is rendered on the server with absolute URLs. Posts come in as serializePost output (upload
+// paths, not URLs) plus `seller`; `base` is the site's origin, e.g. https://agri.example.org.
+// Text comes from the i18n catalogs in the `locale` the visitor asked for.
+const { UNITS } = require('./catalog');
+const i18n = require('./i18n');
+
+const SITE_NAME = 'AgriChannel';
+const FALLBACK_IMAGE = '/icons/icon-512.png';
+
+// for HTML and XML alike
+function escapeXml(s) {
+  return String(s == null ? '' : s).replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+}
+
+function absolute(base, pathOrUrl) {
+  if (!pathOrUrl) return null;
+  return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${base}${pathOrUrl.startsWith('/') ? '' : '/'}${pathOrUrl}`;
+}
+
+function clip(text, max) {
+  const t = String(text || '').replace(/\s+/g, ' ').trim();
+  return t.length > max ? `${t.slice(0, max - 1).trimEnd()}…` : t;
+}
+
+function postUrl(base, post) {
+  return `${base}/p/${post.id}`;
+}
+
+// opens the listing inside the app (works for private channels too, once signed in)
+function appUrl(base, id) {
+  return `${base}/?post=${id}`;
+}
+
+// "Ksh 3,500 · 90 kg", as on the feed cards; legacy rows keep their typed price
+function priceLabel(post, locale = i18n.DEFAULT_LOCALE) {
+  if (post.price === null || post.price === undefined) return post.priceText || '';
+  const amount = i18n.formatMoney(locale, Number(post.price), post.currency || 'KES');
+  return post.quantity && post.unit ? `${amount} · ${i18n.formatNumber(locale, post.quantity)} ${post.unit}` : amount;
+}
+
+function listingTitle(post, locale = i18n.DEFAULT_LOCALE) {
+  return post.type === 'request' ? i18n.t(locale, 'share.wanted_title', { item: post.itemName }) : post.itemName;
+}
+
+function statusLabel(post, locale) {
+  return i18n.t(locale, `status.${post.status}`);
+}
+
+// one line for previews and feed summaries: price, place, status when not plain available, then
+// the start of the description
+function listingSummary(post, locale = i18n.DEFAULT_LOCALE, max = 200) {
+  const facts = [priceLabel(post, locale), post.location, post.status !== 'active' && statusLabel(post, locale)].filter(Boolean).join(' · ');
+  return clip([facts, post.description].filter(Boolean).join(' - '), max);
+}
+
+// the cover photo (first of post.images, or the legacy single image) as { url, width, height }
+function coverImage(base, post) {
+  const first = post.images && post.images[0];
+  if (first) return { url: absolute(base, first.medium), width: first.width, height: first.height };
+  return post.image ? { url: absolute(base, post.image) } : null;
+}
+
+function sellerName(post, locale) {
+  const s = post.seller;
+  if (!s) return null;
+  return s.displayName || i18n.t(locale, 'post.seller', { id: String(s.id) });
+}
+
+function dateLabel(date, locale) {
+  return i18n.formatDate(locale, date, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Africa/Nairobi' });
+}
+
+// "en-KE" for <html lang> and xml:lang
+function langTag(locale) {
+  return i18n.INTL_TAGS[locale] || i18n.INTL_TAGS[i18n.DEFAULT_LOCALE];
+}
+
+const PAGE_STYLE = `
+  body { margin: 0; font: 16px/1.45 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; background: #071022; color: #e6eef6; }
+  a { color: #10b981; }
+  .wrap { max-width: 640px; margin: 0 auto; padding: 16px; }
+  .brand { display: inline-block; margin-bottom: 12px; color: #10b981; font-weight: 700; text-decoration: none; }
+  h1 { margin: 0 0 4px; font-size: 1.4rem; }
+  .price { font-size: 1.2rem; color: #10b981; margin-bottom: 12px; }
+  .badge { display: inline-block; margin-left: 8px; padding: 1px 8px; border-radius: 10px; background: rgba(255, 255, 255, 0.12); font-size: .8rem; vertical-align: middle; }
+  .photos img { display: block; width: 100%; height: auto; border-radius: 8px; margin-bottom: 8px; background: #071826; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 12px 0; }
+  dt { color: #94a3b8; }
+  dd { margin: 0; }
+  .description { white-space: pre-line; }
+  .actions { display: flex; gap: 8px; flex-wrap: wrap; margin-top: 16px; }
+  .btn { padding: 10px 16px; border-radius: 20px; background: #10b981; color: #021; font-weight: 600; text-decoration: none; }
+  .btn.secondary { background: rgba(255, 255, 255, 0.12); color: #e6eef6; }
+  .muted { color: #94a3b8; }
+`;
+
+function pageShell({ title, head = '', body, locale }) {
+  return `<!doctype html>
+<html lang="${langTag(locale)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeXml(title)}</title>
+  <meta name="theme-color" content="#111b21" />
+  <link rel="icon" href="/icons/icon.svg" type="image/svg+xml" />
+${head}
+  <style>${PAGE_STYLE}</style>
+</head>
+<body>
+  <div class="wrap">
+    <a class="brand" href="/">${SITE_NAME}</a>
+${body}
+  </div>
+</body>
+</html>
+`;
+}
+
+// the page behind a shared link: Open Graph / Twitter tags for the preview, then the listing
+// itself for people without the app. With `channel` ({ name, slug }) its feeds are linked too.
+function listingPage(base, post, { channel = null, locale = i18n.DEFAULT_LOCALE } = {}) {
+  const t = (key, params) => i18n.t(locale, `share.${key}`, params);
+  const url = postUrl(base, post);
+  const title = listingTitle(post, locale);
+  const summary = listingSummary(post, locale);
+  const photoAlt = t('photo_of', { item: post.itemName });
+  const cover = coverImage(base, post);
+  const image = cover || { url: absolute(base, FALLBACK_IMAGE), width: 512, height: 512 };
+  const meta = [
+    ['name', 'description', summary],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', summary],
+    ['property', 'og:url', url],
+    ['property', 'og:image', image.url],
+    ['property', 'og:image:type', cover ? 'image/jpeg' : 'image/png'],
+    ...(image.width ? [['property', 'og:image:width', image.width], ['property', 'og:image:height', image.height]] : []),
+    ['property', 'og:image:alt', cover ? photoAlt : SITE_NAME],
+    ['property', 'og:locale', langTag(locale).replace('-', '_')],
+    ['name', 'twitter:card', cover ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', summary],
+    ['name', 'twitter:image', image.url]
+  ];
+  const head = [
+    `  <link rel="canonical" href="${escapeXml(url)}" />`,
+    ...meta.map(([attr, key, value]) => `  <meta ${attr}="${key}" content="${escapeXml(value)}" />`),
+    ...(channel ? [
+      `  <link rel="alternate" type="application/rss+xml" title="${escapeXml(channel.name)} (RSS)" href="${escapeXml(`${base}/feeds/${channel.slug}.rss`)}" />`,
+      `  <link rel="alternate" type="application/atom+xml" title="${escapeXml(channel.name)} (Atom)" href="${escapeXml(`${base}/feeds/${channel.slug}.atom`)}" />`
+    ] : [])
+  ].join('\n');
+
+  const seller = sellerName(post, locale);
+  const rating = post.seller && post.seller.ratingCount ? ` · ★ ${i18n.formatNumber(locale, post.seller.rating)} (${i18n.formatNumber(locale, post.seller.ratingCount)})` : '';
+  const details = [
+    [t('location'), post.location],
+    [t('quantity'), post.quantity ? `${i18n.formatNumber(locale, post.quantity)} ${post.unit ? UNITS[post.unit] || post.unit : ''}`.trim() : null],
+    [t('needed_by'), post.type === 'request' && post.neededBy ? dateLabel(post.neededBy, locale) : null],
+    [t('seller'), seller ? `${seller}${post.seller.phoneVerified ? ' ✓' : ''}${rating}` : null],
+    [t('channel'), channel ? channel.name : null],
+    [t('posted'), dateLabel(post.createdAt, locale)]
+  ].filter(([, value]) => value);
+  const photos = (post.images && post.images.length ? post.images.map(im => ({ url: absolute(base, im.medium), width: im.width, height: im.height })) : [cover])
+    .filter(Boolean)
+    .map(im => `<img src="${escapeXml(im.url)}"${im.width ? ` width="${im.width}" height="${im.height}"` : ''} alt="${escapeXml(photoAlt)}" loading="lazy" />`);
+
+  const body = `    <h1>${escapeXml(title)}${post.status !== 'active' ? `<span class="badge">${escapeXml(statusLabel(post, locale))}</span>` : ''}</h1>
+    ${priceLabel(post, locale) ? `<div class="price">${escapeXml(priceLabel(post, locale))}</div>` : ''}
+    ${photos.length ? `<div class="photos">${photos.join('')}</div>` : ''}
+    <dl>${details.map(([label, value]) => `<dt>${escapeXml(label)}</dt><dd>${escapeXml(value)}</dd>`).join('')}</dl>
+    ${post.description ? `<p class="description">${escapeXml(post.description)}</p>` : ''}
+    <div class="actions">
+      <a class="btn" href="${escapeXml(appUrl(base, post.id))}">${escapeXml(t('open_app', { site: SITE_NAME }))}</a>${post.phone ? `
+      <a class="btn secondary" href="tel:${escapeXml(post.phone)}">${escapeXml(t('call', { phone: post.phone }))}</a>` : ''}
+    </div>`;
+  return pageShell({ title: `${title} · ${SITE_NAME}`, head, body, locale });
+}
+
+// deleted, hidden or in a private channel: the same answer for all three, so a link can't be used
+// to find out which. Members of a private channel get there through the app link.
+function missingPage(base, id, locale = i18n.DEFAULT_LOCALE) {
+  const t = (key, params) => i18n.t(locale, `share.${key}`, params);
+  const body = `    <h1>${escapeXml(t('missing_title'))}</h1>
+    <p class="muted">${escapeXml(t('missing_text'))}</p>
+    <div class="actions"><a class="btn" href="${escapeXml(appUrl(base, id))}">${escapeXml(t('open_app', { site: SITE_NAME }))}</a></div>`;
+  return pageShell({ title: `${t('missing_title')} · ${SITE_NAME}`, head: '  <meta name="robots" content="noindex" />', body, locale });
+}
+
+// feed items shared by the three formats
+function feedItem(base, post, locale) {
+  const cover = coverImage(base, post);
+  const html = [
+    cover ? `<p><img src="${escapeXml(cover.url)}" alt="${escapeXml(i18n.t(locale, 'share.photo_of', { item: post.itemName }))}" /></p>` : '',
+    `<p>${escapeXml([priceLabel(post, locale), post.location, sellerName(post, locale)].filter(Boolean).join(' · '))}</p>`,
+    post.description ? `<p>${escapeXml(post.description)}</p>` : ''
+  ].join('');
+  return {
+    url: postUrl(base, post),
+    title: listingTitle(post, locale),
+    summary: listingSummary(post, locale),
+    html,
+    image: cover,
+    author: sellerName(post, locale),
+    published: new Date(post.createdAt),
+    updated: new Date(post.updatedAt || post.createdAt),
+    tags: [i18n.t(locale, post.type === 'request' ? 'share.tag_wanted' : 'share.tag_for_sale'), post.commodity && post.commodity.name].filter(Boolean),
+    post
+  };
+}
+
+// `feed` is { title, description, homeUrl, feedUrl, links: { rss, atom, json } }; posts newest first
+function rssFeed(base, feed, posts, locale = i18n.DEFAULT_LOCALE) {
+  const items = posts.map(p => feedItem(base, p, locale));
+  const built = items.length ? new Date(Math.max(...items.map(i => i.updated))) : new Date();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+<channel>
+  <title>${escapeXml(feed.title)}</title>
+  <link>${escapeXml(feed.homeUrl)}</link>
+  <description>${escapeXml(feed.description)}</description>
+  <language>${langTag(locale).toLowerCase()}</language>
+  <lastBuildDate>${built.toUTCString()}</lastBuildDate>
+  <atom:link href="${escapeXml(feed.links.rss)}" rel="self" type="application/rss+xml" />
+${items.map(i => `  <item>
+    <title>${escapeXml(i.title)}</title>
+    <link>${escapeXml(i.url)}</link>
+    <guid isPermaLink="true">${escapeXml(i.url)}</guid>
+    <pubDate>${i.published.toUTCString()}</pubDate>
+    <description>${escapeXml(i.html)}</description>
+${i.tags.map(t => `    <category>${escapeXml(t)}</category>\n`).join('')}${i.image ? `    <media:content url="${escapeXml(i.image.url)}" type="image/jpeg" medium="image"${i.image.width ? ` width="${i.image.width}" height="${i.image.height}"` : ''} />\n` : ''}  </item>`).join('\n')}
+</channel>
+</rss>
+`;
+}
+
+function atomFeed(base, feed, posts, locale = i18n.DEFAULT_LOCALE) {
+  const items = posts.map(p => feedItem(base, p, locale));
+  const updated = items.length ? new Date(Math.max(...items.map(i => i.updated))) : new Date();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${langTag(locale)}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(feed.links.atom)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.links.atom)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${SITE_NAME}</name></author>
+  <icon>${escapeXml(absolute(base, FALLBACK_IMAGE))}</icon>
+${items.map(i => `  <entry>
+    <title>${escapeXml(i.title)}</title>
+    <id>${escapeXml(i.url)}</id>
+    <link rel="alternate" type="text/html" href="${escapeXml(i.url)}" />
+${i.image ? `    <link rel="enclosure" type="image/jpeg" href="${escapeXml(i.image.url)}" />\n` : ''}    <published>${i.published.toISOString()}</published>
+    <updated>${i.updated.toISOString()}</updated>
+${i.author ? `    <author><name>${escapeXml(i.author)}</name></author>\n` : ''}${i.tags.map(t => `    <category term="${escapeXml(t)}" />\n`).join('')}    <summary>${escapeXml(i.summary)}</summary>
+    <content type="html">${escapeXml(i.html)}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+// JSON Feed 1.1; the structured listing fields ride along under the _agrichannel extension
+function jsonFeed(base, feed, posts, locale = i18n.DEFAULT_LOCALE) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.links.json,
+    icon: absolute(base, FALLBACK_IMAGE),
+    language: langTag(locale),
+    items: posts.map(p => feedItem(base, p, locale)).map(i => ({
+      id: i.url,
+      url: i.url,
+      title: i.title,
+      summary: i.summary,
+      content_html: i.html,
+      ...(i.image ? { image: i.image.url } : {}),
+      date_published: i.published.toISOString(),
+      date_modified: i.updated.toISOString(),
+      ...(i.author ? { authors: [{ name: i.author }] } : {}),
+      tags: i.tags,
+      _agrichannel: {
+        id: i.post.id,
+        type: i.post.type,
+        status: i.post.status,
+        commodity: i.post.commodity ? i.post.commodity.slug : null,
+        price: i.post.price,
+        currency: i.post.currency,
+        quantity: i.post.quantity,
+        unit: i.post.unit,
+        location: i.post.location,
+        latitude: i.post.latitude,
+        longitude: i.post.longitude,
+        expiresAt: i.post.expiresAt
+      }
+    }))
+  }, null, 2);
+}
+
+module.exports = { SITE_NAME, escapeXml, priceLabel, listingTitle, listingSummary, listingPage, missingPage, rssFeed, atomFeed, jsonFeed };
@@ -0,0 +1,44 @@
+// lib/sms.js - pluggable SMS senders (one-time codes, notifications)
+//
+// A sender is any object with `async send(to, message)`. SMS_SENDER picks one:
+//   console (default)  - print messages to stdout, for local development
+//   file               - append messages to SMS_OUTBOX_FILE (default data/sms-outbox.log)
+//   ./path/to/module   - require a module exporting a sender or a factory(options) => sender
+const fs = require('fs');
+const path = require('path');
+
+function consoleSender() {
+  return {
+    name: 'console',
+    async send(to, message) {
+      console.log(`[sms -> ${to}] ${message}`);
+    }
+  };
+}
+
+function fileSender({ file }) {
+  return {
+    name: 'file',
+    async send(to, message) {
+      const line = JSON.stringify({ ts: new Date().toISOString(), to, message }) + '\n';
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, line);
+    }
+  };
+}
+
+function createSmsSender(name, options = {}) {
+  const kind = (name || 'console').trim();
+  if (kind === 'console') return consoleSender();
+  if (kind === 'file') return fileSender({ file: options.file });
+
+  // custom sender module, resolved relative to the project root
+  const mod = require(path.resolve(options.root || process.cwd(), kind));
+  const sender = typeof mod === 'function' ? mod(options) : mod;
+  if (!sender || typeof sender.send !== 'function') {
+    throw new Error(`SMS sender "${kind}" does not export a send(to, message) function`);
+  }
+  return sender;
+}
+
+module.exports = { createSmsSender };
@@ -0,0 +1,70 @@
+// lib/webhooks.js - outbound webhooks: event filters, HMAC signatures and retry timing
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['post.created', 'post.updated', 'post.deleted'];
+const SIGNATURE_HEADER = 'X-AgriChannel-Signature';
+const MAX_RETRY_SECONDS = 6 * 3600;
+
+// shared with the receiver once, when the webhook is registered (or the secret rotated)
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of '<t>.<body>'>". The timestamp is part of what is
+// signed, so a receiver can refuse old deliveries and a captured one can't be replayed later.
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+// receiver side: true when the header was made with this secret for this exact body, no more
+// than toleranceSeconds ago
+function verify(secret, body, header, toleranceSeconds = 300) {
+  const parts = {};
+  for (const part of String(header || '').split(',')) {
+    const i = part.indexOf('=');
+    if (i > 0) parts[part.slice(0, i).trim()] = part.slice(i + 1).trim();
+  }
+  const t = parseInt(parts.t, 10);
+  if (!t || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+  if (Math.abs(Date.now() / 1000 - t) > toleranceSeconds) return false;
+  const expected = Buffer.from(sign(secret, body, t).split('v1=')[1], 'hex');
+  return crypto.timingSafeEqual(Buffer.from(parts.v1, 'hex'), expected);
+}
+
+// event filter from the API (array or comma list of WEBHOOK_EVENTS, or "*" for all) as stored:
+// { value } or { error, params } (error codes of the errors.* catalog)
+function parseEvents(input) {
+  const list = Array.isArray(input) ? input : String(input == null ? '*' : input).split(',');
+  const events = [...new Set(list.map(e => String(e).trim()).filter(Boolean))];
+  if (!events.length || events.includes('*')) return { value: '*' };
+  const unknown = events.find(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown) return { error: 'webhook_event_unknown', params: { event: unknown, events: WEBHOOK_EVENTS.join(', ') } };
+  return { value: WEBHOOK_EVENTS.filter(e => events.includes(e)).join(',') };
+}
+
+function wantsEvent(events, event) {
+  return events === '*' || events.split(',').includes(event);
+}
+
+// http(s) URL without credentials in it: { value } or { error } (a code, as above)
+function parseUrl(input) {
+  let url;
+  try {
+    url = new URL(String(input || '').trim());
+  } catch (e) {
+    return { error: 'webhook_url_invalid' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return { error: 'webhook_url_scheme' };
+  if (url.username || url.password) return { error: 'webhook_url_credentials' };
+  return { value: url.toString() };
+}
+
+// wait before the next try after `attempts` failed ones: base, 2x, 4x ... up to 6 hours, give or
+// take 20% so the retries of a burst of deliveries to one endpoint spread out
+function retryDelaySeconds(attempts, baseSeconds) {
+  const delay = Math.min(baseSeconds * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_SECONDS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+module.exports = { WEBHOOK_EVENTS, SIGNATURE_HEADER, newSecret, sign, verify, parseEvents, wantsEvent, parseUrl, retryDelaySeconds };
@@ -0,0 +1,28 @@
+// Users used to be keyed by a unique password signature (passwordSig NOT NULL UNIQUE).
+// Rebuild the table so accounts are keyed by phone; ids are copied as-is so
+// Post.ownerUserId keeps pointing at the same owner. Old password columns stay
+// (nullable) until the owner links a phone through /api/login/legacy.
+module.exports = {
+  // the DROP would otherwise cascade into Posts
+  foreignKeys: false,
+  async up({ sequelize, queryInterface, tableExists }) {
+    if (!(await tableExists('Users'))) return false;
+    const cols = await queryInterface.describeTable('Users');
+    if (cols.phone) return false;
+
+    await sequelize.query(`CREATE TABLE \`Users_new\` (
+      \`id\` INTEGER PRIMARY KEY AUTOINCREMENT,
+      \`phone\` VARCHAR(255) UNIQUE,
+      \`phoneVerifiedAt\` DATETIME,
+      \`passwordHash\` VARCHAR(255),
+      \`passwordSig\` VARCHAR(255),
+      \`createdAt\` DATETIME NOT NULL,
+      \`updatedAt\` DATETIME NOT NULL
+    );`);
+    await sequelize.query(`INSERT INTO \`Users_new\` (id, passwordHash, passwordSig, createdAt, updatedAt)
+      SELECT id, passwordHash, passwordSig, createdAt, updatedAt FROM \`Users\`;`);
+    await sequelize.query('DROP TABLE `Users`;');
+    await sequelize.query('ALTER TABLE `Users_new` RENAME TO `Users`;');
+    return true;
+  }
+};
@@ -0,0 +1,18 @@
+// Posts.price used to be free text. Keep what was typed in priceText and add
+// structured price/currency/quantity/unit/commodity columns. Returns true when it
+// changed the table; the server then backfills the new columns once (backfillLegacyPrices).
+module.exports = {
+  async up({ sequelize, queryInterface, tableExists }) {
+    if (!(await tableExists('Posts'))) return false;
+    const cols = await queryInterface.describeTable('Posts');
+    if (cols.priceText) return false;
+
+    await sequelize.query('ALTER TABLE `Posts` RENAME COLUMN `price` TO `priceText`;');
+    await sequelize.query('ALTER TABLE `Posts` ADD COLUMN `price` REAL;');
+    await sequelize.query("ALTER TABLE `Posts` ADD COLUMN `currency` VARCHAR(3) NOT NULL DEFAULT 'KES';");
+    await sequelize.query('ALTER TABLE `Posts` ADD COLUMN `quantity` REAL;');
+    await sequelize.query('ALTER TABLE `Posts` ADD COLUMN `unit` VARCHAR(255);');
+    await sequelize.query('ALTER TABLE `Posts` ADD COLUMN `commodityId` INTEGER REFERENCES `Commodities` (`id`) ON DELETE SET NULL ON UPDATE CASCADE;');
+    return true;
+  }
+};
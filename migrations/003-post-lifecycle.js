@@ -0,0 +1,10 @@
+// listing status (active/reserved/sold/expired) and expiry; older rows get their expiry from
+// backfillExpiry on startup
+module.exports = {
+  async up({ addMissingColumns }) {
+    await addMissingColumns('Posts', {
+      status: "VARCHAR(255) NOT NULL DEFAULT 'active'",
+      expiresAt: 'DATETIME'
+    });
+  }
+};
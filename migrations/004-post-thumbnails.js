@@ -0,0 +1,6 @@
+// cover thumbnail of the first photo (PostImages holds the rest)
+module.exports = {
+  async up({ addMissingColumns }) {
+    await addMissingColumns('Posts', { thumb: 'VARCHAR(255)' });
+  }
+};
@@ -0,0 +1,14 @@
+// user roles and bans, posts hidden by moderators
+module.exports = {
+  async up({ addMissingColumns }) {
+    await addMissingColumns('Posts', {
+      hiddenAt: 'DATETIME',
+      hiddenReason: 'VARCHAR(255)'
+    });
+    await addMissingColumns('Users', {
+      role: "VARCHAR(255) NOT NULL DEFAULT 'member'",
+      bannedAt: 'DATETIME',
+      banReason: 'VARCHAR(255)'
+    });
+  }
+};
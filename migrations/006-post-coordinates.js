@@ -0,0 +1,9 @@
+// listing coordinates for near-me search; filled from the typed location by geocodeOldPosts
+module.exports = {
+  async up({ addMissingColumns }) {
+    await addMissingColumns('Posts', {
+      latitude: 'FLOAT',
+      longitude: 'FLOAT'
+    });
+  }
+};
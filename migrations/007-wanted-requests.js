@@ -0,0 +1,9 @@
+// offers vs. wanted requests, and a request's deadline
+module.exports = {
+  async up({ addMissingColumns }) {
+    await addMissingColumns('Posts', {
+      type: "VARCHAR(255) NOT NULL DEFAULT 'offer'",
+      neededBy: 'DATETIME'
+    });
+  }
+};
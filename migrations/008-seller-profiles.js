@@ -0,0 +1,9 @@
+// public profile fields
+module.exports = {
+  async up({ addMissingColumns }) {
+    await addMissingColumns('Users', {
+      displayName: 'VARCHAR(255)',
+      area: 'VARCHAR(255)'
+    });
+  }
+};
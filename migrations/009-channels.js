@@ -0,0 +1,8 @@
+// listings belong to a channel; older ones are moved into DEFAULT_CHANNEL on start (ensureDefaultChannel)
+module.exports = {
+  async up({ addMissingColumns }) {
+    await addMissingColumns('Posts', {
+      channelId: 'INTEGER REFERENCES `Channels` (`id`) ON DELETE SET NULL ON UPDATE CASCADE'
+    });
+  }
+};
@@ -0,0 +1,8 @@
+// app language per account, for SMS and for the app on other devices
+module.exports = {
+  async up({ addMissingColumns }) {
+    await addMissingColumns('Users', {
+      language: 'VARCHAR(5)'
+    });
+  }
+};
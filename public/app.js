@@ -16,81 +16,380 @@
     });
   }
 
+  await i18n.ready;
+  const { t } = i18n;
   const hasIo = await waitForIo();
-  const socket = hasIo ? io(SOCKET_URL) : { on: ()=>{}, emit: ()=>{}, connected:false };
+  // auth is read on every (re)connect so login/logout only need reconnectSocket(); an access
+  // token about to expire is refreshed first
+  const socket = hasIo
+    ? io(SOCKET_URL, { auth: (cb) => freshToken().then(token => cb({ token, lang: i18n.locale })) })
+    : { on: ()=>{}, emit: ()=>{}, connect: ()=>{}, disconnect: ()=>{}, connected:false };
+  function reconnectSocket(){ socket.disconnect(); socket.connect(); }
 
   // UI refs
   const loginModal = document.getElementById('loginModal');
+  const phoneInput = document.getElementById('phoneInput');
   const passwordInput = document.getElementById('passwordInput');
-  const registerBtn = document.getElementById('registerBtn');
-  const loginBtn = document.getElementById('loginBtn');
+  const sendCodeBtn = document.getElementById('sendCodeBtn');
+  const codeStep = document.getElementById('codeStep');
+  const codeInput = document.getElementById('codeInput');
+  const verifyBtn = document.getElementById('verifyBtn');
+  const legacyToggle = document.getElementById('legacyToggle');
   const authMsg = document.getElementById('authMsg');
   const ownerControls = document.getElementById('ownerControls');
   const logoutBtn = document.getElementById('logoutBtn');
 
   const feed = document.getElementById('feed');
+  const outboxFeed = document.getElementById('outboxFeed');
+  const offlineBanner = document.getElementById('offlineBanner');
+  const offlineText = document.getElementById('offlineText');
+  const feedSentinel = document.getElementById('feedSentinel');
+  const contentEl = document.querySelector('.content');
+  const searchInput = document.getElementById('searchInput');
+  const filterBtn = document.getElementById('filterBtn');
+  const filterFields = document.getElementById('filterFields');
+  const filterLocation = document.getElementById('filterLocation');
+  const filterMinPrice = document.getElementById('filterMinPrice');
+  const filterMaxPrice = document.getElementById('filterMaxPrice');
+  const filterMine = document.getElementById('filterMine');
+  const filterCommodity = document.getElementById('filterCommodity');
+  const filterSort = document.getElementById('filterSort');
+  const filterType = document.getElementById('filterType');
+  const filterNear = document.getElementById('filterNear');
+  const nearMsg = document.getElementById('nearMsg');
   const onlineCountEl = document.getElementById('onlineCount');
+  const langBtn = document.getElementById('langBtn');
 
   const compose = document.getElementById('compose');
+  const postType = document.getElementById('postType');
+  const postNeededBy = document.getElementById('postNeededBy');
   const itemName = document.getElementById('itemName');
   const postPrice = document.getElementById('postPrice');
+  const postCommodity = document.getElementById('postCommodity');
+  const postQuantity = document.getElementById('postQuantity');
+  const postUnit = document.getElementById('postUnit');
   const moreBtn = document.getElementById('moreBtn');
   const postImage = document.getElementById('postImage');
   const postBtn = document.getElementById('postBtn');
 
   const extraFields = document.getElementById('extraFields');
   const postLocation = document.getElementById('postLocation');
+  const postGeoBtn = document.getElementById('postGeoBtn');
+  const postGeoNote = document.getElementById('postGeoNote');
   const postPhone = document.getElementById('postPhone');
   const postTitle = document.getElementById('postTitle');
 
   const previewArea = document.getElementById('previewArea');
-  const previewImg = document.getElementById('previewImg');
+  const previewGrid = document.getElementById('previewGrid');
   const removePreview = document.getElementById('removePreview');
+  const gallery = document.getElementById('gallery');
+  const galleryImg = document.getElementById('galleryImg');
+  const galleryCount = document.getElementById('galleryCount');
+  const galleryPrev = document.getElementById('galleryPrev');
+  const galleryNext = document.getElementById('galleryNext');
+  const galleryClose = document.getElementById('galleryClose');
 
   const notifAudio = document.getElementById('notifAudio');
+  const editBanner = document.getElementById('editBanner');
+  const editLabel = document.getElementById('editLabel');
+  const cancelEditBtn = document.getElementById('cancelEditBtn');
+
+  const inboxBtn = document.getElementById('inboxBtn');
+  const rateBtn = document.getElementById('rateBtn');
+  const profileBtn = document.getElementById('profileBtn');
+  const profilePanel = document.getElementById('profilePanel');
+  const profileBack = document.getElementById('profileBack');
+  const profileTitle = document.getElementById('profileTitle');
+  const profileInfo = document.getElementById('profileInfo');
+  const profileForm = document.getElementById('profileForm');
+  const profileName = document.getElementById('profileName');
+  const profileArea = document.getElementById('profileArea');
+  const saveProfileBtn = document.getElementById('saveProfileBtn');
+  const profileMsg = document.getElementById('profileMsg');
+  const profileReviews = document.getElementById('profileReviews');
+  const sessionsSection = document.getElementById('sessionsSection');
+  const sessionList = document.getElementById('sessionList');
+  const revokeOthersBtn = document.getElementById('revokeOthersBtn');
+  const inboxBadge = document.getElementById('inboxBadge');
+  const inboxPanel = document.getElementById('inboxPanel');
+  const inboxBack = document.getElementById('inboxBack');
+  const inboxTitle = document.getElementById('inboxTitle');
+  const inboxList = document.getElementById('inboxList');
+  const chatView = document.getElementById('chatView');
+  const chatMessages = document.getElementById('chatMessages');
+  const chatInput = document.getElementById('chatInput');
+  const chatSend = document.getElementById('chatSend');
+
+  const modLink = document.getElementById('modLink');
+  const alertsBtn = document.getElementById('alertsBtn');
+  const alertsBadge = document.getElementById('alertsBadge');
+  const alertsPanel = document.getElementById('alertsPanel');
+  const alertsBack = document.getElementById('alertsBack');
+  const alertMatchesEl = document.getElementById('alertMatches');
+  const alertList = document.getElementById('alertList');
+  const saveSearchBtn = document.getElementById('saveSearchBtn');
+  const prefSound = document.getElementById('prefSound');
+  const prefQuietStart = document.getElementById('prefQuietStart');
+  const prefQuietEnd = document.getElementById('prefQuietEnd');
+  const prefDigest = document.getElementById('prefDigest');
+  const savePrefsBtn = document.getElementById('savePrefsBtn');
+  const prefsMsg = document.getElementById('prefsMsg');
+  const channelSelect = document.getElementById('channelSelect');
+  const channelsBtn = document.getElementById('channelsBtn');
+  const channelNote = document.getElementById('channelNote');
+  const channelsPanel = document.getElementById('channelsPanel');
+  const channelsBack = document.getElementById('channelsBack');
+  const channelInfo = document.getElementById('channelInfo');
+  const channelList = document.getElementById('channelList');
+  const channelActions = document.getElementById('channelActions');
+  const inviteInput = document.getElementById('inviteInput');
+  const inviteJoinBtn = document.getElementById('inviteJoinBtn');
+  const newChannelName = document.getElementById('newChannelName');
+  const newChannelDesc = document.getElementById('newChannelDesc');
+  const newChannelVisibility = document.getElementById('newChannelVisibility');
+  const createChannelBtn = document.getElementById('createChannelBtn');
+  const channelsMsg = document.getElementById('channelsMsg');
 
   // state
-  let userToken = localStorage.getItem('ac_token') || null;
+  let userToken = localStorage.getItem('ac_token') || null;     // short-lived access token
+  let refreshToken = localStorage.getItem('ac_refresh') || null; // swapped for a new access token (and itself replaced) by refreshSession
+  let tokenExpiresAt = Number(localStorage.getItem('ac_token_exp')) || 0;
+  let refreshing = null;           // the refresh in flight, shared by everything that needs a token
   let userId = localStorage.getItem('ac_userId') || null;
-  let notifPlaying = false;
-  let notifStopTimer = null;
-  let imageFile = null;
+  const MAX_PHOTOS = 6;
+  let imageFiles = [];             // new photos picked in the compose form
+  let removedImageIds = new Set(); // existing photos the owner removed while editing
+  let galleryPhotos = [];
+  let galleryIndex = 0;
+  let legacyMode = false;
+  let codePhone = null;
+  let nextCursor = null;   // cursor for the next feed page, null when the end is reached
+  let feedLoading = false;
+  let feedRequest = 0;     // bumps on every reset so stale page responses are dropped
+  let feedVersion = null;  // server feed version the rendered feed is up to date with (see syncFeed)
+  let feedSyncing = false;
+  let catalog = { units: {}, commodities: [] };
+  const postsById = new Map(); // posts currently rendered in the feed
+  let editingPost = null;      // set while the compose form edits an existing post
+  const conversations = new Map(); // inbox rows by conversation id
+  let openConversationId = null;   // conversation shown in the chat view
+  let profileUserId = null;        // user shown in the profile panel
+  let flushingOutbox = false;
+  let outboxRetryAt = 0;           // set when the server throttles uploads; flushing waits until then
+  let outboxUrls = [];             // object URLs of pending-post thumbnails, revoked on re-render
+  let alertMatches = [];           // listings pushed by alert / alert_digest since the page loaded
+  let unseenAlerts = 0;
+  let viewerPos = JSON.parse(localStorage.getItem('ac_pos') || 'null'); // last known position, for distances
+  let composeCoords = null;        // position attached to the post being composed
+  let channels = [];               // the open channel, the viewer's channels and other public ones
+  let currentChannel = localStorage.getItem('ac_channel') || 'general'; // slug of the channel the feed shows
 
   // helpers
   function escapeHtml(s){ if(!s) return ''; return s.replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
   function absoluteImageUrl(imgPath){ if(!imgPath) return null; if(imgPath.startsWith('http://') || imgPath.startsWith('https://')) return imgPath; const base=API_BASE.replace(/\/$/,''); return base + (imgPath.startsWith('/') ? imgPath : '/' + imgPath); }
 
-  function showModal(){ loginModal.classList.add('visible'); passwordInput.focus(); }
+  // "Ksh 3,500 · 90 kg" for structured prices, the typed text for legacy rows
+  function formatPrice(p){
+    if (p.price === null || p.price === undefined || p.price === '') return p.priceText ? escapeHtml(p.priceText) : '';
+    const amount = escapeHtml(i18n.formatMoney(p.price, p.currency || 'KES'));
+    return p.quantity && p.unit ? `${amount} · ${i18n.formatNumber(Number(p.quantity))} ${escapeHtml(p.unit)}` : amount;
+  }
+
+  // commodity catalog for the compose and filter pickers
+  async function loadCatalog(){
+    try {
+      const res = await fetch(`${API_BASE}/api/commodities`);
+      if (!res.ok) throw new Error('Failed to fetch catalog: ' + res.status);
+      catalog = await res.json();
+      const groups = {};
+      catalog.commodities.forEach(c => { (groups[c.category] = groups[c.category] || []).push(c); });
+      const options = Object.keys(groups).map(cat =>
+        `<optgroup label="${escapeHtml(cat)}">${groups[cat].map(c => `<option value="${escapeHtml(c.slug)}">${escapeHtml(c.name)}</option>`).join('')}</optgroup>`
+      ).join('');
+      postCommodity.insertAdjacentHTML('beforeend', options);
+      filterCommodity.insertAdjacentHTML('beforeend', options);
+      fillUnits();
+    } catch(e){ console.error('Load catalog failed', e); }
+  }
+  function fillUnits(){
+    const c = catalog.commodities.find(x => x.slug === postCommodity.value);
+    const codes = c ? c.units : Object.keys(catalog.units);
+    postUnit.innerHTML = `<option value="">${escapeHtml(t('compose.unit'))}</option>` + codes.map(u => `<option value="${escapeHtml(u)}">${escapeHtml(catalog.units[u] || u)}</option>`).join('');
+    if (c && codes.length) postUnit.value = codes[0];
+  }
+  postCommodity.addEventListener('change', fillUnits);
+
+  function showModal(){ loginModal.classList.add('visible'); phoneInput.focus(); }
   function hideModal(){ loginModal.classList.remove('visible'); authMsg.textContent=''; }
   function showCompose(){ compose.classList.remove('hidden'); previewArea.classList.remove('hidden'); previewArea.classList.add('hidden'); } // ensure preview hidden initially
   function hideCompose(){ compose.classList.add('hidden'); }
 
-  function setAuth(token, uid){
-    userToken = token; userId = uid;
+  function isModeratorRole(role){ return role === 'moderator' || role === 'admin'; }
+  function storeTokens({ token, refreshToken: refresh, expiresIn }){
+    userToken = token; refreshToken = refresh;
+    tokenExpiresAt = Date.now() + expiresIn * 1000;
     localStorage.setItem('ac_token', token);
-    localStorage.setItem('ac_userId', uid);
-    authMsg.textContent = 'Owner logged in';
+    localStorage.setItem('ac_refresh', refresh);
+    localStorage.setItem('ac_token_exp', String(tokenExpiresAt));
+  }
+  // after a login: { token, refreshToken, expiresIn, userId, role, language }
+  function setAuth(login){
+    storeTokens(login);
+    userId = login.userId;
+    localStorage.setItem('ac_userId', login.userId);
+    localStorage.setItem('ac_role', login.role || 'member');
+    modLink.classList.toggle('hidden', !isModeratorRole(login.role));
+    authMsg.textContent = t('auth.owner_logged_in');
     ownerControls.classList.remove('hidden');
+    inboxBtn.classList.remove('hidden');
+    alertsBtn.classList.remove('hidden');
+    profileBtn.classList.remove('hidden');
+    saveSearchBtn.classList.remove('hidden');
     hideModal();
     showCompose();
     requestNotificationAndUnlockAudio();
+    reconnectSocket();
+    loadInbox();
+    loadChannels();
+    syncLanguage(login.language);
   }
   function clearAuth(){
-    userToken = null; userId = null;
-    localStorage.removeItem('ac_token'); localStorage.removeItem('ac_userId');
-    passwordInput.value = '';
+    userToken = null; refreshToken = null; tokenExpiresAt = 0; userId = null;
+    ['ac_token', 'ac_refresh', 'ac_token_exp', 'ac_userId', 'ac_role'].forEach(k => localStorage.removeItem(k));
+    // offline copies of API answers go too; the next person on this phone starts from the network
+    if ('caches' in window) caches.keys().then(names => Promise.all(names.filter(n => n.startsWith('ac-data-')).map(n => caches.delete(n)))).catch(e => console.warn('Clearing cached data failed', e));
+    modLink.classList.add('hidden');
+    phoneInput.value = ''; passwordInput.value = ''; codeInput.value = '';
+    codePhone = null; codeStep.classList.add('hidden');
     ownerControls.classList.add('hidden');
+    inboxBtn.classList.add('hidden');
+    alertsBtn.classList.add('hidden');
+    profileBtn.classList.add('hidden');
+    saveSearchBtn.classList.add('hidden');
+    closeInbox();
+    closeAlerts();
+    closeProfile();
+    closeChannels();
+    alertMatches = []; unseenAlerts = 0; updateAlertsBadge();
+    conversations.clear(); updateInboxBadge();
+    renderOutbox();
     hideCompose();
     showModal();
+    reconnectSocket();
+    loadChannels();
   }
 
+  // swaps the refresh token for a new pair. Only a refusal from the server logs out; a network
+  // error keeps the login for later. Resolves to whether there is a usable token now.
+  function refreshSession(){
+    if (!refreshing) refreshing = (async () => {
+      const sent = refreshToken;
+      if (!sent) { if (userToken) clearAuth(); return false; }
+      try {
+        const res = await fetch(`${API_BASE}/api/token/refresh`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ refreshToken: sent }) });
+        const body = await res.json().catch(() => ({}));
+        if (res.ok) { storeTokens(body); return true; }
+        if (res.status >= 500) return false;
+        // another tab may have rotated the same refresh token a moment earlier
+        await new Promise(r => setTimeout(r, 1500));
+        const stored = localStorage.getItem('ac_refresh');
+        if (stored && stored !== sent) {
+          userToken = localStorage.getItem('ac_token'); refreshToken = stored;
+          tokenExpiresAt = Number(localStorage.getItem('ac_token_exp')) || 0;
+          return true;
+        }
+        clearAuth();
+        authMsg.textContent = t('auth.session_ended');
+        return false;
+      } catch(e){
+        console.warn('Token refresh failed', e);
+        return false;
+      }
+    })().finally(() => { refreshing = null; });
+    return refreshing;
+  }
+  async function freshToken(){
+    if (userToken && Date.now() > tokenExpiresAt - 60000) await refreshSession();
+    return userToken;
+  }
+  // fetch with the current access token (when logged in): refreshed first when it is about to
+  // expire, and once more if the server still answers 401
+  async function apiFetch(url, options = {}){
+    const send = () => {
+      const headers = { ...(options.headers || {}), 'Accept-Language': i18n.locale };
+      if (userToken) headers.Authorization = `Bearer ${userToken}`;
+      return fetch(url, { ...options, headers });
+    };
+    await freshToken();
+    let res = await send();
+    if (res.status === 401 && userToken && await refreshSession()) res = await send();
+    return res;
+  }
+  // logout ends this device's session on the server too (by refresh token, which outlives the access token)
+  async function logout(){
+    const refresh = refreshToken;
+    clearAuth();
+    try {
+      await fetch(`${API_BASE}/api/logout`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ refreshToken: refresh }) });
+    } catch(e){ console.warn('Logout request failed', e); }
+  }
+  // the stored login is checked with the server rather than assumed valid
+  async function checkSession(){
+    try {
+      const res = await apiFetch(`${API_BASE}/api/me`);
+      if (res.status === 401 && userToken) return clearAuth();
+      if (!res.ok) return;
+      const me = await res.json();
+      localStorage.setItem('ac_role', me.role);
+      modLink.classList.toggle('hidden', !isModeratorRole(me.role));
+      syncLanguage(me.language);
+    } catch(e){ console.warn('Session check failed (offline?)', e); }
+  }
+
+  // language: a choice made on this device wins; otherwise the account's language (set on another
+  // device) is taken up, and an account without one gets this device's
+  function syncLanguage(saved){
+    if (saved && saved !== i18n.locale && !i18n.chosen()) {
+      i18n.setLocale(saved);
+      return location.reload();
+    }
+    if (saved !== i18n.locale) saveLanguage(i18n.locale);
+  }
+  function saveLanguage(language){
+    return apiFetch(`${API_BASE}/api/users/me`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ language }) })
+      .catch(e => console.warn('Saving language failed', e));
+  }
+  // the toggle shows the language it switches to
+  const otherLocale = i18n.LOCALES.find(l => l !== i18n.locale);
+  langBtn.textContent = otherLocale.toUpperCase();
+  langBtn.title = `${t('language.title')}: ${t(`language.${otherLocale}`)}`;
+  langBtn.addEventListener('click', async ()=>{
+    i18n.setLocale(otherLocale);
+    if (userToken) await saveLanguage(otherLocale);
+    location.reload();
+  });
+  // another tab refreshed the tokens or logged out
+  window.addEventListener('storage', (e) => {
+    if (e.key !== 'ac_token' || !userToken) return;
+    if (!e.newValue) return clearAuth();
+    userToken = e.newValue;
+    refreshToken = localStorage.getItem('ac_refresh');
+    tokenExpiresAt = Number(localStorage.getItem('ac_token_exp')) || 0;
+  });
+
   // On initial load: feed visible to everyone, modal appears for login if not logged
   function initUI(){
     if (userToken && userId) {
-      // quick verify? we assume token valid for now
       ownerControls.classList.remove('hidden');
+      inboxBtn.classList.remove('hidden');
+      alertsBtn.classList.remove('hidden');
+      profileBtn.classList.remove('hidden');
+      modLink.classList.toggle('hidden', !isModeratorRole(localStorage.getItem('ac_role')));
+      saveSearchBtn.classList.remove('hidden');
       hideModal();
       showCompose();
+      loadInbox();
+      checkSession();
     } else {
       ownerControls.classList.add('hidden');
       hideCompose();
@@ -98,83 +397,453 @@
     }
   }
 
-  // load & render posts
-  async function loadPosts(){
+  // load & render posts (first page on reset, then the next page as the feed scrolls)
+  function feedQuery(){
+    const params = new URLSearchParams();
+    const q = searchInput.value.trim();
+    if (q) params.set('q', q);
+    if (filterLocation.value.trim()) params.set('location', filterLocation.value.trim());
+    if (filterMinPrice.value) params.set('minPrice', filterMinPrice.value);
+    if (filterMaxPrice.value) params.set('maxPrice', filterMaxPrice.value);
+    if (filterMine.checked && userId) params.set('owner', userId);
+    if (filterCommodity.value) params.set('commodity', filterCommodity.value);
+    if (filterType.value) params.set('type', filterType.value);
+    const near = filterNear.value && viewerPos;
+    if (near) {
+      params.set('near', `${viewerPos.lat},${viewerPos.lng}`);
+      params.set('radiusKm', filterNear.value);
+    }
+    // near searches default to nearest first on the server, so "newest" has to be asked for
+    if (filterSort.value === 'distance' ? near : (filterSort.value !== 'newest' || near)) params.set('sort', filterSort.value);
+    return params;
+  }
+  async function loadPosts({ reset = true } = {}){
+    if (!reset && (feedLoading || !nextCursor)) return;
+    const reqId = reset ? ++feedRequest : feedRequest;
+    const params = feedQuery();
+    params.set('channel', currentChannel);
+    if (!reset) params.set('cursor', nextCursor);
+    feedLoading = true;
+    feedSentinel.textContent = t('common.loading');
     try{
-      const res = await fetch(`${API_BASE}/api/posts`);
+      const res = await apiFetch(`${API_BASE}/api/posts?${params}`);
+      // a remembered private channel the viewer can no longer read
+      if (res.status === 404 && currentChannel !== 'general') { feedLoading = false; return switchChannel('general'); }
       if (!res.ok) throw new Error('Failed to fetch posts: ' + res.status);
-      const posts = await res.json();
-      renderPosts(posts);
+      const body = await res.json();
+      if (reqId !== feedRequest) return;
+      // the service worker answers from its cache when the network is down
+      setOffline(res.headers.get('X-AgriChannel-Cache') === 'hit');
+      nextCursor = body.nextCursor;
+      if (reset || feedVersion === null) feedVersion = body.version ?? feedVersion;
+      renderPosts(body.posts, { append: !reset });
+      feedSentinel.textContent = nextCursor ? '' : (feed.children.length ? t('feed.no_more') : t('feed.none'));
     } catch(e){
       console.error('Load posts failed', e);
+      if (reqId !== feedRequest) return;
+      // keep whatever is already rendered rather than blanking the feed
+      if (!navigator.onLine || e instanceof TypeError) setOffline(true);
+      feedSentinel.textContent = feed.children.length ? '' : t('feed.load_failed');
+    } finally {
+      if (reqId === feedRequest) feedLoading = false;
+    }
+  }
+  // catches up with changes made since feedVersion (after a reconnect, or when the socket is down)
+  // instead of downloading the whole feed again
+  async function syncFeed(){
+    if (feedVersion === null || feedSyncing) return;
+    feedSyncing = true;
+    try {
+      const params = new URLSearchParams({ since: feedVersion, channel: currentChannel });
+      const res = await apiFetch(`${API_BASE}/api/posts/changes?${params}`);
+      if (!res.ok) throw new Error('Failed to fetch changes: ' + res.status);
+      const body = await res.json();
+      if (body.reset) return loadPosts();
+      body.created.concat(body.updated).forEach(upsertPost);
+      body.deleted.forEach(removePostFromFeed);
+      feedVersion = Math.max(feedVersion, body.version);
+    } catch(e){
+      console.warn('Feed sync failed', e);
+    } finally {
+      feedSyncing = false;
     }
   }
-  function renderPosts(posts){
-    feed.innerHTML = '';
+  // socket events carry the version they bring the feed to
+  function noteVersion(version){
+    if (version && feedVersion !== null) feedVersion = Math.max(feedVersion, version);
+  }
+  const STATUS_LABELS = { active: t('status.active'), reserved: t('status.reserved'), sold: t('status.sold'), expired: t('status.expired') };
+  // neededBy is the end of the day in UTC, so it is shown as that calendar date
+  function neededByLabel(p){
+    if (p.type !== 'request' || !p.neededBy) return '';
+    return ` • ${t('post.needed_by', { date: i18n.formatDate(p.neededBy, { day: 'numeric', month: 'short', timeZone: 'UTC' }) })}`;
+  }
+  // " • 12 km away": from near searches, or worked out here once the viewer's position is known
+  function distanceKm(lat1, lng1, lat2, lng2){
+    const rad = (d) => d * Math.PI / 180;
+    const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+  function distanceLabel(p){
+    let km = p.distanceKm;
+    if (km == null && viewerPos && p.latitude != null && p.longitude != null) km = distanceKm(viewerPos.lat, viewerPos.lng, p.latitude, p.longitude);
+    if (km == null) return '';
+    return ` • <span class="distance">${km < 1 ? t('post.under_1_km') : t('post.km_away', { km: Math.round(km) })}</span>`;
+  }
+  // "Wanjiku Farms ✓ ★ 4.5 (12)": opens the seller's profile
+  function sellerLabel(s){ return s.displayName ? escapeHtml(s.displayName) : t('post.seller', { id: s.id }); }
+  function ratingLabel(s){ return s.ratingCount ? `<span class="rating"><i class='bx bxs-star'></i> ${s.rating} (${s.ratingCount})</span>` : ''; }
+  function sellerLine(p){
+    const s = p.seller;
+    if (!s) return '';
+    return `<div class="meta small sellerLine"><button class="linkBtn sellerLink" data-user="${s.id}">${sellerLabel(s)}</button>` +
+      `${s.phoneVerified ? `<i class='bx bxs-badge-check verified' title="${t('post.verified')}"></i>` : ''} ${ratingLabel(s)}</div>`;
+  }
+  function postCard(p){
+    const imgUrl = absoluteImageUrl(p.thumb || p.image);
+    const photoCount = p.images ? p.images.length : (p.image ? 1 : 0);
+    const mine = String(p.ownerUserId) === String(userId);
+    const status = p.status || 'active';
+    const el = document.createElement('div');
+    el.className = `postItem status-${status}`;
+    el.dataset.id = p.id;
+    el.innerHTML = `
+      <div class="postLeft">
+        <div class="postTitle">${p.type === 'request' ? `<span class="badge wanted">${t('post.wanted')}</span>` : ''}${escapeHtml(p.itemName || '')}${status !== 'active' ? `<span class="badge ${status}">${STATUS_LABELS[status] || escapeHtml(status)}</span>` : ''}${p.hiddenAt ? `<span class="badge removed">${t('post.hidden')}</span>` : ''}</div>
+        ${sellerLine(p)}
+        ${p.hiddenAt && mine ? `<div class="meta small">${p.hiddenReason ? t('post.hidden_note_reason', { reason: escapeHtml(p.hiddenReason) }) : t('post.hidden_note')}</div>` : ''}
+        ${imgUrl ? `<div class="postPhoto" data-id="${p.id}"><img src="${imgUrl}" alt="image" loading="lazy" />${photoCount > 1 ? `<span class="photoCount"><i class='bx bx-images'></i> ${photoCount}</span>` : ''}</div>` : ''}
+        <div class="meta">${escapeHtml(p.location || '')} • ${escapeHtml(p.phone || '')}${distanceLabel(p)}${neededByLabel(p)}</div>
+        ${p.description ? `<div class="meta small">${escapeHtml(p.description)}</div>` : ''}
+        ${p.matchCount ? `<button class="linkBtn matchesBtn" data-id="${p.id}"><i class='bx bx-transfer'></i> ${t(p.type === 'request' ? 'post.offers_match' : 'post.buyers_match', { count: p.matchCount })}</button>
+          <div class="matchList hidden"></div>` : ''}
+      </div>
+      <div class="postRight">
+        <div class="meta">${formatPrice(p)}</div>
+        ${!p.hiddenAt ? `<button class="iconBtn shareBtn" data-id="${p.id}" title="${t('post.share')}"><i class='bx bx-share-alt'></i></button>` : ''}
+        ${!mine && userToken ? `<button class="iconBtn messageBtn" data-id="${p.id}" title="${t('post.message_seller')}"><i class='bx bx-message-rounded-dots'></i></button>
+          <button class="iconBtn reportBtn" data-id="${p.id}" title="${t('post.report')}"><i class='bx bx-flag'></i></button>` : ''}
+        ${mine ? `
+          <select class="statusSelect" data-id="${p.id}" title="${t('post.status')}">
+            ${['active', 'reserved', 'sold'].map(st => `<option value="${st}" ${st === status ? 'selected' : ''}>${STATUS_LABELS[st]}</option>`).join('')}
+            ${status === 'expired' ? `<option value="expired" selected disabled>${STATUS_LABELS.expired}</option>` : ''}
+          </select>
+          <div class="ownerRow">
+            <button class="iconBtn editBtn" data-id="${p.id}" title="${t('common.edit')}"><i class='bx bx-edit'></i></button>
+            <button class="iconBtn deleteBtn" data-id="${p.id}" title="${t('common.delete')}"><i class='bx bx-trash'></i></button>
+          </div>` : ''}
+      </div>
+    `;
+    return el;
+  }
+  function renderPosts(posts, { append = false } = {}){
+    if (!append) { feed.innerHTML = ''; postsById.clear(); }
     posts.forEach(p=>{
-      const imgUrl = absoluteImageUrl(p.image);
-      const el = document.createElement('div');
-      el.className = 'postItem';
-      el.innerHTML = `
-        <div class="postLeft">
-          <div class="postTitle">${escapeHtml(p.itemName || '')}</div>
-          ${imgUrl ? `<img src="${imgUrl}" alt="image" />` : ''}
-          <div class="meta">${escapeHtml(p.location || '')} • ${escapeHtml(p.phone || '')}</div>
-          ${p.description ? `<div class="meta small">${escapeHtml(p.description)}</div>` : ''}
-        </div>
-        <div class="postRight">
-          <div class="meta">Ksh ${escapeHtml(p.price || '')}</div>
-          ${String(p.ownerUserId) === String(userId) ? `<button class="iconBtn deleteBtn" data-id="${p.id}" title="Delete"><i class='bx bx-trash'></i></button>` : ''}
-        </div>
-      `;
-      feed.appendChild(el);
+      postsById.set(String(p.id), p);
+      feed.appendChild(postCard(p));
     });
+  }
+  // statuses the feed shows unless the owner is looking at their own posts; only the current channel's posts
+  function visibleInFeed(p){
+    const channel = activeChannel();
+    if (channel && p.channelId !== undefined && p.channelId !== channel.id) return false;
+    return (filterMine.checked && String(p.ownerUserId) === String(userId)) || (!p.hiddenAt && ['active', 'reserved'].includes(p.status || 'active'));
+  }
+  function removePostFromFeed(id){
+    postsById.delete(String(id));
+    const el = feed.querySelector(`.postItem[data-id="${id}"]`);
+    if (el) el.remove();
+  }
+  // places a pushed or synced post: patched in place when rendered, otherwise inserted by date when
+  // the feed is the plain newest-first list (a filtered feed is left to the next search)
+  function upsertPost(p){
+    if (feed.querySelector(`.postItem[data-id="${p.id}"]`)) return applyPostUpdate(p);
+    if (!visibleInFeed(p) || feedQuery().toString()) return;
+    const created = new Date(p.createdAt).getTime();
+    const before = [...feed.children].find(el => {
+      const other = postsById.get(el.dataset.id);
+      return other && new Date(other.createdAt).getTime() < created;
+    });
+    if (!before && nextCursor) return; // belongs on a page that isn't loaded yet
+    postsById.set(String(p.id), p);
+    feed.insertBefore(postCard(p), before || null);
+    if (feedSentinel.textContent === t('feed.none')) feedSentinel.textContent = t('feed.no_more');
+  }
+  // patch a rendered post in place (updated_post events, own edits)
+  function applyPostUpdate(p){
+    const el = feed.querySelector(`.postItem[data-id="${p.id}"]`);
+    if (!el) return;
+    if (!visibleInFeed(p)) return removePostFromFeed(p.id);
+    // socket pushes don't carry the match count
+    const prev = postsById.get(String(p.id));
+    if (p.matchCount === undefined && prev) p = { ...p, matchCount: prev.matchCount };
+    postsById.set(String(p.id), p);
+    el.replaceWith(postCard(p));
+  }
 
-    // attach delete handlers after rendering
-    document.querySelectorAll('.deleteBtn').forEach(btn=>{
-      btn.addEventListener('click', async ()=> {
-        const id = btn.getAttribute('data-id');
-        if (!confirm('Delete this post?')) return;
-        try {
-          const res = await fetch(`${API_BASE}/api/posts/${id}`, { method: 'DELETE', headers: { Authorization: `Bearer ${userToken}` } });
-          const body = await res.json();
-          if (!res.ok) throw new Error(body.error || 'Delete failed');
-          loadPosts();
-        } catch(err){ alert('Delete failed: ' + err.message); }
-      });
+  async function patchPost(id, form){
+    const res = await apiFetch(`${API_BASE}/api/posts/${id}`, { method: 'PATCH', body: form });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || t('common.request_failed', { status: res.status }));
+    applyPostUpdate(body);
+    return body;
+  }
+
+  // owner controls (delegated, so appended pages work too)
+  feed.addEventListener('click', async (e)=> {
+    const editBtn = e.target.closest('.editBtn');
+    if (editBtn) return startEdit(postsById.get(editBtn.getAttribute('data-id')));
+    const photo = e.target.closest('.postPhoto');
+    if (photo) return openGallery(postsById.get(photo.getAttribute('data-id')));
+    const msgBtn = e.target.closest('.messageBtn');
+    if (msgBtn) return messageSeller(msgBtn.getAttribute('data-id'));
+    const shareBtn = e.target.closest('.shareBtn');
+    if (shareBtn) return sharePost(shareBtn.getAttribute('data-id'));
+    const reportBtn = e.target.closest('.reportBtn');
+    if (reportBtn) return reportPost(reportBtn.getAttribute('data-id'));
+    const sellerLink = e.target.closest('.sellerLink');
+    if (sellerLink) return openProfile(sellerLink.dataset.user);
+    const matchesBtn = e.target.closest('.matchesBtn');
+    if (matchesBtn) return toggleMatches(matchesBtn);
+    const btn = e.target.closest('.deleteBtn');
+    if (!btn) return;
+    const id = btn.getAttribute('data-id');
+    if (!confirm(t('post.delete_confirm'))) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/api/posts/${id}`, { method: 'DELETE' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || t('common.request_failed', { status: res.status }));
+      removePostFromFeed(id);
+    } catch(err){ alert(t('post.delete_failed', { error: err.message })); }
+  });
+  // offers for a wanted request (or buyers for an offer), loaded when the list is opened
+  async function toggleMatches(btn){
+    const list = btn.nextElementSibling;
+    if (!list.classList.toggle('hidden')) {
+      list.innerHTML = `<div class="meta small">${t('common.loading')}</div>`;
+      try {
+        const res = await fetch(`${API_BASE}/api/posts/${btn.dataset.id}/matches`, { headers: { 'Accept-Language': i18n.locale } });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || t('post.matches_failed'));
+        list.innerHTML = body.matches.map(({ post: m, distanceKm }) => `
+          <div class="matchRow">
+            <div>
+              <div>${escapeHtml(m.itemName || '')}</div>
+              <div class="meta small">${escapeHtml(m.location || '')}${distanceKm != null ? ` • ${t('post.km_apart', { km: Math.round(distanceKm) })}` : ''}${m.phone ? ` • ${escapeHtml(m.phone)}` : ''}${neededByLabel(m)}</div>
+            </div>
+            <div class="meta">${formatPrice(m)}</div>
+            ${userToken && String(m.ownerUserId) !== String(userId) ? `<button class="iconBtn messageBtn" data-id="${m.id}" title="${t('post.message')}"><i class='bx bx-message-rounded-dots'></i></button>` : ''}
+          </div>`).join('') || `<div class="meta small">${t('post.no_matches')}</div>`;
+      } catch(err){ list.innerHTML = `<div class="meta small">${escapeHtml(err.message)}</div>`; }
+    }
+  }
+  // the listing's own page (/p/:id), which WhatsApp and other chat apps turn into a preview with
+  // the photo: through the phone's share sheet where there is one, otherwise the link is copied
+  async function sharePost(id){
+    const p = postsById.get(String(id));
+    if (!p) return;
+    const url = `${API_BASE}/p/${p.id}`;
+    const title = p.type === 'request' ? t('share.wanted_title', { item: p.itemName }) : p.itemName;
+    if (navigator.share) {
+      try { return await navigator.share({ title, text: title, url }); }
+      catch(err){ if (err.name === 'AbortError') return; }
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(t('share.copied'));
+    } catch(err){ prompt(t('share.copy_prompt'), url); }
+  }
+  // /?post=<id>, from the "Open in AgriChannel" button of a shared page: switches to the listing's
+  // channel and shows it at the top of the feed
+  async function openSharedPost(){
+    const id = new URLSearchParams(location.search).get('post');
+    if (!/^\d+$/.test(id || '')) return;
+    history.replaceState(null, '', location.pathname);
+    try {
+      const res = await apiFetch(`${API_BASE}/api/posts/${id}`);
+      const p = await res.json();
+      if (res.status === 404) throw new Error(t(userToken ? 'share.gone_member' : 'share.gone'));
+      if (!res.ok) throw new Error(p.error || t('share.load_failed'));
+      const channel = channels.find(c => c.id === p.channelId);
+      if (channel && channel.slug !== currentChannel) await switchChannel(channel.slug);
+      let el = feed.querySelector(`.postItem[data-id="${p.id}"]`);
+      if (!el) {
+        postsById.set(String(p.id), p);
+        el = postCard(p);
+        feed.prepend(el);
+      }
+      el.classList.add('shared');
+      el.scrollIntoView({ block: 'center' });
+    } catch(err){ alert(err.message); }
+  }
+  const REPORT_REASONS = ['scam', 'abusive', 'misleading', 'spam', 'other'].map(r => [r, t(`report.${r}`)]);
+  async function reportPost(id){
+    const choice = prompt(t('report.question') + '\n' + REPORT_REASONS.map(([, label], i) => `${i + 1}. ${label}`).join('\n') + '\n\n' + t('report.enter_number'));
+    if (choice === null) return;
+    const picked = REPORT_REASONS[parseInt(choice, 10) - 1];
+    if (!picked) return alert(t('report.pick'));
+    const details = prompt(t('report.details')) || '';
+    try {
+      const res = await apiFetch(`${API_BASE}/api/posts/${id}/report`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ reason: picked[0], details }) });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || t('report.failed'));
+      alert(t('report.thanks'));
+    } catch(err){ alert(err.message); }
+  }
+  feed.addEventListener('change', async (e)=> {
+    const sel = e.target.closest('.statusSelect');
+    if (!sel) return;
+    const form = new FormData();
+    form.append('status', sel.value);
+    try { await patchPost(sel.getAttribute('data-id'), form); }
+    catch(err){ alert(t('post.update_failed', { error: err.message })); loadPosts(); }
+  });
+
+  // Search & filters
+  let searchTimer = null;
+  function scheduleSearch(){
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(()=> { contentEl.scrollTop = 0; loadPosts(); }, 300);
+  }
+  [searchInput, filterLocation, filterMinPrice, filterMaxPrice].forEach(el => el.addEventListener('input', scheduleSearch));
+  [filterMine, filterCommodity, filterType, filterSort].forEach(el => el.addEventListener('change', scheduleSearch));
+
+  // browser geolocation; rejects with a message fit to show the user
+  function currentPosition(){
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) return reject(new Error(t('geo.unavailable')));
+      navigator.geolocation.getCurrentPosition(
+        pos => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+        err => reject(new Error(t(err.code === 1 ? 'geo.denied' : 'geo.failed'))),
+        { timeout: 15000, maximumAge: 5 * 60 * 1000 }
+      );
     });
   }
+  function rememberPosition(pos){
+    viewerPos = { lat: pos.lat, lng: pos.lng };
+    localStorage.setItem('ac_pos', JSON.stringify(viewerPos));
+  }
+  filterNear.addEventListener('change', async ()=>{
+    nearMsg.textContent = '';
+    if (filterNear.value) {
+      nearMsg.textContent = t('geo.finding');
+      try {
+        rememberPosition(await currentPosition());
+        nearMsg.textContent = '';
+        if (filterSort.value === 'newest') filterSort.value = 'distance';
+      } catch(e){
+        nearMsg.textContent = viewerPos ? t('geo.last_known', { error: e.message }) : e.message;
+        if (!viewerPos) filterNear.value = '';
+      }
+    } else if (filterSort.value === 'distance') {
+      filterSort.value = 'newest';
+    }
+    scheduleSearch();
+  });
 
-  // Register & Login handlers
-  registerBtn.addEventListener('click', async ()=>{
-    const pw = passwordInput.value.trim();
+  function setComposeCoords(pos){
+    composeCoords = pos;
+    postGeoNote.textContent = pos ? t('geo.attached') : '';
+    postGeoBtn.innerHTML = pos ? `<i class='bx bx-x'></i> ${t('geo.remove')}` : `<i class='bx bx-current-location'></i> ${t('geo.use')}`;
+  }
+  postGeoBtn.addEventListener('click', async ()=>{
+    if (composeCoords) return setComposeCoords(null);
+    postGeoNote.textContent = t('geo.finding');
+    try {
+      const pos = await currentPosition();
+      rememberPosition(pos);
+      setComposeCoords(pos);
+    } catch(e){ postGeoNote.textContent = e.message; }
+  });
+  filterBtn.addEventListener('click', ()=> filterFields.classList.toggle('hidden'));
+
+  // infinite scroll: load the next page when the sentinel below the feed comes into view
+  if ('IntersectionObserver' in window) {
+    new IntersectionObserver((entries)=> {
+      if (entries.some(en => en.isIntersecting)) loadPosts({ reset: false });
+    }, { root: contentEl, rootMargin: '300px' }).observe(feedSentinel);
+  } else {
+    contentEl.addEventListener('scroll', ()=> {
+      if (contentEl.scrollTop + contentEl.clientHeight > contentEl.scrollHeight - 300) loadPosts({ reset: false });
+    });
+  }
+
+  // Phone + one-time code login handlers
+  legacyToggle.addEventListener('click', ()=>{
+    legacyMode = !legacyMode;
+    passwordInput.classList.toggle('hidden', !legacyMode);
+    legacyToggle.textContent = t(legacyMode ? 'auth.legacy_back' : 'auth.legacy');
+  });
+
+  // on 429 the button stays disabled, counting down the server's Retry-After
+  function coolDown(btn, seconds){
+    const label = btn.dataset.label || btn.textContent;
+    btn.dataset.label = label;
+    clearInterval(btn._coolDown);
+    let left = Math.max(1, Math.ceil(seconds));
+    const tick = () => {
+      if (left <= 0) {
+        clearInterval(btn._coolDown);
+        btn.disabled = false;
+        btn.textContent = label;
+        return;
+      }
+      btn.disabled = true;
+      btn.textContent = `${label} (${left--}s)`;
+    };
+    tick();
+    btn._coolDown = setInterval(tick, 1000);
+  }
+  function retryAfterSeconds(res, body){
+    return Number(res.headers.get('Retry-After')) || Number(body && body.retryAfter) || 60;
+  }
+
+  sendCodeBtn.addEventListener('click', async ()=>{
+    const phone = phoneInput.value.trim();
     authMsg.textContent = '';
-    if (pw.length < 4) { authMsg.textContent = 'Password must be at least 4 characters.'; return; }
+    if (!phone) { authMsg.textContent = t('auth.enter_phone'); return; }
+    const payload = { phone };
+    if (legacyMode) {
+      if (!passwordInput.value) { authMsg.textContent = t('auth.enter_password'); return; }
+      payload.password = passwordInput.value;
+    }
+    sendCodeBtn.disabled = true;
     try {
-      const res = await fetch(`${API_BASE}/api/register`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ password: pw }) });
+      const res = await fetch(`${API_BASE}/api/login${legacyMode ? '/legacy' : ''}`, { method:'POST', headers:{'Content-Type':'application/json', 'Accept-Language': i18n.locale}, body: JSON.stringify(payload) });
       const body = await res.json();
-      if (!res.ok) { authMsg.textContent = body.error || 'Register failed'; return; }
-      setAuth(body.token, body.userId);
-      await loadPosts();
-    } catch(e){ authMsg.textContent = 'Error registering'; console.error(e); }
+      if (!res.ok) {
+        authMsg.textContent = body.error || t('auth.send_failed');
+        if (res.status === 429) coolDown(sendCodeBtn, retryAfterSeconds(res, body));
+        return;
+      }
+      codePhone = body.phone;
+      codeStep.classList.remove('hidden');
+      authMsg.textContent = t('auth.code_sent', { phone: body.phone });
+      codeInput.focus();
+    } catch(e){ authMsg.textContent = t('auth.send_error'); console.error(e); }
+    finally { if (!sendCodeBtn._coolDown) sendCodeBtn.disabled = false; }
   });
 
-  loginBtn.addEventListener('click', async ()=>{
-    const pw = passwordInput.value.trim();
+  verifyBtn.addEventListener('click', async ()=>{
+    const code = codeInput.value.trim();
     authMsg.textContent = '';
-    if (!pw) { authMsg.textContent = 'Enter password.'; return; }
+    if (!codePhone) { authMsg.textContent = t('auth.request_first'); return; }
+    if (!/^\d{6}$/.test(code)) { authMsg.textContent = t('auth.enter_code'); return; }
     try {
-      const res = await fetch(`${API_BASE}/api/login`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ password: pw }) });
+      const res = await fetch(`${API_BASE}/api/login/verify`, { method:'POST', headers:{'Content-Type':'application/json', 'Accept-Language': i18n.locale}, body: JSON.stringify({ phone: codePhone, code }) });
       const body = await res.json();
-      if (!res.ok) { authMsg.textContent = body.error || 'Login failed'; return; }
-      setAuth(body.token, body.userId);
+      if (!res.ok) {
+        authMsg.textContent = body.error || t('auth.login_failed');
+        if (res.status === 429) coolDown(verifyBtn, retryAfterSeconds(res, body));
+        return;
+      }
+      passwordInput.value = ''; codeInput.value = '';
+      setAuth(body);
       await loadPosts();
-    } catch(e){ authMsg.textContent = 'Error logging in'; console.error(e); }
+    } catch(e){ authMsg.textContent = t('auth.login_error'); console.error(e); }
   });
 
-  logoutBtn.addEventListener('click', ()=> {
-    clearAuth();
-  });
+  logoutBtn.addEventListener('click', logout);
 
   // Compose behavior
   moreBtn.addEventListener('click', ()=> {
@@ -182,55 +851,899 @@
     moreBtn.innerHTML = extraFields.classList.contains('hidden') ? "<i class='bx bx-chevron-up'></i>" : "<i class='bx bx-chevron-down'></i>";
   });
 
+  // photo picker + preview (new files, plus the post's current photos while editing)
+  function existingPhotos(){
+    return editingPost && editingPost.images ? editingPost.images.filter(im => !removedImageIds.has(im.id)) : [];
+  }
+  function renderPreview(){
+    const existing = existingPhotos();
+    previewGrid.innerHTML = '';
+    existing.forEach(im => {
+      previewGrid.insertAdjacentHTML('beforeend', `<div class="previewThumb"><img src="${absoluteImageUrl(im.thumb)}" alt="photo" /><button class="iconBtn thumbRemove" data-existing="${im.id}" title="${t('common.remove')}"><i class='bx bx-x'></i></button></div>`);
+    });
+    imageFiles.forEach((f, i) => {
+      const el = document.createElement('div');
+      el.className = 'previewThumb';
+      el.innerHTML = `<img alt="photo" /><button class="iconBtn thumbRemove" data-file="${i}" title="${t('common.remove')}"><i class='bx bx-x'></i></button>`;
+      el.querySelector('img').src = URL.createObjectURL(f);
+      previewGrid.appendChild(el);
+    });
+    previewArea.classList.toggle('hidden', existing.length + imageFiles.length === 0);
+  }
   postImage.addEventListener('change', (e)=> {
-    const f = e.target.files && e.target.files[0];
-    if (!f) return hidePreview();
-    if (!f.type.startsWith('image/')) { alert('Only images allowed'); postImage.value=''; return; }
-    imageFile = f;
-    previewImg.src = URL.createObjectURL(f);
-    previewArea.classList.remove('hidden');
+    const picked = Array.from(e.target.files || []);
+    postImage.value = '';
+    if (picked.some(f => !f.type.startsWith('image/'))) { alert(t('compose.images_only')); return; }
+    const room = MAX_PHOTOS - existingPhotos().length - imageFiles.length;
+    if (picked.length > room) alert(t('compose.too_many_photos', { max: MAX_PHOTOS }));
+    imageFiles = imageFiles.concat(picked.slice(0, Math.max(room, 0)));
+    renderPreview();
+  });
+  previewGrid.addEventListener('click', (e)=> {
+    const btn = e.target.closest('.thumbRemove');
+    if (!btn) return;
+    if (btn.dataset.existing) removedImageIds.add(Number(btn.dataset.existing));
+    else imageFiles.splice(Number(btn.dataset.file), 1);
+    renderPreview();
   });
-  removePreview.addEventListener('click', ()=> { postImage.value=''; imageFile=null; hidePreview(); });
-  function hidePreview(){ previewArea.classList.add('hidden'); previewImg.src=''; }
+  removePreview.addEventListener('click', ()=> {
+    existingPhotos().forEach(im => removedImageIds.add(im.id));
+    imageFiles = [];
+    renderPreview();
+  });
+  function hidePreview(){ previewArea.classList.add('hidden'); previewGrid.innerHTML=''; }
+
+  // gallery (medium-size photos, opened from a post's thumbnail)
+  function openGallery(p){
+    if (!p) return;
+    galleryPhotos = p.images && p.images.length ? p.images.map(im => im.medium) : [p.image];
+    galleryIndex = 0;
+    showGalleryPhoto();
+    gallery.classList.remove('hidden');
+  }
+  function showGalleryPhoto(){
+    galleryImg.src = absoluteImageUrl(galleryPhotos[galleryIndex]);
+    galleryCount.textContent = `${galleryIndex + 1} / ${galleryPhotos.length}`;
+    galleryPrev.disabled = galleryNext.disabled = galleryPhotos.length < 2;
+  }
+  function stepGallery(d){
+    galleryIndex = (galleryIndex + d + galleryPhotos.length) % galleryPhotos.length;
+    showGalleryPhoto();
+  }
+  galleryPrev.addEventListener('click', ()=> stepGallery(-1));
+  galleryNext.addEventListener('click', ()=> stepGallery(1));
+  galleryClose.addEventListener('click', ()=> { gallery.classList.add('hidden'); galleryImg.src = ''; });
+  // swipe left/right on phones
+  let touchX = null;
+  gallery.addEventListener('touchstart', (e)=> { touchX = e.touches[0].clientX; }, { passive: true });
+  gallery.addEventListener('touchend', (e)=> {
+    if (touchX === null) return;
+    const dx = e.changedTouches[0].clientX - touchX;
+    touchX = null;
+    if (Math.abs(dx) > 40) stepGallery(dx < 0 ? 1 : -1);
+  });
+
+  // wanted requests get a deadline, and their price is the most the buyer will pay
+  function showTypeFields(){
+    const wanted = postType.value === 'request';
+    postNeededBy.classList.toggle('hidden', !wanted);
+    postPrice.placeholder = t(wanted ? 'compose.max_price' : 'compose.price');
+    itemName.placeholder = t(wanted ? 'compose.item_wanted' : 'compose.item');
+  }
+  postType.addEventListener('change', showTypeFields);
+  function resetCompose(){
+    itemName.value=''; postTitle.value=''; postLocation.value=''; postPhone.value=''; postPrice.value=''; postQuantity.value=''; postImage.value=''; imageFiles=[]; removedImageIds=new Set(); hidePreview();
+    postCommodity.value=''; fillUnits();
+    postType.value = 'offer'; postType.disabled = false; postNeededBy.value = ''; showTypeFields();
+    setComposeCoords(null);
+    editingPost = null;
+    editBanner.classList.add('hidden');
+    postBtn.textContent = t('compose.post');
+  }
+  // load a post into the compose form; Post then saves it with PATCH
+  function startEdit(p){
+    if (!p) return;
+    editingPost = p;
+    // the type is fixed once posted
+    postType.value = p.type || 'offer'; postType.disabled = true;
+    postNeededBy.value = p.neededBy ? p.neededBy.slice(0, 10) : '';
+    showTypeFields();
+    itemName.value = p.itemName || '';
+    postCommodity.value = p.commodity ? p.commodity.slug : '';
+    fillUnits();
+    postUnit.value = p.unit || '';
+    postQuantity.value = p.quantity ?? '';
+    postPrice.value = p.price ?? '';
+    postLocation.value = p.location || '';
+    postPhone.value = p.phone || '';
+    postTitle.value = p.description || '';
+    postImage.value = ''; imageFiles = []; removedImageIds = new Set();
+    setComposeCoords(null);
+    if (p.latitude != null) postGeoNote.textContent = t('geo.listing_has');
+    renderPreview();
+    extraFields.classList.remove('hidden');
+    editLabel.textContent = t('compose.editing', { item: p.itemName || '' });
+    editBanner.classList.remove('hidden');
+    postBtn.textContent = t('common.save');
+    itemName.focus();
+  }
+  cancelEditBtn.addEventListener('click', resetCompose);
 
   postBtn.addEventListener('click', async ()=>{
-    if (!userToken) return alert('You must be logged in to post.');
-    const name = itemName.value.trim(); if (!name) return alert('Enter item name.');
+    if (!userToken) return alert(t('compose.login_required'));
+    const name = itemName.value.trim();
+    if (!name && !postCommodity.value) return alert(t('compose.need_item'));
+    if (postQuantity.value && !postUnit.value) return alert(t('compose.need_unit'));
     const form = new FormData();
-    form.append('itemName', name);
-    if (postTitle.value.trim()) form.append('description', postTitle.value.trim());
-    if (postLocation.value.trim()) form.append('location', postLocation.value.trim());
-    if (postPhone.value.trim()) form.append('phone', postPhone.value.trim());
-    if (postPrice.value.trim()) form.append('price', postPrice.value.trim());
-    if (imageFile) form.append('image', imageFile);
+    if (editingPost) {
+      // send every field so cleared inputs clear the stored value
+      form.append('itemName', name || postCommodity.options[postCommodity.selectedIndex].text);
+      form.append('commodity', postCommodity.value);
+      form.append('quantity', postQuantity.value);
+      form.append('unit', postUnit.value);
+      form.append('description', postTitle.value.trim());
+      form.append('location', postLocation.value.trim());
+      form.append('phone', postPhone.value.trim());
+      form.append('price', postPrice.value.trim());
+      if (postType.value === 'request') form.append('neededBy', postNeededBy.value);
+      if (composeCoords) { form.append('latitude', composeCoords.lat); form.append('longitude', composeCoords.lng); }
+      if (removedImageIds.size) form.append('removeImageIds', [...removedImageIds].join(','));
+      imageFiles.forEach(f => form.append('images', f));
+      try {
+        await patchPost(editingPost.id, form);
+        resetCompose();
+      } catch(e){ alert(t('compose.save_failed', { error: e.message })); console.error(e); }
+      return;
+    }
+    // a new post is an outbox entry from the start, so a failed upload can be queued as-is
+    const fields = [
+      ['type', postType.value], ['neededBy', postType.value === 'request' ? postNeededBy.value : ''], ['itemName', name], ['commodity', postCommodity.value], ['quantity', postQuantity.value], ['unit', postUnit.value],
+      ['description', postTitle.value.trim()], ['location', postLocation.value.trim()],
+      ['phone', postPhone.value.trim()], ['price', postPrice.value.trim()],
+      ['latitude', composeCoords ? String(composeCoords.lat) : ''], ['longitude', composeCoords ? String(composeCoords.lng) : ''],
+      ['channel', currentChannel]
+    ].filter(([, v]) => v);
+    const entry = {
+      id: newIdempotencyKey(),
+      userId,
+      title: name || postCommodity.options[postCommodity.selectedIndex].text,
+      fields,
+      images: imageFiles.slice(),
+      createdAt: Date.now()
+    };
 
+    postBtn.disabled = true;
     try {
-      const res = await fetch(`${API_BASE}/api/posts`, { method:'POST', body: form, headers: { Authorization: `Bearer ${userToken}` } });
-      const body = await res.json();
-      if (!res.ok) throw new Error(body.error || 'Post failed');
+      if (!navigator.onLine) throw Object.assign(new Error('offline'), { retry: true });
+      const created = await uploadPost(entry);
       // reset fields (do NOT clear auth)
-      itemName.value=''; postTitle.value=''; postLocation.value=''; postPhone.value=''; postPrice.value=''; postImage.value=''; imageFile=null; hidePreview();
-      // reload feed (socket will also update)
-      await loadPosts();
+      resetCompose();
+      // show it right away (the new_post event will find it already there)
+      contentEl.scrollTop = 0;
+      upsertPost(created);
       // keep focus on itemName for next post
       itemName.focus();
-    } catch(e){ alert('Post failed: ' + e.message); console.error(e); }
+    } catch(e){
+      // throttled: keep the form as it is so the user can try again later
+      if (e.status === 429) { alert(e.message); return; }
+      if (!e.retry) { alert(t('compose.post_failed', { error: e.message })); console.error(e); return; }
+      try {
+        await outboxPut(entry);
+      } catch(err){ alert(t('compose.post_failed', { error: e.message })); console.error(err); return; }
+      resetCompose();
+      await renderOutbox();
+      contentEl.scrollTop = 0;
+    } finally {
+      postBtn.disabled = false;
+    }
+  });
+
+  // Offline outbox: posts that could not be uploaded wait in IndexedDB (photos included)
+  // and are sent again with the same Idempotency-Key, so a retry never posts twice.
+  function newIdempotencyKey(){
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+  }
+  function openOutbox(){
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) return reject(new Error('IndexedDB is not available'));
+      const req = indexedDB.open('agrichannel', 1);
+      req.onupgradeneeded = () => req.result.createObjectStore('outbox', { keyPath: 'id' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  async function outboxStore(mode, fn){
+    const db = await openOutbox();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('outbox', mode);
+      const req = fn(tx.objectStore('outbox'));
+      tx.oncomplete = () => { db.close(); resolve(req.result); };
+      tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+  }
+  const outboxPut = (entry) => outboxStore('readwrite', store => store.put(entry));
+  const outboxDelete = (id) => outboxStore('readwrite', store => store.delete(id));
+  async function outboxEntries(){
+    if (!userId) return [];
+    const all = await outboxStore('readonly', store => store.getAll());
+    return all.filter(e => String(e.userId) === String(userId)).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // errors flagged retry keep the entry queued: no network, server trouble, expired login.
+  // 429 (rate limit or daily quota) carries retryAfter instead; the post is not lost either way.
+  async function uploadPost(entry){
+    const form = new FormData();
+    entry.fields.forEach(([k, v]) => form.append(k, v));
+    entry.images.forEach(f => form.append('images', f, f.name));
+    let res;
+    try {
+      res = await apiFetch(`${API_BASE}/api/posts`, { method: 'POST', body: form, headers: { 'Idempotency-Key': entry.id } });
+    } catch(e){ throw Object.assign(e, { retry: true }); }
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const retry = res.status >= 500 || [401, 408].includes(res.status) || (res.status === 409 && res.headers.has('Retry-After'));
+      const retryAfter = res.status === 429 ? retryAfterSeconds(res, body) : 0;
+      throw Object.assign(new Error(body.error || t('outbox.post_failed')), { retry, status: res.status, retryAfter });
+    }
+    return body;
+  }
+
+  async function renderOutbox(){
+    let entries = [];
+    try { entries = await outboxEntries(); } catch(e){ console.warn('Outbox unavailable', e); }
+    outboxUrls.forEach(u => URL.revokeObjectURL(u));
+    outboxUrls = [];
+    outboxFeed.innerHTML = '';
+    outboxFeed.classList.toggle('hidden', !entries.length);
+    entries.forEach(entry => {
+      const field = (k) => (entry.fields.find(([key]) => key === k) || [])[1] || '';
+      const thumb = entry.images.length ? URL.createObjectURL(entry.images[0]) : null;
+      if (thumb) outboxUrls.push(thumb);
+      const el = document.createElement('div');
+      el.className = 'postItem pending';
+      el.innerHTML = `
+        <div class="postLeft">
+          <div class="postTitle">${escapeHtml(entry.title)}<span class="badge pending">${t('outbox.waiting')}</span></div>
+          ${thumb ? `<div class="postPhoto"><img src="${thumb}" alt="image" />${entry.images.length > 1 ? `<span class="photoCount"><i class='bx bx-images'></i> ${entry.images.length}</span>` : ''}</div>` : ''}
+          <div class="meta">${escapeHtml(field('location'))}</div>
+        </div>
+        <div class="postRight">
+          <div class="meta">${field('price') ? escapeHtml(i18n.formatMoney(field('price'))) : ''}</div>
+          <button class="iconBtn discardBtn" data-id="${escapeHtml(entry.id)}" title="${t('outbox.discard')}"><i class='bx bx-trash'></i></button>
+        </div>
+      `;
+      outboxFeed.appendChild(el);
+    });
+  }
+  outboxFeed.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.discardBtn');
+    if (!btn || !confirm(t('outbox.discard_confirm'))) return;
+    try { await outboxDelete(btn.dataset.id); } catch(err){ console.error(err); }
+    renderOutbox();
+  });
+
+  // uploads queued posts oldest first; stops at the first one that should be retried later
+  async function flushOutbox(){
+    if (flushingOutbox || !userToken || !navigator.onLine || Date.now() < outboxRetryAt) return;
+    flushingOutbox = true;
+    try {
+      for (const entry of await outboxEntries()) {
+        try {
+          upsertPost(await uploadPost(entry));
+        } catch(e){
+          if (e.retry) break;
+          if (e.status === 429) { outboxRetryAt = Date.now() + e.retryAfter * 1000; break; }
+          alert(t('outbox.failed', { title: entry.title, error: e.message }));
+        }
+        await outboxDelete(entry.id);
+      }
+    } catch(e){
+      console.warn('Outbox flush failed', e);
+    } finally {
+      flushingOutbox = false;
+      await renderOutbox();
+    }
+  }
+
+  function setOffline(offline){
+    offlineText.textContent = t(navigator.onLine ? 'offline.trouble' : 'offline.offline');
+    offlineBanner.classList.toggle('hidden', !offline);
+  }
+  window.addEventListener('offline', () => setOffline(true));
+  window.addEventListener('online', () => { setOffline(false); flushOutbox(); syncFeed(); });
+
+  // Inbox & conversations
+  function updateInboxBadge(){
+    let unread = 0;
+    conversations.forEach(c => { unread += c.unread; });
+    inboxBadge.textContent = unread > 99 ? '99+' : String(unread);
+    inboxBadge.classList.toggle('hidden', unread === 0);
+  }
+  async function loadInbox(){
+    if (!userToken) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/api/conversations`);
+      if (!res.ok) throw new Error('Failed to fetch inbox: ' + res.status);
+      const body = await res.json();
+      conversations.clear();
+      body.conversations.forEach(c => conversations.set(c.id, c));
+      updateInboxBadge();
+      if (!inboxPanel.classList.contains('hidden') && !openConversationId) renderInbox();
+    } catch(e){ console.error('Load inbox failed', e); }
+  }
+  function renderInbox(){
+    const rows = [...conversations.values()].sort((a, b) => new Date(b.lastMessageAt || 0) - new Date(a.lastMessageAt || 0));
+    inboxList.innerHTML = rows.length ? '' : `<div class="meta">${t('inbox.empty')}</div>`;
+    rows.forEach(c => {
+      const el = document.createElement('div');
+      el.className = 'convItem' + (c.unread ? ' unread' : '');
+      el.dataset.id = c.id;
+      const who = t(c.role === 'buyer' ? 'inbox.seller' : 'inbox.buyer');
+      const mine = c.lastMessage && String(c.lastMessage.senderUserId) === String(userId);
+      const last = c.lastMessage ? (mine ? t('inbox.you', { text: c.lastMessage.body }) : c.lastMessage.body) : t('inbox.no_messages');
+      el.innerHTML = `
+        <div class="postLeft">
+          <div class="postTitle">${escapeHtml(c.post ? c.post.itemName : c.subject)}</div>
+          <div class="meta">${who} • ${escapeHtml(last.length > 60 ? last.slice(0, 60) + '…' : last)}</div>
+        </div>
+        ${c.unread ? `<span class="countBadge" style="position:static">${c.unread}</span>` : ''}
+      `;
+      inboxList.appendChild(el);
+    });
+  }
+  function openInbox(){
+    closeProfile(); closeChannels();
+    inboxPanel.classList.remove('hidden');
+    showInboxList();
+    loadInbox();
+  }
+  function showInboxList(){
+    if (openConversationId) socket.emit('leave_conversation', { conversationId: openConversationId });
+    openConversationId = null;
+    inboxTitle.textContent = t('topbar.messages');
+    chatView.classList.add('hidden');
+    inboxList.classList.remove('hidden');
+    renderInbox();
+  }
+  function closeInbox(){
+    if (openConversationId) socket.emit('leave_conversation', { conversationId: openConversationId });
+    openConversationId = null;
+    inboxPanel.classList.add('hidden');
+  }
+  function messageEl(m){
+    const mine = String(m.senderUserId) === String(userId);
+    const el = document.createElement('div');
+    el.className = 'chatMsg' + (mine ? ' mine' : '');
+    el.dataset.id = m.id;
+    const time = i18n.formatTime(m.createdAt);
+    el.innerHTML = `${escapeHtml(m.body)}<div class="meta">${time}${mine ? ` <span class="receipt">${m.readAt ? '✓✓' : '✓'}</span>` : ''}</div>`;
+    return el;
+  }
+  async function openConversation(id){
+    openConversationId = id;
+    rateBtn.classList.add('hidden');
+    inboxPanel.classList.remove('hidden');
+    inboxList.classList.add('hidden');
+    chatView.classList.remove('hidden');
+    chatMessages.innerHTML = `<div class="meta">${t('common.loading')}</div>`;
+    try {
+      const res = await apiFetch(`${API_BASE}/api/conversations/${id}/messages`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || t('inbox.load_failed'));
+      if (openConversationId !== id) return;
+      conversations.set(id, body.conversation);
+      rateBtn.classList.toggle('hidden', !body.conversation.canReview);
+      inboxTitle.textContent = body.conversation.post ? body.conversation.post.itemName : body.conversation.subject;
+      chatMessages.innerHTML = '';
+      body.messages.forEach(m => chatMessages.appendChild(messageEl(m)));
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+      socket.emit('join_conversation', { conversationId: id });
+      markOpenConversationRead();
+      chatInput.focus();
+    } catch(e){ chatMessages.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`; }
+  }
+  function markOpenConversationRead(){
+    const c = conversations.get(openConversationId);
+    if (!c || !c.unread) return;
+    apiFetch(`${API_BASE}/api/conversations/${openConversationId}/read`, { method: 'POST' }).catch(()=>{});
+  }
+  async function messageSeller(postId){
+    try {
+      const res = await apiFetch(`${API_BASE}/api/posts/${postId}/conversations`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || t('inbox.open_failed'));
+      conversations.set(body.id, body);
+      openConversation(body.id);
+    } catch(e){ alert(e.message); }
+  }
+  async function sendChatMessage(){
+    const text = chatInput.value.trim();
+    if (!text || !openConversationId) return;
+    chatSend.disabled = true;
+    try {
+      const res = await apiFetch(`${API_BASE}/api/conversations/${openConversationId}/messages`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ body: text }) });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || t('inbox.send_failed'));
+      chatInput.value = '';
+      // the socket echo may arrive first; only add the message once
+      if (!chatMessages.querySelector(`.chatMsg[data-id="${body.id}"]`)) chatMessages.appendChild(messageEl(body));
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    } catch(e){ alert(e.message); }
+    finally { chatSend.disabled = false; }
+  }
+  inboxBtn.addEventListener('click', openInbox);
+  inboxBack.addEventListener('click', ()=> openConversationId ? showInboxList() : closeInbox());
+  inboxList.addEventListener('click', (e)=> {
+    const row = e.target.closest('.convItem');
+    if (row) openConversation(Number(row.dataset.id));
+  });
+  chatSend.addEventListener('click', sendChatMessage);
+  chatInput.addEventListener('keydown', (e)=> { if (e.key === 'Enter') sendChatMessage(); });
+  // one rating per conversation, offered once the listing is sold
+  rateBtn.addEventListener('click', async ()=> {
+    const id = openConversationId;
+    const rating = prompt(t('review.prompt'));
+    if (rating === null) return;
+    if (!/^[1-5]$/.test(rating.trim())) return alert(t('review.invalid'));
+    const comment = prompt(t('review.comment')) || '';
+    try {
+      const res = await apiFetch(`${API_BASE}/api/conversations/${id}/review`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ rating: Number(rating), comment }) });
+      const body = await res.json();
+      if (!res.ok && res.status !== 409) throw new Error(body.error || t('review.failed'));
+      const c = conversations.get(id);
+      if (c) c.canReview = false;
+      if (openConversationId === id) rateBtn.classList.add('hidden');
+      alert(res.ok ? t('review.thanks') : body.error);
+    } catch(e){ alert(e.message); }
+  });
+
+  // Seller profiles: name, area, trust signals and reviews; your own profile can be edited here
+  async function openProfile(id){
+    closeInbox(); closeAlerts(); closeChannels();
+    profileUserId = String(id);
+    const own = profileUserId === String(userId);
+    profilePanel.classList.remove('hidden');
+    profileTitle.textContent = t(own ? 'profile.mine' : 'profile.seller');
+    profileForm.classList.toggle('hidden', !own);
+    sessionsSection.classList.toggle('hidden', !own);
+    if (own) loadSessions();
+    profileMsg.textContent = '';
+    profileInfo.innerHTML = `<div class="meta">${t('common.loading')}</div>`;
+    profileReviews.innerHTML = '';
+    try {
+      const res = await apiFetch(`${API_BASE}/api/users/${id}`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || t('profile.load_failed'));
+      if (profileUserId !== String(id)) return;
+      renderProfile(body);
+    } catch(e){ profileInfo.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`; }
+  }
+  function renderProfile(u){
+    if (profileUserId === String(userId)) { profileName.value = u.displayName || ''; profileArea.value = u.area || ''; }
+    const joined = i18n.formatDate(u.joinedAt, { month: 'long', year: 'numeric' });
+    profileInfo.innerHTML = `
+      <div class="postTitle">${sellerLabel(u)}${u.phoneVerified ? ` <i class='bx bxs-badge-check verified' title="${t('post.verified')}"></i>` : ''}</div>
+      ${u.area ? `<div class="meta">${escapeHtml(u.area)}</div>` : ''}
+      <div class="meta small">${t('profile.member_since', { date: joined })}${u.phoneVerified ? ` • ${t('profile.phone_verified')}` : ''}</div>
+      <div class="meta small">${t('profile.listed', { count: u.activeListings })} • ${t('profile.sold', { count: u.soldListings })} • ${u.ratingCount ? ratingLabel(u) : t('profile.no_ratings')}</div>`;
+    profileReviews.innerHTML = u.reviews.map(r => `
+      <div class="reviewItem">
+        <div class="meta"><span class="rating">${'★'.repeat(r.rating)}${'☆'.repeat(5 - r.rating)}</span> ${r.item ? escapeHtml(r.item) : ''}</div>
+        ${r.comment ? `<div>${escapeHtml(r.comment)}</div>` : ''}
+        <div class="meta small">${r.reviewer.displayName ? escapeHtml(r.reviewer.displayName) : t('profile.a_buyer')} • ${i18n.formatDate(r.createdAt)}</div>
+      </div>`).join('') || `<div class="meta small">${t('profile.no_reviews')}</div>`;
+  }
+  function closeProfile(){ profileUserId = null; profilePanel.classList.add('hidden'); }
+  profileBtn.addEventListener('click', ()=> openProfile(userId));
+  profileBack.addEventListener('click', closeProfile);
+  saveProfileBtn.addEventListener('click', async ()=> {
+    profileMsg.textContent = '';
+    try {
+      const res = await apiFetch(`${API_BASE}/api/users/me`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ displayName: profileName.value, area: profileArea.value }) });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || t('profile.save_failed'));
+      profileMsg.textContent = t('common.saved');
+      openProfile(userId);
+    } catch(e){ profileMsg.textContent = e.message; }
+  });
+
+  // logged-in devices (own profile only); any of them can be logged out from here
+  async function loadSessions(){
+    sessionList.innerHTML = `<div class="meta">${t('common.loading')}</div>`;
+    try {
+      const res = await apiFetch(`${API_BASE}/api/sessions`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || t('sessions.load_failed'));
+      sessionList.innerHTML = body.sessions.map(s => `
+        <div class="convItem">
+          <div class="postLeft">
+            <div class="postTitle">${escapeHtml(s.device || t('sessions.unknown_device'))}${s.current ? ` <span class="meta small">${t('sessions.this_device')}</span>` : ''}</div>
+            <div class="meta small">${t('sessions.last_used', { time: i18n.formatDateTime(s.lastUsedAt) })} • ${t('sessions.since', { date: i18n.formatDate(s.createdAt) })}</div>
+          </div>
+          ${s.current ? '' : `<button class="linkBtn revokeSessionBtn" data-id="${s.id}">${t('common.log_out')}</button>`}
+        </div>`).join('');
+      revokeOthersBtn.classList.toggle('hidden', body.sessions.length < 2);
+    } catch(e){ sessionList.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`; }
+  }
+  sessionList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.revokeSessionBtn');
+    if (!btn) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/api/sessions/${btn.dataset.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error((await res.json()).error || t('sessions.revoke_failed'));
+      loadSessions();
+    } catch(err){ alert(err.message); }
+  });
+  revokeOthersBtn.addEventListener('click', async () => {
+    if (!confirm(t('sessions.revoke_others_confirm'))) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/api/sessions`, { method: 'DELETE' });
+      if (!res.ok) throw new Error((await res.json()).error || t('sessions.revoke_others_failed'));
+      loadSessions();
+    } catch(err){ alert(err.message); }
+  });
+
+  // Channels: the feed, posting and live updates are per channel; the socket watches the current one
+  function activeChannel(){ return channels.find(c => c.slug === currentChannel) || null; }
+  async function channelRequest(path, options = {}){
+    const res = await apiFetch(`${API_BASE}/api/channels${path}`, { ...options, headers: options.body ? { 'Content-Type': 'application/json' } : {} });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || t('common.request_failed', { status: res.status }));
+    return body;
+  }
+  async function loadChannels(){
+    try {
+      const res = await apiFetch(`${API_BASE}/api/channels`);
+      if (!res.ok) throw new Error('Failed to load channels: ' + res.status);
+      ({ channels } = await res.json());
+    } catch(e){ console.warn('Channels unavailable', e); return; }
+    // a private channel the viewer lost (logged out, removed) falls back to the open one
+    if (!activeChannel() && currentChannel !== 'general') switchChannel('general');
+    else renderChannelBar();
+    if (!channelsPanel.classList.contains('hidden')) renderChannels();
+  }
+  // the switcher lists the open channel and the viewer's own; compose only where they may post
+  function renderChannelBar(){
+    const listed = channels.filter(c => c.isDefault || c.role || c.slug === currentChannel);
+    channelSelect.innerHTML = listed.map(c => `<option value="${escapeHtml(c.slug)}">${escapeHtml(c.visibility === 'private' ? t('channels.private_name', { name: c.name }) : c.name)}</option>`).join('');
+    channelSelect.value = currentChannel;
+    const channel = activeChannel();
+    const canPost = !channel || channel.canPost;
+    if (userToken) compose.classList.toggle('hidden', !canPost);
+    channelNote.classList.toggle('hidden', !userToken || canPost);
+    if (userToken && !canPost) {
+      channelNote.innerHTML = channel.visibility === 'public'
+        ? `${t('channels.join_to_post', { name: escapeHtml(channel.name) })} <button class="linkBtn joinChannelBtn" data-slug="${escapeHtml(channel.slug)}">${t('common.join')}</button>`
+        : t('channels.members_only');
+    }
+  }
+  function switchChannel(slug){
+    currentChannel = slug;
+    localStorage.setItem('ac_channel', slug);
+    renderChannelBar();
+    watchChannel();
+    return loadPosts();
+  }
+  // the server starts every connection on the open channel
+  function watchChannel(){
+    socket.emit('join_channel', { channel: currentChannel }, (r) => { if (r && r.ok) onlineCountEl.textContent = r.online; });
+  }
+  function renderChannels(){
+    channelActions.classList.toggle('hidden', !userToken);
+    const channel = activeChannel();
+    channelInfo.innerHTML = channel ? `
+      <div class="postTitle">${escapeHtml(channel.name)}</div>
+      ${channel.description ? `<div class="meta">${escapeHtml(channel.description)}</div>` : ''}
+      <div class="meta small">${[t(channel.visibility === 'private' ? 'channels.private' : 'channels.public'), channel.county,
+        channel.memberCount !== null ? t('channels.member_count', { count: channel.memberCount }) : t('channels.open_to_everyone'),
+        channel.role === 'admin' ? t('channels.you_admin') : null].filter(Boolean).map(escapeHtml).join(' • ')}</div>
+      ${channel.visibility === 'public' ? `<div class="meta small"><i class='bx bx-rss'></i> ${t('channels.follow')}
+        <a href="${API_BASE}/feeds/${encodeURIComponent(channel.slug)}.rss" target="_blank">RSS</a> •
+        <a href="${API_BASE}/feeds/${encodeURIComponent(channel.slug)}.atom" target="_blank">Atom</a> •
+        <a href="${API_BASE}/feeds/${encodeURIComponent(channel.slug)}.json" target="_blank">JSON</a></div>` : ''}
+      ${channel.inviteCode ? `
+        <div class="meta sectionLabel">${t('channels.invite_code')}</div>
+        <div class="compose-row"><span class="inviteCode">${escapeHtml(channel.inviteCode)}</span><button class="linkBtn newInviteBtn">${t('channels.new_code')}</button></div>` : ''}
+      <div id="channelMembers"></div>` : '';
+    if (channel && !channel.isDefault && channel.role) loadMembers(channel);
+    channelList.innerHTML = channels.map(c => `
+      <div class="convItem channelItem${c.slug === currentChannel ? ' current' : ''}" data-slug="${escapeHtml(c.slug)}">
+        <div class="postLeft">
+          <div class="postTitle">${escapeHtml(c.name)}${c.visibility === 'private' ? ` <i class='bx bx-lock-alt' title="${t('channels.private')}"></i>` : ''}</div>
+          <div class="meta small">${[c.county, c.memberCount !== null ? t('channels.member_count', { count: c.memberCount }) : t('channels.everyone'),
+            c.role === 'admin' ? t('channels.admin') : c.role ? t('channels.member') : null].filter(Boolean).map(escapeHtml).join(' • ')}</div>
+        </div>
+        ${userToken && !c.isDefault ? `<div class="channelBtns">${c.role
+          ? `<button class="linkBtn leaveChannelBtn" data-slug="${escapeHtml(c.slug)}">${t('common.leave')}</button>`
+          : `<button class="linkBtn joinChannelBtn" data-slug="${escapeHtml(c.slug)}">${t('common.join')}</button>`}</div>` : ''}
+      </div>`).join('');
+  }
+  async function loadMembers(channel){
+    try {
+      const { members } = await channelRequest(`/${encodeURIComponent(channel.slug)}/members`);
+      const el = document.getElementById('channelMembers');
+      if (!el || !activeChannel() || activeChannel().id !== channel.id) return;
+      el.innerHTML = `<div class="meta sectionLabel">${t('channels.members')}</div>` + members.map(m => `
+        <div class="convItem">
+          <div class="postLeft">
+            <div class="postTitle">${m.displayName ? escapeHtml(m.displayName) : t('channels.member_name', { id: m.userId })}</div>
+            <div class="meta small">${t(m.role === 'admin' ? 'channels.admin' : 'channels.member')}${m.area ? ` • ${escapeHtml(m.area)}` : ''}</div>
+          </div>
+          ${channel.canManage && String(m.userId) !== String(userId) ? `<div class="channelBtns">
+            <button class="linkBtn memberRoleBtn" data-id="${m.userId}" data-role="${m.role === 'admin' ? 'member' : 'admin'}">${t(m.role === 'admin' ? 'channels.make_member' : 'channels.make_admin')}</button>
+            <button class="iconBtn removeMemberBtn" data-id="${m.userId}" title="${t('channels.remove_member')}"><i class='bx bx-user-x'></i></button>
+          </div>` : ''}
+        </div>`).join('');
+    } catch(e){
+      const el = document.getElementById('channelMembers');
+      if (el) el.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`;
+    }
+  }
+  function openChannels(){
+    closeInbox(); closeAlerts(); closeProfile();
+    channelsPanel.classList.remove('hidden');
+    channelsMsg.textContent = '';
+    renderChannels();
+    loadChannels();
+  }
+  function closeChannels(){ channelsPanel.classList.add('hidden'); }
+  async function joinChannel(slug){
+    await channelRequest(`/${encodeURIComponent(slug)}/join`, { method: 'POST' });
+    await loadChannels();
+  }
+  channelSelect.addEventListener('change', () => switchChannel(channelSelect.value));
+  channelsBtn.addEventListener('click', openChannels);
+  channelsBack.addEventListener('click', closeChannels);
+  channelNote.addEventListener('click', (e) => {
+    const btn = e.target.closest('.joinChannelBtn');
+    if (btn) joinChannel(btn.dataset.slug).catch(err => alert(err.message));
+  });
+  channelsPanel.addEventListener('click', async (e) => {
+    const channel = activeChannel();
+    const btn = e.target.closest('button');
+    try {
+      if (btn && btn.classList.contains('joinChannelBtn')) {
+        await joinChannel(btn.dataset.slug);
+        await switchChannel(btn.dataset.slug);
+        renderChannels();
+      } else if (btn && btn.classList.contains('leaveChannelBtn')) {
+        if (!confirm(t('channels.leave_confirm'))) return;
+        await channelRequest(`/${encodeURIComponent(btn.dataset.slug)}/leave`, { method: 'POST' });
+        await loadChannels();
+      } else if (btn && btn.classList.contains('newInviteBtn')) {
+        if (!confirm(t('channels.new_invite_confirm'))) return;
+        await channelRequest(`/${encodeURIComponent(channel.slug)}/invite`, { method: 'POST' });
+        await loadChannels();
+      } else if (btn && btn.classList.contains('memberRoleBtn')) {
+        await channelRequest(`/${encodeURIComponent(channel.slug)}/members/${btn.dataset.id}`, { method: 'PATCH', body: JSON.stringify({ role: btn.dataset.role }) });
+        loadMembers(channel);
+      } else if (btn && btn.classList.contains('removeMemberBtn')) {
+        if (!confirm(t('channels.remove_confirm'))) return;
+        await channelRequest(`/${encodeURIComponent(channel.slug)}/members/${btn.dataset.id}`, { method: 'DELETE' });
+        await loadChannels();
+      } else if (!btn) {
+        const item = e.target.closest('.channelItem');
+        if (!item) return;
+        closeChannels();
+        if (item.dataset.slug !== currentChannel) switchChannel(item.dataset.slug);
+      }
+    } catch(err){ alert(err.message); }
+  });
+  inviteJoinBtn.addEventListener('click', async () => {
+    const inviteCode = inviteInput.value.trim();
+    if (!inviteCode) return;
+    try {
+      const channel = await channelRequest('/join', { method: 'POST', body: JSON.stringify({ inviteCode }) });
+      inviteInput.value = '';
+      await loadChannels();
+      await switchChannel(channel.slug);
+      renderChannels();
+    } catch(e){ alert(e.message); }
+  });
+  createChannelBtn.addEventListener('click', async () => {
+    channelsMsg.textContent = '';
+    createChannelBtn.disabled = true;
+    try {
+      const channel = await channelRequest('', {
+        method: 'POST',
+        body: JSON.stringify({ name: newChannelName.value, description: newChannelDesc.value, visibility: newChannelVisibility.value })
+      });
+      newChannelName.value = ''; newChannelDesc.value = '';
+      await loadChannels();
+      await switchChannel(channel.slug);
+      renderChannels();
+    } catch(e){ channelsMsg.textContent = e.message; }
+    finally { createChannelBtn.disabled = false; }
+  });
+
+  // Alerts: saved searches and notification preferences; matching listings arrive on this user's socket room
+  function updateAlertsBadge(){
+    alertsBadge.textContent = unseenAlerts > 99 ? '99+' : String(unseenAlerts);
+    alertsBadge.classList.toggle('hidden', unseenAlerts === 0);
+  }
+  function describeAlert(a){
+    const parts = [];
+    if (a.commodity) parts.push(escapeHtml(a.commodity.name));
+    if (a.keywords) parts.push(`"${escapeHtml(a.keywords)}"`);
+    if (a.location) parts.push(t('alerts.in_location', { location: escapeHtml(a.location) }));
+    if (a.maxPrice !== null && a.maxPrice !== undefined) parts.push(t('alerts.up_to', { price: escapeHtml(i18n.formatMoney(a.maxPrice, a.currency)) }));
+    return parts.join(' ');
+  }
+  async function loadAlerts(){
+    alertList.innerHTML = `<div class="meta">${t('common.loading')}</div>`;
+    try {
+      const [rulesRes, prefsRes] = await Promise.all([
+        apiFetch(`${API_BASE}/api/alerts`),
+        apiFetch(`${API_BASE}/api/alerts/prefs`)
+      ]);
+      if (!rulesRes.ok || !prefsRes.ok) throw new Error(t('alerts.load_failed'));
+      const { alerts } = await rulesRes.json();
+      const prefs = await prefsRes.json();
+      alertList.innerHTML = alerts.length ? '' : `<div class="meta">${escapeHtml(t('alerts.empty'))}</div>`;
+      alerts.forEach(a => {
+        const el = document.createElement('div');
+        el.className = 'convItem';
+        el.innerHTML = `
+          <div class="postLeft"><div class="meta">${describeAlert(a)}</div></div>
+          <button class="iconBtn deleteAlertBtn" data-id="${a.id}" title="${t('alerts.delete')}"><i class='bx bx-trash'></i></button>
+        `;
+        alertList.appendChild(el);
+      });
+      prefSound.checked = prefs.sound;
+      prefQuietStart.value = prefs.quietStart || '';
+      prefQuietEnd.value = prefs.quietEnd || '';
+      prefDigest.value = prefs.digest;
+    } catch(e){ alertList.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`; }
+  }
+  function renderAlertMatches(){
+    alertMatchesEl.innerHTML = alertMatches.length ? `<div class="meta sectionLabel">${t('alerts.new_matches')}</div>` : '';
+    alertMatches.forEach(p => {
+      const el = document.createElement('div');
+      el.className = 'convItem';
+      el.innerHTML = `
+        <div class="postLeft">
+          <div class="postTitle">${escapeHtml(p.itemName || '')}</div>
+          <div class="meta">${escapeHtml(p.location || '')} • ${formatPrice(p)}</div>
+        </div>
+        <button class="iconBtn messageBtn" data-id="${p.id}" title="${t('post.message_seller')}"><i class='bx bx-message-rounded-dots'></i></button>
+      `;
+      alertMatchesEl.appendChild(el);
+    });
+  }
+  function openAlerts(){
+    closeInbox(); closeProfile(); closeChannels();
+    alertsPanel.classList.remove('hidden');
+    unseenAlerts = 0; updateAlertsBadge();
+    prefsMsg.textContent = '';
+    renderAlertMatches();
+    loadAlerts();
+  }
+  function closeAlerts(){ alertsPanel.classList.add('hidden'); }
+  function addAlertMatches(posts){
+    const ids = new Set(posts.map(p => p.id));
+    alertMatches = [...posts, ...alertMatches.filter(p => !ids.has(p.id))].slice(0, 30);
+    unseenAlerts += posts.length;
+    updateAlertsBadge();
+    if (!alertsPanel.classList.contains('hidden')) renderAlertMatches();
+  }
+  // the server sets silent for quiet hours or when sound is off
+  function showAlertNotification(title, body, icon, silent){
+    if (("Notification" in window) && Notification.permission === "granted") {
+      const n = new Notification(title, { body, icon: icon || 'icons/icon-192.png', silent });
+      setTimeout(()=> n.close(), 5000);
+    }
+    if (!silent) playNotificationSound();
+  }
+  async function saveCurrentSearch(){
+    const body = {
+      keywords: searchInput.value.trim(),
+      commodity: filterCommodity.value,
+      location: filterLocation.value.trim(),
+      maxPrice: filterMaxPrice.value
+    };
+    try {
+      const res = await apiFetch(`${API_BASE}/api/alerts`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      const out = await res.json();
+      if (!res.ok) throw new Error(out.error || t('alerts.save_failed'));
+      alert(t('alerts.saved'));
+    } catch(e){ alert(e.message); }
+  }
+  async function savePrefs(){
+    savePrefsBtn.disabled = true;
+    prefsMsg.textContent = '';
+    try {
+      const res = await apiFetch(`${API_BASE}/api/alerts/prefs`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sound: prefSound.checked,
+          quietStart: prefQuietStart.value,
+          quietEnd: prefQuietEnd.value,
+          digest: prefDigest.value,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        })
+      });
+      const out = await res.json();
+      if (!res.ok) throw new Error(out.error || t('alerts.prefs_failed'));
+      prefsMsg.textContent = t('common.saved');
+    } catch(e){ prefsMsg.textContent = e.message; }
+    finally { savePrefsBtn.disabled = false; }
+  }
+  alertsBtn.addEventListener('click', openAlerts);
+  alertsBack.addEventListener('click', closeAlerts);
+  saveSearchBtn.addEventListener('click', saveCurrentSearch);
+  savePrefsBtn.addEventListener('click', savePrefs);
+  alertList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.deleteAlertBtn');
+    if (!btn || !confirm(t('alerts.delete_confirm'))) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/api/alerts/${btn.dataset.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error((await res.json()).error || t('alerts.delete_failed'));
+      loadAlerts();
+    } catch(err){ alert(err.message); }
+  });
+  alertMatchesEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.messageBtn');
+    if (!btn) return;
+    closeAlerts();
+    messageSeller(btn.dataset.id);
   });
 
   // Socket handlers
   try {
-    socket.on('connect', () => console.log('socket connected — id:', socket.id));
+    // (re)connects also catch up on whatever changed while the socket was down
+    socket.on('connect', () => { console.log('socket connected — id:', socket.id); watchChannel(); flushOutbox(); syncFeed(); });
     socket.on('connect_error', (err) => console.error('Socket connect_error:', err));
-    socket.on('new_post', (p) => {
-      if (("Notification" in window) && Notification.permission === "granted") {
-        const n = new Notification('New listing: ' + (p.itemName || ''), { body: `${p.location || ''} • Ksh ${p.price || ''}`, icon: absoluteImageUrl(p.image) || '/favicon.png' });
-        setTimeout(()=> n.close(), 5000);
-      }
-      playNotificationAudioLoop(60_000); // play up to 60s
-      loadPosts();
+    // the server drops the sockets of a revoked session or a banned account; see which it was
+    socket.on('disconnect', (reason) => {
+      if (reason !== 'io server disconnect' || !userToken) return;
+      checkSession().then(() => { if (userToken) socket.connect(); });
+    });
+    socket.on('alert', ({ post, silent }) => {
+      addAlertMatches([post]);
+      showAlertNotification(t('notify.new_listing', { item: post.itemName || '' }), `${post.location || ''} • ${formatPrice(post)}`, absoluteImageUrl(post.thumb), silent);
+    });
+    socket.on('match', ({ postId, match, distanceKm }) => {
+      const mine = postsById.get(String(postId));
+      if (mine) applyPostUpdate({ ...mine, matchCount: (mine.matchCount || 0) + 1 });
+      const where = `${match.location || ''}${distanceKm != null ? ` ${t('notify.km_away', { km: Math.round(distanceKm) })}` : ''}`;
+      showAlertNotification(t(match.type === 'request' ? 'notify.buyer_wants' : 'notify.offer_for', { item: match.itemName || '' }),
+        `${where} • ${formatPrice(match)}`, absoluteImageUrl(match.thumb), false);
+    });
+    socket.on('alert_digest', ({ posts, total, silent }) => {
+      addAlertMatches(posts);
+      const names = posts.slice(0, 3).map(p => p.itemName).join(', ');
+      showAlertNotification(t('notify.digest', { count: total }), names, null, silent);
     });
-    socket.on('deleted_post', ({id}) => loadPosts());
+    // feed sync: patch the list in place, no refetch
+    socket.on('new_post', (p) => { upsertPost(p); noteVersion(p.version); });
+    socket.on('updated_post', (p) => { upsertPost(p); noteVersion(p.version); });
+    socket.on('deleted_post', ({ id, version }) => { removePostFromFeed(id); noteVersion(version); });
     socket.on('online_count', (n) => { onlineCountEl.textContent = n; });
+    // removed from a private channel (or it went private): the server has already moved this socket to the open one
+    socket.on('channel_removed', ({ channelId }) => {
+      const channel = activeChannel();
+      if (channel && channel.id === channelId) alert(t('channels.removed', { name: channel.name }));
+      loadChannels();
+    });
+    socket.on('message', (m) => {
+      if (m.conversationId !== openConversationId || chatMessages.querySelector(`.chatMsg[data-id="${m.id}"]`)) return;
+      chatMessages.appendChild(messageEl(m));
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+      if (String(m.senderUserId) !== String(userId)) socket.emit('mark_read', { conversationId: m.conversationId });
+    });
+    socket.on('messages_read', (r) => {
+      if (r.conversationId !== openConversationId || String(r.readerUserId) === String(userId)) return;
+      chatMessages.querySelectorAll('.chatMsg.mine .receipt').forEach(el => {
+        if (Number(el.closest('.chatMsg').dataset.id) <= r.upToId) el.textContent = '✓✓';
+      });
+    });
+    socket.on('conversation_updated', (c) => {
+      conversations.set(c.id, c);
+      updateInboxBadge();
+      if (!inboxPanel.classList.contains('hidden') && !openConversationId) renderInbox();
+    });
   } catch(e) {
     console.warn('Socket not available', e);
   }
@@ -248,32 +1761,30 @@
     }
   }
 
-  function playNotificationAudioLoop(durationMs = 60000) {
+  // one play of the alert tone per notification
+  function playNotificationSound() {
     try {
       if (!notifAudio) return;
-      if (notifPlaying && notifStopTimer) { clearTimeout(notifStopTimer); notifStopTimer = setTimeout(stopNotifAudio, durationMs); return; }
+      notifAudio.currentTime = 0;
       const p = notifAudio.play();
       if (p !== undefined && p.catch) p.catch(()=>{});
-      notifPlaying = true;
-      notifAudio.onended = () => {
-        if (!notifPlaying) return;
-        try { notifAudio.currentTime = 0; notifAudio.play(); } catch(e){}
-      };
-      notifStopTimer = setTimeout(stopNotifAudio, durationMs);
     } catch(e){ console.error('Notification audio failed', e); }
   }
-  function stopNotifAudio(){ notifPlaying=false; if (notifStopTimer){ clearTimeout(notifStopTimer); notifStopTimer=null;} if (notifAudio){ notifAudio.pause(); try{ notifAudio.currentTime=0; }catch(e){} } }
-
-  // Only clear auth on leaving the page (not on file picker or after post)
-  window.addEventListener('pagehide', () => clearAuth());
-  window.addEventListener('beforeunload', () => clearAuth());
 
-  // keepalive + fallback fetch every 10s for robustness
+  // keepalive; while the socket is down the feed catches up with a small changes request instead
   setInterval(()=> fetch(`${API_BASE}/ping`).catch(()=>{}), 1000 * 60 * 3);
-  setInterval(()=> loadPosts(), 10000);
+  setInterval(()=> { if (!socket.connected) syncFeed(); }, 60000);
+  setInterval(()=> flushOutbox(), 30000);
+
+  // app shell + last feed for offline use (not under Live Server, which serves a different origin)
+  if ('serviceWorker' in navigator && !USING_LIVE_SERVER) {
+    navigator.serviceWorker.register('sw.js').catch(e => console.warn('Service worker registration failed', e));
+  }
 
   // init
   initUI();
-  loadPosts();
+  loadCatalog();
+  Promise.all([loadChannels(), loadPosts()]).then(openSharedPost);
+  renderOutbox().then(flushOutbox);
 
 })();
@@ -0,0 +1,83 @@
+// public/i18n.js — translations and locale formatting for the app. Catalogs are locales/<locale>.json
+// (the server reads the same files for its messages); app.js waits for i18n.ready before rendering.
+(function () {
+  const LOCALES = ['en', 'sw'];
+  const DEFAULT_LOCALE = 'en';
+  const INTL_TAGS = { en: 'en-KE', sw: 'sw-KE' };
+
+  // a language picked in the app wins over the browser's
+  function detect(){
+    const saved = localStorage.getItem('ac_lang');
+    if (LOCALES.includes(saved)) return saved;
+    const langs = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+    const match = langs.map(l => String(l).toLowerCase().split('-')[0]).find(l => LOCALES.includes(l));
+    return match || DEFAULT_LOCALE;
+  }
+
+  const locale = detect();
+  const tag = INTL_TAGS[locale];
+  const catalogs = {};
+
+  function loadCatalog(name){
+    return fetch(`locales/${name}.json`)
+      .then(res => { if (!res.ok) throw new Error('Failed to fetch catalog: ' + res.status); return res.json(); })
+      .then(body => { catalogs[name] = body; })
+      .catch(e => console.warn(`Catalog ${name} unavailable`, e));
+  }
+
+  function lookup(name, key){
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogs[name]);
+  }
+
+  function formatNumber(n, options){ return new Intl.NumberFormat(tag, options).format(n); }
+  // "Ksh 3,500"
+  function formatMoney(amount, currency = 'KES'){
+    return `${lookup(locale, `currency.${currency}`) || currency} ${formatNumber(Number(amount), { maximumFractionDigits: 2 })}`;
+  }
+  function formatDate(date, options = { day: 'numeric', month: 'short', year: 'numeric' }){ return new Date(date).toLocaleDateString(tag, options); }
+  function formatTime(date){ return new Date(date).toLocaleTimeString(tag, { hour: '2-digit', minute: '2-digit' }); }
+  function formatDateTime(date){ return new Date(date).toLocaleString(tag, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }); }
+
+  // the message for key, in English when this locale lacks it, the key itself when both do.
+  // Number params are formatted for the locale; { one, other } messages pick by params.count.
+  function t(key, params = {}){
+    let msg = lookup(locale, key);
+    if (msg === undefined) msg = lookup(DEFAULT_LOCALE, key);
+    if (msg && typeof msg === 'object') {
+      const form = new Intl.PluralRules(tag).select(Number(params.count) || 0);
+      msg = msg[form] !== undefined ? msg[form] : msg.other;
+    }
+    if (typeof msg !== 'string') return key;
+    return msg.replace(/\{(\w+)\}/g, (whole, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return whole;
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+  }
+
+  // static markup: data-i18n (text), data-i18n-placeholder, data-i18n-title, with params as JSON in data-i18n-params
+  function apply(root = document){
+    const params = (el) => (el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {});
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n, params(el)); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+    document.documentElement.lang = locale;
+  }
+
+  // remembered on this device; the page reloads to show it
+  function setLocale(next){
+    if (LOCALES.includes(next)) localStorage.setItem('ac_lang', next);
+  }
+
+  const wanted = locale === DEFAULT_LOCALE ? [DEFAULT_LOCALE] : [DEFAULT_LOCALE, locale];
+  const ready = Promise.all(wanted.map(loadCatalog)).then(() => {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => apply());
+    else apply();
+  });
+
+  window.i18n = {
+    LOCALES, locale, ready, t, apply, setLocale,
+    chosen: () => LOCALES.includes(localStorage.getItem('ac_lang')),
+    formatNumber, formatMoney, formatDate, formatTime, formatDateTime
+  };
+})();
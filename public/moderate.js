@@ -0,0 +1,293 @@
+// public/moderate.js — moderator page: report queue, hidden posts, user bans and the audit log
+(async function () {
+  const API_BASE = window.location.origin;
+  const TOKEN_KEY = 'ac_mod_token';
+
+  const $ = (id) => document.getElementById(id);
+  const loginSection = $('modLogin');
+  const mainSection = $('modMain');
+  const phoneInput = $('modPhone');
+  const codeStep = $('modCodeStep');
+  const codeInput = $('modCode');
+  const loginMsg = $('modLoginMsg');
+  const whoEl = $('modWho');
+  const logoutBtn = $('modLogout');
+  const reportStatus = $('reportStatus');
+  const reportQueue = $('reportQueue');
+  const hiddenList = $('hiddenList');
+  const userQuery = $('userQuery');
+  const userResult = $('userResult');
+  const auditList = $('auditList');
+  const auditMore = $('auditMore');
+
+  let token = sessionStorage.getItem(TOKEN_KEY);
+  let refreshToken = sessionStorage.getItem('ac_mod_refresh');
+  let tokenExpiresAt = Number(sessionStorage.getItem('ac_mod_token_exp')) || 0;
+  let role = sessionStorage.getItem('ac_mod_role');
+  let codePhone = null;
+  let auditBefore = null;
+  let socket = null;
+
+  // same catalogs as the app (public/locales); nothing is rendered before they are in
+  await i18n.ready;
+  const { t } = i18n;
+
+  function escapeHtml(s){ if (s === null || s === undefined) return ''; return String(s).replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
+  function when(d){ return d ? i18n.formatDateTime(d) : ''; }
+  function roleLabel(r){ return t(`mod.role.${r}`); }
+  // API errors by their stable code; the server's own (already localized) text when the catalog
+  // has no message for it or the message needs params the body doesn't carry
+  function errorText(body, fallbackKey){
+    const key = body && body.code ? `errors.${body.code}` : null;
+    const msg = key ? t(key, body) : key;
+    if (msg && msg !== key && !/\{\w+\}/.test(msg)) return msg;
+    return (body && body.error) || t(fallbackKey);
+  }
+
+  function storeTokens(out){
+    token = out.token; refreshToken = out.refreshToken;
+    tokenExpiresAt = Date.now() + out.expiresIn * 1000;
+    sessionStorage.setItem(TOKEN_KEY, token);
+    sessionStorage.setItem('ac_mod_refresh', refreshToken);
+    sessionStorage.setItem('ac_mod_token_exp', String(tokenExpiresAt));
+  }
+  // access tokens are short-lived; the refresh token gets a new pair (and is replaced itself)
+  async function refresh(){
+    if (!refreshToken) return false;
+    const res = await fetch(`${API_BASE}/api/token/refresh`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ refreshToken }) });
+    if (!res.ok) return false;
+    storeTokens(await res.json());
+    return true;
+  }
+  async function freshToken(){
+    if (token && Date.now() > tokenExpiresAt - 60000) await refresh().catch(() => false);
+    return token;
+  }
+
+  async function api(path, { method = 'GET', body } = {}){
+    const send = async () => {
+      const headers = { Authorization: `Bearer ${await freshToken()}`, 'Accept-Language': i18n.locale };
+      if (body) headers['Content-Type'] = 'application/json';
+      return fetch(`${API_BASE}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    };
+    let res = await send();
+    if (res.status === 401 && await refresh()) res = await send();
+    const out = await res.json().catch(() => ({}));
+    if (res.status === 401 || res.status === 403) { const msg = errorText(out, 'mod.not_allowed'); logout(msg); throw new Error(msg); }
+    if (!res.ok) throw new Error(out.code || out.error ? errorText(out) : t('common.request_failed', { status: res.status }));
+    return out;
+  }
+
+  // login (same phone + code flow as the app; only moderators and admins get in)
+  $('modSendCode').addEventListener('click', async () => {
+    loginMsg.textContent = '';
+    try {
+      const res = await fetch(`${API_BASE}/api/login`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Accept-Language': i18n.locale }, body: JSON.stringify({ phone: phoneInput.value.trim() }) });
+      const body = await res.json();
+      if (!res.ok) { loginMsg.textContent = errorText(body, 'auth.send_failed'); return; }
+      codePhone = body.phone;
+      codeStep.classList.remove('hidden');
+      codeInput.focus();
+    } catch(e){ loginMsg.textContent = t('auth.send_error'); }
+  });
+  $('modVerify').addEventListener('click', async () => {
+    loginMsg.textContent = '';
+    try {
+      const res = await fetch(`${API_BASE}/api/login/verify`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Accept-Language': i18n.locale }, body: JSON.stringify({ phone: codePhone, code: codeInput.value.trim() }) });
+      const body = await res.json();
+      if (!res.ok) { loginMsg.textContent = errorText(body, 'auth.login_failed'); return; }
+      if (body.role !== 'moderator' && body.role !== 'admin') { loginMsg.textContent = t('mod.not_moderator'); return; }
+      storeTokens(body);
+      role = body.role;
+      sessionStorage.setItem('ac_mod_role', role);
+      codeInput.value = '';
+      start();
+    } catch(e){ loginMsg.textContent = t('auth.login_error'); }
+  });
+  // also ends the session on the server (a no-op when it already has)
+  function logout(message){
+    if (refreshToken) {
+      fetch(`${API_BASE}/api/logout`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ refreshToken }) }).catch(() => {});
+    }
+    token = null; refreshToken = null; tokenExpiresAt = 0; role = null;
+    [TOKEN_KEY, 'ac_mod_refresh', 'ac_mod_token_exp', 'ac_mod_role'].forEach(k => sessionStorage.removeItem(k));
+    if (socket) { socket.disconnect(); socket = null; }
+    mainSection.classList.add('hidden');
+    logoutBtn.classList.add('hidden');
+    loginSection.classList.remove('hidden');
+    codeStep.classList.add('hidden');
+    whoEl.textContent = '';
+    loginMsg.textContent = message || '';
+  }
+  logoutBtn.addEventListener('click', () => logout());
+
+  // tabs
+  document.querySelectorAll('.modTab').forEach(btn => btn.addEventListener('click', () => showTab(btn.dataset.tab)));
+  function showTab(name){
+    document.querySelectorAll('.modTab').forEach(b => b.classList.toggle('active', b.dataset.tab === name));
+    document.querySelectorAll('.modTabBody').forEach(el => el.classList.toggle('hidden', el.id !== `tab-${name}`));
+    if (name === 'reports') loadReports();
+    if (name === 'hidden') loadHidden();
+    if (name === 'audit') loadAudit({ reset: true });
+  }
+
+  function postSummary(p){
+    return `
+      <div class="postTitle">${escapeHtml(p.itemName)} <span class="meta">#${p.id}</span>${p.hiddenAt ? `<span class="badge removed">${escapeHtml(t('post.hidden'))}</span>` : ''}</div>
+      ${p.thumb ? `<img class="modThumb" src="${escapeHtml(p.thumb)}" alt="" loading="lazy" />` : ''}
+      <div class="meta">${escapeHtml(p.location)} • ${escapeHtml(p.phone)} • ${p.price !== null && p.price !== undefined ? escapeHtml(i18n.formatMoney(p.price, p.currency)) : escapeHtml(p.priceText || '')}</div>
+      ${p.description ? `<div class="meta small">${escapeHtml(p.description)}</div>` : ''}
+    `;
+  }
+
+  // report queue
+  async function loadReports(){
+    reportQueue.innerHTML = `<div class="meta">${escapeHtml(t('common.loading'))}</div>`;
+    try {
+      const { queue } = await api(`/api/mod/reports?status=${reportStatus.value}`);
+      reportQueue.innerHTML = queue.length ? '' : `<div class="meta">${escapeHtml(t('mod.nothing_to_review'))}</div>`;
+      queue.forEach(item => {
+        const el = document.createElement('div');
+        el.className = 'card modItem';
+        const owner = item.owner;
+        el.innerHTML = `
+          ${postSummary(item.post)}
+          <div class="meta">${escapeHtml(t('mod.seller', { seller: owner ? `#${owner.id} ${owner.phone || ''}${owner.bannedAt ? ` ${t('mod.banned_suffix')}` : ''}` : t('mod.seller_unknown') }))}</div>
+          <ul class="modReports">
+            ${item.reports.map(r => `<li class="meta"><b>${escapeHtml(t(`report.${r.reason}`))}</b> ${escapeHtml(t('mod.reported_by', { user: String(r.reporterUserId), when: when(r.createdAt) }))}${r.details ? `: ${escapeHtml(r.details)}` : ''}</li>`).join('')}
+          </ul>
+          ${reportStatus.value === 'open' ? `
+          <div class="btn-row">
+            ${item.post.hiddenAt ? '' : `<button class="btn primary" data-action="hide" data-id="${item.post.id}">${escapeHtml(t('mod.hide_post'))}</button>`}
+            <button class="btn" data-action="dismiss" data-id="${item.post.id}">${escapeHtml(t('mod.dismiss'))}</button>
+            ${owner && !owner.bannedAt && owner.role === 'member' ? `<button class="btn" data-action="ban" data-id="${owner.id}">${escapeHtml(t('mod.ban_seller'))}</button>` : ''}
+          </div>` : ''}
+        `;
+        reportQueue.appendChild(el);
+      });
+    } catch(e){ reportQueue.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`; }
+  }
+  reportStatus.addEventListener('change', loadReports);
+  $('reportsRefresh').addEventListener('click', loadReports);
+
+  async function loadHidden(){
+    hiddenList.innerHTML = `<div class="meta">${escapeHtml(t('common.loading'))}</div>`;
+    try {
+      const { posts } = await api('/api/mod/posts/hidden');
+      hiddenList.innerHTML = posts.length ? '' : `<div class="meta">${escapeHtml(t('mod.no_hidden'))}</div>`;
+      posts.forEach(p => {
+        const el = document.createElement('div');
+        el.className = 'card modItem';
+        el.innerHTML = `
+          ${postSummary(p)}
+          <div class="meta">${escapeHtml(t('mod.hidden_at', { when: when(p.hiddenAt) }))}${p.hiddenReason ? `: ${escapeHtml(p.hiddenReason)}` : ''}</div>
+          <div class="btn-row"><button class="btn" data-action="restore" data-id="${p.id}">${escapeHtml(t('mod.restore'))}</button></div>
+        `;
+        hiddenList.appendChild(el);
+      });
+    } catch(e){ hiddenList.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`; }
+  }
+
+  // users
+  async function findUser(){
+    const q = userQuery.value.trim();
+    if (!q) return;
+    userResult.innerHTML = `<div class="meta">${escapeHtml(t('common.loading'))}</div>`;
+    try {
+      const u = await api(`/api/mod/users?${/^\d+$/.test(q) && q.length < 9 ? 'id' : 'phone'}=${encodeURIComponent(q)}`);
+      renderUser(u);
+    } catch(e){ userResult.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`; }
+  }
+  function renderUser(u){
+    userResult.innerHTML = `
+      <div class="card modItem">
+        <div class="postTitle">#${u.id} ${escapeHtml(u.phone || t('mod.no_phone'))} <span class="badge">${escapeHtml(roleLabel(u.role))}</span>${u.bannedAt ? `<span class="badge sold">${escapeHtml(t('mod.banned'))}</span>` : ''}</div>
+        <div class="meta">${escapeHtml(t('mod.joined', { when: when(u.createdAt) }))}${u.posts !== undefined ? ` • ${escapeHtml(t('mod.user_stats', { posts: u.posts, reports: u.reportsAgainst }))}` : ''}</div>
+        ${u.bannedAt ? `<div class="meta">${escapeHtml(t('mod.banned_at', { when: when(u.bannedAt) }))}${u.banReason ? `: ${escapeHtml(u.banReason)}` : ''}</div>` : ''}
+        <div class="btn-row">
+          ${u.bannedAt ? `<button class="btn" data-action="unban" data-id="${u.id}">${escapeHtml(t('mod.unban'))}</button>` : `<button class="btn" data-action="ban" data-id="${u.id}">${escapeHtml(t('mod.ban'))}</button>`}
+          ${role === 'admin' ? `
+            <select data-action="role" data-id="${u.id}">
+              ${['member', 'moderator', 'admin'].map(r => `<option value="${r}" ${r === u.role ? 'selected' : ''}>${escapeHtml(roleLabel(r))}</option>`).join('')}
+            </select>` : ''}
+        </div>
+      </div>
+    `;
+  }
+  $('userFind').addEventListener('click', findUser);
+  userQuery.addEventListener('keydown', (e) => { if (e.key === 'Enter') findUser(); });
+
+  // audit log
+  async function loadAudit({ reset = false } = {}){
+    if (reset) { auditBefore = null; auditList.innerHTML = ''; }
+    try {
+      const { entries, hasMore } = await api(`/api/mod/audit${auditBefore ? `?before=${auditBefore}` : ''}`);
+      if (reset && !entries.length) auditList.innerHTML = `<div class="meta">${escapeHtml(t('mod.no_audit'))}</div>`;
+      entries.forEach(e => {
+        const el = document.createElement('div');
+        el.className = 'modAudit meta';
+        el.innerHTML = `${when(e.createdAt)} — <b>${escapeHtml(e.action)}</b> ${escapeHtml(e.targetType)} #${e.targetId} ${escapeHtml(t('mod.audit_by', { actor: e.actorUserId ? `#${e.actorUserId}` : t('mod.system') }))}${e.details ? ` <code>${escapeHtml(JSON.stringify(e.details))}</code>` : ''}`;
+        auditList.appendChild(el);
+      });
+      auditBefore = entries.length ? entries[entries.length - 1].id : auditBefore;
+      auditMore.classList.toggle('hidden', !hasMore);
+    } catch(e){ auditList.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`; }
+  }
+  auditMore.addEventListener('click', () => loadAudit());
+
+  // actions (delegated across all tabs)
+  async function runAction(action, id, value){
+    if (action === 'hide') {
+      const reason = prompt(t('mod.hide_reason'));
+      if (reason === null) return;
+      await api(`/api/mod/posts/${id}/hide`, { method: 'POST', body: { reason } });
+      loadReports();
+    } else if (action === 'restore') {
+      await api(`/api/mod/posts/${id}/restore`, { method: 'POST' });
+      loadHidden();
+    } else if (action === 'dismiss') {
+      await api(`/api/mod/posts/${id}/dismiss`, { method: 'POST' });
+      loadReports();
+    } else if (action === 'ban') {
+      const reason = prompt(t('mod.ban_reason'));
+      if (reason === null) return;
+      renderUserIfShown(await api(`/api/mod/users/${id}/ban`, { method: 'POST', body: { reason } }));
+      loadReports();
+    } else if (action === 'unban') {
+      renderUserIfShown(await api(`/api/mod/users/${id}/unban`, { method: 'POST' }));
+    } else if (action === 'role') {
+      if (!confirm(t('mod.role_confirm', { id, role: roleLabel(value) }))) return findUser();
+      renderUserIfShown(await api(`/api/mod/users/${id}/role`, { method: 'POST', body: { role: value } }));
+    }
+  }
+  function renderUserIfShown(u){ if (userResult.querySelector(`[data-id="${u.id}"]`)) renderUser(u); }
+  mainSection.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    btn.disabled = true;
+    try { await runAction(btn.dataset.action, btn.dataset.id); }
+    catch(err){ alert(err.message); }
+    finally { btn.disabled = false; }
+  });
+  mainSection.addEventListener('change', async (e) => {
+    const sel = e.target.closest('select[data-action]');
+    if (!sel) return;
+    try { await runAction(sel.dataset.action, sel.dataset.id, sel.value); }
+    catch(err){ alert(err.message); findUser(); }
+  });
+
+  function start(){
+    loginSection.classList.add('hidden');
+    mainSection.classList.remove('hidden');
+    logoutBtn.classList.remove('hidden');
+    whoEl.textContent = roleLabel(role);
+    showTab('reports');
+    // new reports show up without a manual refresh
+    if (typeof io !== 'undefined') {
+      socket = io(API_BASE, { auth: (cb) => freshToken().then(token => cb({ token, lang: i18n.locale })) });
+      socket.on('report_created', () => { if (reportStatus.value === 'open') loadReports(); });
+    }
+  }
+
+  if (token) start();
+})();
@@ -0,0 +1,125 @@
+// public/sw.js — app shell + last feed cache so AgriChannel opens on weak or no connectivity
+//
+// Bump CACHE_VERSION whenever the shell files change; old caches are dropped on activate.
+const CACHE_VERSION = 'v10';
+const SHELL_CACHE = `ac-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `ac-data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `ac-images-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 150;
+const MAX_CACHED_DATA = 40; // every search, page and listing is its own entry
+const OPEN_CHANNEL = 'general'; // the one channel every visitor can read
+
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/app.js',
+  '/i18n.js',
+  '/locales/en.json',
+  '/locales/sw.json',
+  '/styles.css',
+  '/notif.mp3',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/socket.io/socket.io.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(n => n.startsWith('ac-') && !keep.includes(n)).map(n => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// only answers anyone could get are kept: the cache key ignores Authorization, so a logged-in
+// viewer's channels or members-only listings would be replayed to whoever uses the phone next
+function shareable(request, url) {
+  if (request.headers.has('Authorization')) return false;
+  const channel = url.searchParams.get('channel');
+  return !channel || channel === OPEN_CHANNEL;
+}
+
+// drops the oldest entries beyond `max` (keys() lists them oldest first; a put moves an entry to the end)
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  for (const old of keys.slice(0, Math.max(0, keys.length - max))) await cache.delete(old);
+}
+
+// network first; on failure serve the cached copy, marked so the page can show it is offline
+async function networkFirst(request, cacheName, store = true, maxEntries = 0) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    // stored in the background so the page doesn't wait for the copy
+    if (res.ok && store) cache.put(request, res.clone()).then(() => maxEntries && trimCache(cache, maxEntries)).catch(() => {});
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (!cached) throw err;
+    const headers = new Headers(cached.headers);
+    headers.set('X-AgriChannel-Cache', 'hit');
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+  }
+}
+
+// photos never change once uploaded, so cached ones are served as-is
+async function cacheFirst(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) {
+    await cache.put(request, res.clone());
+    await trimCache(cache, MAX_CACHED_IMAGES);
+  }
+  return res;
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const update = fetch(request).then(res => {
+    if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+    return res;
+  }).catch(() => cached);
+  return cached || update;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    // icon font CSS from the CDN
+    if (url.hostname === 'unpkg.com') event.respondWith(staleWhileRevalidate(request));
+    return;
+  }
+  if (request.mode === 'navigate') {
+    // offline, a shared listing page opens the listing in the app instead (its relative links
+    // wouldn't resolve under /p/)
+    const shared = url.pathname.match(/^\/p\/(\d+)$/);
+    event.respondWith(fetch(request).catch(() => shared ? Response.redirect(`/?post=${shared[1]}`, 302) : caches.match('/index.html')));
+    return;
+  }
+  // feed changes are only meaningful live; a cached answer would replay an old version
+  if (url.pathname === '/api/posts/changes') return;
+  if (url.pathname === '/api/commodities' || url.pathname === '/api/channels' || url.pathname.startsWith('/api/posts')) {
+    event.respondWith(networkFirst(request, DATA_CACHE, shareable(request, url), MAX_CACHED_DATA));
+    return;
+  }
+  if (url.pathname.startsWith('/uploads/')) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+  if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
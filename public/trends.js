@@ -0,0 +1,176 @@
+// public/trends.js — market price trends: weekly median/range per commodity, drawn as inline SVG
+(function () {
+  const API_BASE = window.location.origin;
+  const { t } = i18n; // same language as the app (public/i18n.js); init waits for i18n.ready
+
+  const $ = (id) => document.getElementById(id);
+  const commoditySel = $('trendCommodity');
+  const unitSel = $('trendUnit');
+  const countySel = $('trendCounty');
+  const weeksSel = $('trendWeeks');
+  const summaryEl = $('trendSummary');
+  const chartEl = $('trendChart');
+  const regionTable = $('regionTable');
+  const weekTable = $('weekTable');
+
+  let catalog = { units: {}, commodities: [] };
+  let request = 0; // drops responses to superseded selections
+
+  function escapeHtml(s){ if (s === null || s === undefined) return ''; return String(s).replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
+  function money(n, currency){ return n === null || n === undefined ? '–' : escapeHtml(i18n.formatMoney(Math.round(n), currency)); }
+  function weekLabel(week){ return i18n.formatDate(`${week}T00:00:00Z`, { day: 'numeric', month: 'short', timeZone: 'UTC' }); }
+
+  async function getJson(path){
+    const res = await fetch(`${API_BASE}${path}`, { headers: { 'Accept-Language': i18n.locale } });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || t('common.request_failed', { status: res.status }));
+    return body;
+  }
+
+  // selection lives in the URL so a trend can be shared (trends.html?commodity=maize&county=Nakuru)
+  function readUrl(){
+    const params = new URLSearchParams(location.search);
+    return { commodity: params.get('commodity'), unit: params.get('unit'), county: params.get('county'), weeks: params.get('weeks') };
+  }
+  function writeUrl(){
+    const params = new URLSearchParams({ commodity: commoditySel.value });
+    if (unitSel.value) params.set('unit', unitSel.value);
+    if (countySel.value) params.set('county', countySel.value);
+    if (weeksSel.value !== '12') params.set('weeks', weeksSel.value);
+    history.replaceState(null, '', `?${params}`);
+  }
+
+  function fillSelect(sel, values, label, first){
+    const keep = sel.value;
+    sel.innerHTML = (first || '') + values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(label(v))}</option>`).join('');
+    if (values.includes(keep)) sel.value = keep;
+  }
+
+  async function load(){
+    const id = ++request;
+    writeUrl();
+    const params = new URLSearchParams({ weeks: weeksSel.value });
+    if (unitSel.value) params.set('unit', unitSel.value);
+    if (countySel.value) params.set('county', countySel.value);
+    summaryEl.innerHTML = `<div class="meta">${t('common.loading')}</div>`;
+    try {
+      const data = await getJson(`/api/prices/${encodeURIComponent(commoditySel.value)}/history?${params}`);
+      if (id !== request) return;
+      const commodity = catalog.commodities.find(c => c.slug === commoditySel.value);
+      const units = [...new Set([...data.units, ...(commodity ? commodity.units : [])])];
+      fillSelect(unitSel, units, u => catalog.units[u] || u);
+      unitSel.value = data.unit;
+      fillSelect(countySel, [...new Set([...data.counties, ...(data.county ? [data.county] : [])])].sort(), c => c, `<option value="">${t('filters.all_kenya')}</option>`);
+      countySel.value = data.county || '';
+      renderSummary(data);
+      renderChart(data);
+      renderWeeks(data);
+      const regions = await getJson(`/api/prices?${new URLSearchParams({ commodity: commoditySel.value, unit: data.unit, currency: data.currency, weeks: 1 })}`);
+      if (id === request) renderRegions(regions.rows, data.currency);
+    } catch(e){
+      if (id !== request) return;
+      summaryEl.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`;
+      chartEl.innerHTML = ''; weekTable.innerHTML = ''; regionTable.innerHTML = '';
+    }
+  }
+
+  // latest week with data, and the change from the one before it
+  function renderSummary(data){
+    const seen = data.series.filter(w => w.count);
+    const last = seen[seen.length - 1];
+    const prev = seen[seen.length - 2];
+    const unit = catalog.units[data.unit] || data.unit;
+    const where = data.county || t('trends.kenya');
+    if (!last) {
+      summaryEl.innerHTML = `<div class="meta">${escapeHtml(t('trends.none', { commodity: data.commodity.name.toLowerCase(), unit, where }))}</div>`;
+      return;
+    }
+    const change = prev && prev.median ? Math.round((last.median - prev.median) / prev.median * 100) : null;
+    summaryEl.innerHTML = `
+      <div class="meta">${escapeHtml(t('trends.heading', { commodity: data.commodity.name, unit, where, week: weekLabel(last.week) }))}</div>
+      <div class="trendMedian">${money(last.median, data.currency)}
+        ${change !== null ? `<span class="trendChange ${change > 0 ? 'up' : change < 0 ? 'down' : ''}">${t('trends.change', { change: `${change > 0 ? '+' : ''}${i18n.formatNumber(change)}`, week: weekLabel(prev.week) })}</span>` : ''}</div>
+      <div class="meta small">${t('trends.range_from', { min: money(last.min, data.currency), max: money(last.max, data.currency), count: last.count })}</div>`;
+  }
+
+  // min–max bars per week with the median line over them; gaps where a week has no data
+  function renderChart(data){
+    const W = 600, H = 240, left = 56, right = 12, top = 12, bottom = 28;
+    const weeks = data.series;
+    const seen = weeks.filter(w => w.count);
+    if (!seen.length) { chartEl.innerHTML = ''; return; }
+    let lo = Math.min(...seen.map(w => w.min));
+    let hi = Math.max(...seen.map(w => w.max));
+    if (lo === hi) { lo = lo * 0.9; hi = hi * 1.1 || 1; }
+    const pad = (hi - lo) * 0.1;
+    lo = Math.max(0, lo - pad); hi += pad;
+    const x = (i) => left + (weeks.length === 1 ? (W - left - right) / 2 : i * (W - left - right) / (weeks.length - 1));
+    const y = (v) => top + (hi - v) / (hi - lo) * (H - top - bottom);
+
+    const parts = [];
+    for (let t = 0; t <= 4; t++) {
+      const v = lo + (hi - lo) * t / 4;
+      parts.push(`<line class="grid" x1="${left}" x2="${W - right}" y1="${y(v)}" y2="${y(v)}" />`,
+        `<text class="axis" x="${left - 6}" y="${y(v) + 4}" text-anchor="end">${i18n.formatNumber(Math.round(v))}</text>`);
+    }
+    const every = Math.ceil(weeks.length / 6);
+    weeks.forEach((w, i) => {
+      if (i % every === 0 || i === weeks.length - 1) parts.push(`<text class="axis" x="${x(i)}" y="${H - 8}" text-anchor="middle">${weekLabel(w.week)}</text>`);
+      if (w.count) parts.push(`<line class="range" x1="${x(i)}" x2="${x(i)}" y1="${y(w.min)}" y2="${y(w.max)}"><title>${weekLabel(w.week)}: ${money(w.min, data.currency)} – ${money(w.max, data.currency)}</title></line>`);
+    });
+    let path = '';
+    weeks.forEach((w, i) => {
+      if (!w.count) return;
+      path += `${path && weeks[i - 1] && weeks[i - 1].count ? 'L' : 'M'}${x(i)},${y(w.median)} `;
+    });
+    parts.push(`<path class="median" d="${path.trim()}" />`);
+    weeks.forEach((w, i) => {
+      if (w.count) parts.push(`<circle class="point" cx="${x(i)}" cy="${y(w.median)}" r="3.5"><title>${weekLabel(w.week)}: ${money(w.median, data.currency)} (${w.count})</title></circle>`);
+    });
+    chartEl.innerHTML = `<svg viewBox="0 0 ${W} ${H}" role="img" aria-label="${t('trends.chart_label')}">${parts.join('')}</svg>`;
+  }
+
+  function renderWeeks(data){
+    const rows = data.series.filter(w => w.count).reverse();
+    weekTable.innerHTML = rows.length ? `<tr><th>${t('trends.week_of')}</th><th>${t('trends.median')}</th><th>${t('trends.range')}</th><th>${t('trends.listings')}</th></tr>` + rows.map(w => `
+      <tr><td>${weekLabel(w.week)}</td><td>${money(w.median, data.currency)}</td>
+        <td>${money(w.min, data.currency)} – ${money(w.max, data.currency)}</td><td>${w.count}${w.excluded ? ` <span class="meta small">${t('trends.left_out', { count: w.excluded })}</span>` : ''}</td></tr>`).join('')
+      : `<tr><td class="meta">${t('trends.no_data')}</td></tr>`;
+  }
+
+  function renderRegions(rows, currency){
+    const regional = rows.filter(r => r.county);
+    regionTable.innerHTML = regional.length ? `<tr><th>${t('trends.region')}</th><th>${t('trends.median')}</th><th>${t('trends.range')}</th><th>${t('trends.listings')}</th></tr>` + regional.map(r => `
+      <tr><td><button class="linkBtn regionLink" data-county="${escapeHtml(r.county)}">${escapeHtml(r.county)}</button></td>
+        <td>${money(r.median, currency)}</td><td>${money(r.min, currency)} – ${money(r.max, currency)}</td><td>${r.count}</td></tr>`).join('')
+      : `<tr><td class="meta">${t('trends.no_regions')}</td></tr>`;
+  }
+  regionTable.addEventListener('click', (e) => {
+    const link = e.target.closest('.regionLink');
+    if (!link) return;
+    countySel.value = link.dataset.county;
+    load();
+  });
+
+  commoditySel.addEventListener('change', () => { unitSel.value = ''; countySel.value = ''; load(); });
+  [unitSel, countySel, weeksSel].forEach(sel => sel.addEventListener('change', load));
+
+  (async function init(){
+    await i18n.ready;
+    try {
+      catalog = await getJson('/api/commodities');
+    } catch(e){ summaryEl.innerHTML = `<div class="meta">${escapeHtml(e.message)}</div>`; return; }
+    const groups = {};
+    catalog.commodities.forEach(c => { (groups[c.category] = groups[c.category] || []).push(c); });
+    commoditySel.innerHTML = Object.keys(groups).map(cat =>
+      `<optgroup label="${escapeHtml(cat)}">${groups[cat].map(c => `<option value="${escapeHtml(c.slug)}">${escapeHtml(c.name)}</option>`).join('')}</optgroup>`
+    ).join('');
+    const wanted = readUrl();
+    if (wanted.commodity && catalog.commodities.some(c => c.slug === wanted.commodity)) commoditySel.value = wanted.commodity;
+    if (wanted.weeks && [...weeksSel.options].some(o => o.value === wanted.weeks)) weeksSel.value = wanted.weeks;
+    // unit and county options arrive with the first response; seed them so the request asks for them
+    if (wanted.unit) unitSel.innerHTML = `<option value="${escapeHtml(wanted.unit)}">${escapeHtml(wanted.unit)}</option>`;
+    if (wanted.county) countySel.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(wanted.county)}" selected>${escapeHtml(wanted.county)}</option>`);
+    load();
+  })();
+})();
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// scripts/db.js - database maintenance from the command line
+//
+//   node scripts/db.js status              schema version, pending migrations, backups
+//   node scripts/db.js migrate             apply pending migrations (the server also does this on start)
+//   node scripts/db.js backup [label]      snapshot the database and public/uploads (safe while the server runs)
+//   node scripts/db.js list                list backups, newest first
+//   node scripts/db.js restore <name|path> [--force] [--no-safety]
+//                                          replace the database and uploads with a backup; stop the server first
+//
+// Backups go to $BACKUP_DIR (default data/backups); each new one deletes all but the newest $BACKUP_KEEP.
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('../lib/database');
+const { loadMigrations, appliedMigrations, runMigrations } = require('../lib/migrate');
+const backup = require('../lib/backup');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const STORAGE_PATH = path.join(DATA_DIR, 'database.sqlite');
+const UPLOADS_DIR = path.join(ROOT, 'public', 'uploads');
+const BACKUP_DIR = path.resolve(ROOT, process.env.BACKUP_DIR || path.join('data', 'backups'));
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP, 10) || 7;  // backups kept by rotation
+
+function mb(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function describe(b) {
+  const m = b.manifest;
+  return `${b.name}  schema v${m.schemaVersion}  db ${mb(m.database.bytes)}  uploads ${m.uploads.files} files ${mb(m.uploads.bytes)}`;
+}
+
+// opens the live database; status/backup on a missing one would just create an empty file
+async function openLive({ create = false } = {}) {
+  if (!create && !fs.existsSync(STORAGE_PATH)) throw new Error(`No database at ${STORAGE_PATH}`);
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  return openDatabase(STORAGE_PATH);
+}
+
+const commands = {
+  async status() {
+    const known = loadMigrations();
+    let applied = [];
+    if (fs.existsSync(STORAGE_PATH)) {
+      const sequelize = await openLive();
+      try { applied = await appliedMigrations(sequelize); } finally { await sequelize.close(); }
+    }
+    const done = new Set(applied.map(r => r.version));
+    const current = applied.length ? applied[applied.length - 1].version : 0;
+    console.log(`Database:  ${fs.existsSync(STORAGE_PATH) ? STORAGE_PATH : `${STORAGE_PATH} (not created yet)`}`);
+    console.log(`Schema:    version ${current} of ${known.length ? known[known.length - 1].version : 0}`);
+    for (const m of known) console.log(`  ${done.has(m.version) ? '✓' : '·'} ${String(m.version).padStart(3, '0')} ${m.name}`);
+    const list = backup.listBackups(BACKUP_DIR);
+    console.log(`Backups:   ${list.length} in ${BACKUP_DIR} (keeping ${BACKUP_KEEP})`);
+    if (list.length) console.log(`  latest ${describe(list[0])}`);
+  },
+
+  async migrate() {
+    const sequelize = await openLive({ create: true });
+    try {
+      const { from, to, applied } = await runMigrations(sequelize);
+      console.log(applied.length ? `Schema migrated from version ${from} to ${to}` : `Schema is up to date (version ${from})`);
+    } finally {
+      await sequelize.close();
+    }
+  },
+
+  async backup(label) {
+    if (label && !/^[a-z0-9-]+$/i.test(label)) throw new Error('Label may only contain letters, digits and dashes');
+    const sequelize = await openLive();
+    try {
+      const made = await backup.createBackup({ sequelize, uploadsDir: UPLOADS_DIR, backupDir: BACKUP_DIR, keep: BACKUP_KEEP, label });
+      console.log(`Backup written to ${made.dir}`);
+      console.log(`  ${describe(made)}`);
+      if (made.removed.length) console.log(`Rotated out: ${made.removed.join(', ')}`);
+    } finally {
+      await sequelize.close();
+    }
+  },
+
+  async list() {
+    const list = backup.listBackups(BACKUP_DIR);
+    if (!list.length) return console.log(`No backups in ${BACKUP_DIR}`);
+    for (const b of list) console.log(describe(b));
+  },
+
+  async restore(...args) {
+    const force = args.includes('--force');
+    const safety = !args.includes('--no-safety');
+    const which = args.find(a => !a.startsWith('--'));
+    if (!which) throw new Error('Usage: restore <backup name or directory> [--force] [--no-safety]');
+    const dir = fs.existsSync(path.join(BACKUP_DIR, which)) ? path.join(BACKUP_DIR, which) : path.resolve(which);
+    if (!fs.existsSync(dir)) throw new Error(`No backup named ${which} in ${BACKUP_DIR}`);
+
+    const { verified, safety: saved } = await backup.restoreBackup({ dir, storagePath: STORAGE_PATH, uploadsDir: UPLOADS_DIR, backupDir: BACKUP_DIR, force, safety });
+    if (saved) console.log(`Previous database and uploads saved as ${saved.name}`);
+    console.log(`Restored ${path.basename(dir)} (schema version ${verified.version}, ${verified.manifest.uploads.files} upload files)`);
+    if (verified.version < verified.latest) console.log(`Migrations ${verified.version + 1}-${verified.latest} will run on the next start (or npm run migrate).`);
+    if (verified.version > verified.latest) console.log(`Warning: the backup is newer than this code (schema version ${verified.latest}).`);
+  }
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error('Usage: node scripts/db.js <status|migrate|backup [label]|list|restore <name> [--force] [--no-safety]>');
+    process.exit(1);
+  }
+  await commands[command](...args);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// scripts/gateway-sim.js - stands in for the telecom USSD/SMS gateway during local development
+//
+//   node scripts/gateway-sim.js ussd                        dial the USSD menu interactively
+//   node scripts/gateway-sim.js sms                         type SMS messages, see the replies
+//   node scripts/gateway-sim.js sms "SELL maize 90kg 3500 Eldoret"   send one SMS and exit
+//   node scripts/gateway-sim.js ussd "1*maize*0"            replay one USSD request and exit
+//
+// Options: --url (default http://localhost:$PORT or :3000), --phone (default 0712345678),
+// --secret (default $GATEWAY_SECRET), --code (USSD service code shown when dialling).
+require('dotenv').config({ quiet: true });
+const crypto = require('crypto');
+const readline = require('readline');
+
+function parseArgs(argv) {
+  const opts = {
+    url: `http://localhost:${process.env.PORT || 3000}`,
+    phone: '0712345678',
+    secret: process.env.GATEWAY_SECRET || '',
+    code: '*384*1#',
+    rest: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--(url|phone|secret|code)(?:=(.*))?$/);
+    if (m) opts[m[1]] = m[2] !== undefined ? m[2] : argv[++i];
+    else opts.rest.push(argv[i]);
+  }
+  opts.mode = opts.rest.shift();
+  return opts;
+}
+
+async function callGateway(opts, route, fields) {
+  const res = await fetch(`${opts.url.replace(/\/$/, '')}/api/gateway/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...(opts.secret ? { 'X-Gateway-Secret': opts.secret } : {}) },
+    body: new URLSearchParams(fields)
+  });
+  const body = await res.text();
+  if (!res.ok && route === 'sms') throw new Error(`${res.status} ${body}`);
+  return body;
+}
+
+async function ussdStep(opts, sessionId, text) {
+  const out = await callGateway(opts, 'ussd', { sessionId, serviceCode: opts.code, phoneNumber: opts.phone, text });
+  const done = !out.startsWith('CON ');
+  console.log(`\n${out.replace(/^(CON|END) /, '')}\n${done ? '-- session ended --' : ''}`);
+  return done;
+}
+
+async function sendSms(opts, text) {
+  const out = JSON.parse(await callGateway(opts, 'sms', { from: opts.phone, to: opts.code, text, id: crypto.randomUUID(), date: new Date().toISOString() }));
+  console.log(`\n[sms -> ${opts.phone}] ${out.reply}\n`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!['ussd', 'sms'].includes(opts.mode)) {
+    console.log('usage: node scripts/gateway-sim.js ussd|sms [message] [--url URL] [--phone PHONE] [--secret SECRET]');
+    process.exit(1);
+  }
+
+  // one-shot
+  if (opts.rest.length) {
+    if (opts.mode === 'sms') await sendSms(opts, opts.rest.join(' '));
+    else await ussdStep(opts, crypto.randomUUID(), opts.rest.join(' '));
+    return;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (q) => new Promise(resolve => rl.question(q, resolve));
+  rl.on('close', () => process.exit(0));
+
+  if (opts.mode === 'sms') {
+    console.log(`Texting from ${opts.phone}. Try: SELL maize 90kg 3500 Eldoret, FIND maize. Ctrl+D to quit.`);
+    for (;;) {
+      const text = await ask('sms> ');
+      if (text.trim()) await sendSms(opts, text).catch(err => console.error('Send failed:', err.message));
+    }
+  }
+
+  for (;;) {
+    await ask(`Press Enter to dial ${opts.code} from ${opts.phone} (Ctrl+D to quit)`);
+    const sessionId = crypto.randomUUID();
+    const inputs = [];
+    try {
+      let done = await ussdStep(opts, sessionId, '');
+      while (!done) {
+        inputs.push((await ask('> ')).trim());
+        done = await ussdStep(opts, sessionId, inputs.join('*'));
+      }
+    } catch (err) {
+      console.error('Gateway request failed:', err.message);
+    }
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// scripts/webhook-receiver.js - a local endpoint to point webhooks at during development
+//
+//   node scripts/webhook-receiver.js --secret whsec_...        print each delivery, check its signature
+//   node scripts/webhook-receiver.js --fail 0.5                answer half the deliveries with a 500
+//
+// Register it first (as an admin): POST /api/mod/webhooks { "url": "http://localhost:4000/" } and
+// pass the secret from the reply. Options: --port (default 4000), --secret (default
+// $WEBHOOK_SECRET; without one signatures aren't checked), --fail (share of deliveries to refuse,
+// 0-1, to watch the retries), --delay (seconds to wait before answering, to try the timeout).
+require('dotenv').config({ quiet: true });
+const http = require('http');
+const webhooks = require('../lib/webhooks');
+
+function parseArgs(argv) {
+  const opts = { port: '4000', secret: process.env.WEBHOOK_SECRET || '', fail: '0', delay: '0' };
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--(port|secret|fail|delay)(?:=(.*))?$/);
+    if (!m) {
+      console.log('usage: node scripts/webhook-receiver.js [--port PORT] [--secret SECRET] [--fail 0-1] [--delay SECONDS]');
+      process.exit(1);
+    }
+    opts[m[1]] = m[2] !== undefined ? m[2] : argv[++i];
+  }
+  return { port: parseInt(opts.port, 10), secret: opts.secret, fail: parseFloat(opts.fail) || 0, delay: parseFloat(opts.delay) || 0 };
+}
+
+// one line per delivery: what happened to which listing
+function describe(event) {
+  const post = (event.data && event.data.post) || {};
+  if (event.event === 'ping') return `ping for webhook ${event.data && event.data.webhookId}`;
+  if (event.event === 'post.deleted') return `post ${post.id} removed (channel ${post.channelId})`;
+  const price = post.price != null ? ` ${post.currency || ''} ${post.price}${post.unit ? `/${post.unit}` : ''}` : '';
+  return `post ${post.id} "${post.itemName}"${price} [${post.status}] (channel ${post.channelId})`;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const seen = new Set();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const reply = (status, text) => setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(text);
+      }, opts.delay * 1000);
+      const stamp = new Date().toISOString().slice(11, 19);
+      const delivery = req.headers['x-agrichannel-delivery'] || '?';
+
+      if (req.method !== 'POST') return reply(405, 'POST only');
+      if (opts.secret && !webhooks.verify(opts.secret, body, req.headers[webhooks.SIGNATURE_HEADER.toLowerCase()])) {
+        console.log(`${stamp} #${delivery} BAD SIGNATURE - refused`);
+        return reply(401, 'bad signature');
+      }
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch (e) {
+        console.log(`${stamp} #${delivery} body is not JSON - refused`);
+        return reply(400, 'bad json');
+      }
+      if (Math.random() < opts.fail) {
+        console.log(`${stamp} #${delivery} ${event.id} ${event.event} - failing on purpose (500)`);
+        return reply(500, 'simulated failure');
+      }
+      // redeliveries and retries after a lost reply repeat the event id
+      const again = seen.has(event.id) ? ' (again)' : '';
+      seen.add(event.id);
+      console.log(`${stamp} #${delivery} ${event.id} ${event.event}${again} ${opts.secret ? 'signed ok' : 'unchecked'}: ${describe(event)}`);
+      reply(200, 'ok');
+    });
+  });
+
+  server.listen(opts.port, () => {
+    console.log(`Webhook receiver on http://localhost:${opts.port}/ (${opts.secret ? 'checking signatures' : 'no --secret: signatures not checked'}). Ctrl+C to stop.`);
+  });
+}
+
+main();
@@ -9,67 +9,466 @@ const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const fs = require('fs');
 const multer = require('multer');
-const { Sequelize, DataTypes } = require('sequelize');
+const { Sequelize, DataTypes, Op } = require('sequelize');
+const { createSmsSender } = require('./lib/sms');
+const catalog = require('./lib/catalog');
+const images = require('./lib/images');
+const alerts = require('./lib/alerts');
+const gateway = require('./lib/gateway');
+const gazetteer = require('./lib/gazetteer');
+const matching = require('./lib/matching');
+const prices = require('./lib/prices');
+const sessions = require('./lib/sessions');
+const webhooks = require('./lib/webhooks');
+const share = require('./lib/share');
+const i18n = require('./lib/i18n');
+const { openDatabase } = require('./lib/database');
+const { runMigrations, latestVersion } = require('./lib/migrate');
 
 const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'change_this_secret_in_production';
+const DEFAULT_JWT_SECRET = 'change_this_secret_in_production';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const ROOT = path.resolve(__dirname);
 const DATA_DIR = path.join(ROOT, 'data');
 const STORAGE_PATH = path.join(DATA_DIR, 'database.sqlite');
 const PUBLIC_DIR = path.join(ROOT, 'public');
 const UPLOADS_DIR = path.join(PUBLIC_DIR, 'uploads');
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');             // e.g. https://agri.example.org for share links and feeds; default: the request's host
+
+// sessions: a short-lived access token (JWT) plus a rotating refresh token per signed-in device
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES, 10) || 15;  // lifetime of the bearer token sent with requests
+const SESSION_IDLE_DAYS = parseInt(process.env.SESSION_IDLE_DAYS, 10) || 60;        // a device unused for this long has to log in again
+const REFRESH_REUSE_GRACE_SECONDS = 30;                                            // an old refresh token this soon after rotating is two tabs racing, not theft
+
+// one-time login codes
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS, 10) || 300;          // code lifetime
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS, 10) || 60;     // min gap between sends to a phone
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR, 10) || 5;          // sends per phone per hour
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;          // wrong guesses before a code is burnt
+const SMS_SENDER = process.env.SMS_SENDER || 'console';
+const SMS_OUTBOX_FILE = process.env.SMS_OUTBOX_FILE || path.join(DATA_DIR, 'sms-outbox.log');
+
+// listing lifecycle
+const POST_TTL_DAYS = parseInt(process.env.POST_TTL_DAYS, 10) || 30;               // default time before a listing expires
+const POST_MAX_TTL_DAYS = parseInt(process.env.POST_MAX_TTL_DAYS, 10) || 90;       // furthest expiresAt an owner may pick
+const EXPIRE_SWEEP_MINUTES = parseInt(process.env.EXPIRE_SWEEP_MINUTES, 10) || 10; // how often stale listings are expired
+const POST_STATUSES = ['active', 'reserved', 'sold', 'expired'];
+const CHANGE_RETENTION_DAYS = parseInt(process.env.CHANGE_RETENTION_DAYS, 10) || 7; // older sync cursors get { reset: true }
+const MAX_SYNC_CHANGES = 500;                                                      // beyond this a client is told to reload instead
+const MATCH_RADIUS_KM = parseInt(process.env.MATCH_RADIUS_KM, 10) || 100;          // furthest an offer and a request can be apart to match
+
+// listing photos
+const MAX_POST_IMAGES = parseInt(process.env.MAX_POST_IMAGES, 10) || 6;
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 8;                // per raw upload, before re-encoding
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 72; // how long retried posts are recognised
+
+// saved-search alerts
+const MAX_ALERTS_PER_USER = parseInt(process.env.MAX_ALERTS_PER_USER, 10) || 20;
+const ALERT_SWEEP_MINUTES = parseInt(process.env.ALERT_SWEEP_MINUTES, 10) || 5;     // how often held alerts and digests go out
+const ALERT_RETENTION_DAYS = parseInt(process.env.ALERT_RETENTION_DAYS, 10) || 14;  // matches older than this are forgotten
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Nairobi';          // for quiet hours until a user picks one
+
+// rate limits and lockouts (counters live in SQLite, so restarts don't reset them)
+const TRUST_PROXY = process.env.TRUST_PROXY || '';                                  // express "trust proxy" (e.g. 1 behind one proxy)
+const AUTH_IP_LIMIT = parseInt(process.env.AUTH_IP_LIMIT, 10) || 30;                // login requests per IP per window
+const AUTH_IP_WINDOW_MINUTES = parseInt(process.env.AUTH_IP_WINDOW_MINUTES, 10) || 15;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5;         // failed logins before the first lockout
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOCKOUT_BASE_SECONDS, 10) || 60;  // first lockout; doubles with every further failure
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 60;
+const LOCKOUT_RESET_HOURS = parseInt(process.env.LOCKOUT_RESET_HOURS, 10) || 24;    // failures are forgotten after this long without one
+const POST_IP_LIMIT = parseInt(process.env.POST_IP_LIMIT, 10) || 60;                // create/edit requests per IP per hour
+const POSTS_PER_DAY = parseInt(process.env.POSTS_PER_DAY, 10) || 20;                // new listings per user per day
+const PHOTOS_PER_DAY = parseInt(process.env.PHOTOS_PER_DAY, 10) || 60;              // uploaded photos per user per day (create + edit)
+
+// moderation
+const USER_ROLES = ['member', 'moderator', 'admin'];
+const ADMIN_PHONES = (process.env.ADMIN_PHONES || '').split(',').map(p => p.trim()).filter(Boolean); // promoted to admin on startup/login
+const REPORT_REASONS = ['scam', 'abusive', 'misleading', 'spam', 'other'];
+
+// channels
+const DEFAULT_CHANNEL = 'general';                                                  // open channel every account reads and posts in
+const MAX_CHANNELS_PER_USER = parseInt(process.env.MAX_CHANNELS_PER_USER, 10) || 5; // channels one account may create
+const CHANNEL_ROLES = ['member', 'admin'];
+
+// USSD / SMS gateway callbacks
+const GATEWAY_SECRET = process.env.GATEWAY_SECRET || '';                           // X-Gateway-Secret header or ?secret= the gateway must send
+
+// outbound webhooks (endpoints admins register for listing events)
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 10;  // tries before a delivery is marked failed
+const WEBHOOK_RETRY_SECONDS = parseInt(process.env.WEBHOOK_RETRY_SECONDS, 10) || 30; // first retry delay; doubles with every further failure
+const WEBHOOK_TIMEOUT_SECONDS = parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10; // per attempt, response included
+const WEBHOOK_SWEEP_SECONDS = parseInt(process.env.WEBHOOK_SWEEP_SECONDS, 10) || 15; // how often due retries are looked for
+const WEBHOOK_LOG_DAYS = parseInt(process.env.WEBHOOK_LOG_DAYS, 10) || 14;          // finished deliveries are kept this long
+
+// the default secret is public, so anyone could sign tokens for any account with it
+if (NODE_ENV === 'production' && JWT_SECRET === DEFAULT_JWT_SECRET) {
+  console.error('JWT_SECRET must be set to a long random value when NODE_ENV=production.');
+  process.exit(1);
+}
+// gateway callbacks log in whatever phone number they name, so an open gateway is an open door
+if (NODE_ENV === 'production' && !GATEWAY_SECRET) {
+  console.error('GATEWAY_SECRET must be set when NODE_ENV=production (the USSD/SMS gateway routes trust the caller).');
+  process.exit(1);
+}
+
+// last line of defence: a rejected promise nobody awaited is logged instead of ending the process
+process.on('unhandledRejection', (err) => {
+  console.error('Unhandled rejection:', err && err.stack || err);
+});
 
 // ensure folders exist
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 
 (async () => {
-  // Setup Sequelize with SQLite
-  const sequelize = new Sequelize({
-    dialect: 'sqlite',
-    storage: STORAGE_PATH,
-    logging: false,
-    pool: { max: 1, min: 0, acquire: 30000, idle: 10000 }
-  });
-
+  let sequelize;
   try {
-    await sequelize.authenticate();
+    sequelize = await openDatabase(STORAGE_PATH);
     console.log('Sequelize connected to SQLite at', STORAGE_PATH);
   } catch (err) {
     console.error('Sequelize authenticate error:', err);
     process.exit(1);
   }
 
-  // set pragmas to reduce locking issues
+  // Migrations (migrations/NNN-*.js, tracked in SchemaMigrations; also `npm run migrate`)
+  let pricesMigrated = false; // 002-post-prices just turned free-text prices into priceText
   try {
-    await sequelize.query('PRAGMA journal_mode = WAL;');
-    await sequelize.query('PRAGMA synchronous = NORMAL;');
-    await sequelize.query('PRAGMA foreign_keys = ON;');
-    await sequelize.query('PRAGMA busy_timeout = 5000;');
-    console.log('SQLite PRAGMAs applied (WAL, synchronous=NORMAL, foreign_keys=ON, busy_timeout=5000)');
-  } catch (e) {
-    console.warn('Warning: could not set PRAGMA values', e && e.message);
+    const { from, to, applied } = await runMigrations(sequelize);
+    pricesMigrated = applied.some(m => m.version === 2 && m.result === true);
+    if (applied.length) console.log(`Schema migrated from version ${from} to ${to}`);
+    if (to > latestVersion()) console.warn(`Warning: database schema version ${to} is newer than this code (${latestVersion()}); was a newer backup restored?`);
+  } catch (err) {
+    console.error('Migration error:', err);
+    process.exit(1);
   }
 
   // Models
   const User = sequelize.define('User', {
-    passwordHash: { type: DataTypes.STRING, allowNull: false },
-    passwordSig: { type: DataTypes.STRING, allowNull: false, unique: true }
+    phone: { type: DataTypes.STRING, allowNull: true, unique: true },
+    phoneVerifiedAt: { type: DataTypes.DATE, allowNull: true },
+    // legacy password-only accounts; cleared once a phone is linked
+    passwordHash: { type: DataTypes.STRING, allowNull: true },
+    passwordSig: { type: DataTypes.STRING, allowNull: true },
+    role: { type: DataTypes.STRING, allowNull: false, defaultValue: 'member', validate: { isIn: [USER_ROLES] } },
+    // banned users can't sign in and their posts drop out of listings
+    bannedAt: { type: DataTypes.DATE, allowNull: true },
+    banReason: { type: DataTypes.STRING, allowNull: true },
+    // public profile (GET /api/users/:id); both optional
+    displayName: { type: DataTypes.STRING, allowNull: true },
+    area: { type: DataTypes.STRING, allowNull: true },
+    // language picked in the app (i18n.LOCALES); API replies follow the request, SMS follow this
+    language: { type: DataTypes.STRING(5), allowNull: true }
+  });
+
+  const LoginCode = sequelize.define('LoginCode', {
+    phone: { type: DataTypes.STRING, allowNull: false },
+    codeHash: { type: DataTypes.STRING, allowNull: false },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    consumedAt: { type: DataTypes.DATE, allowNull: true },
+    // set when the code links a phone to an existing password-only account
+    legacyUserId: { type: DataTypes.INTEGER, allowNull: true }
+  }, {
+    indexes: [{ fields: ['phone', 'createdAt'] }]
+  });
+
+  // a signed-in device. The refresh token rotates on every use and only its hash is kept; access
+  // tokens carry the session id, so revoking a session signs that device out straight away.
+  const Session = sequelize.define('Session', {
+    userId: { type: DataTypes.INTEGER, allowNull: false },
+    refreshHash: { type: DataTypes.STRING, allowNull: false, unique: true },
+    // the token the last rotation replaced, to notice a copied refresh token being replayed
+    previousHash: { type: DataTypes.STRING, allowNull: true },
+    rotatedAt: { type: DataTypes.DATE, allowNull: true },
+    device: { type: DataTypes.STRING, allowNull: true },
+    ip: { type: DataTypes.STRING, allowNull: true },
+    lastUsedAt: { type: DataTypes.DATE, allowNull: false },
+    revokedAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    indexes: [{ fields: ['userId'] }, { fields: ['previousHash'] }, { fields: ['lastUsedAt'] }]
+  });
+
+  const Commodity = sequelize.define('Commodity', {
+    slug: { type: DataTypes.STRING, allowNull: false, unique: true },
+    name: { type: DataTypes.STRING, allowNull: false },
+    category: { type: DataTypes.STRING, allowNull: false },
+    units: { type: DataTypes.JSON, allowNull: false, defaultValue: [] },     // allowed unit codes, see lib/catalog UNITS
+    aliases: { type: DataTypes.JSON, allowNull: false, defaultValue: [] }    // local names used to match free text
+  });
+
+  // a market channel (a cooperative, a county...). Public channels can be read by anyone and joined
+  // freely; private ones only by their members, who join with the invite code. DEFAULT_CHANNEL is
+  // open to every account without joining.
+  const Channel = sequelize.define('Channel', {
+    slug: { type: DataTypes.STRING, allowNull: false, unique: true },
+    name: { type: DataTypes.STRING, allowNull: false },
+    description: { type: DataTypes.TEXT, allowNull: true },
+    county: { type: DataTypes.STRING, allowNull: true },
+    visibility: { type: DataTypes.STRING, allowNull: false, defaultValue: 'public', validate: { isIn: [['public', 'private']] } },
+    inviteCode: { type: DataTypes.STRING, allowNull: true, unique: true },
+    createdByUserId: { type: DataTypes.INTEGER, allowNull: true }
+  });
+
+  const ChannelMember = sequelize.define('ChannelMember', {
+    userId: { type: DataTypes.INTEGER, allowNull: false },
+    role: { type: DataTypes.STRING, allowNull: false, defaultValue: 'member', validate: { isIn: [CHANNEL_ROLES] } }
+  }, {
+    indexes: [{ unique: true, fields: ['channelId', 'userId'] }, { fields: ['userId'] }]
   });
 
   const Post = sequelize.define('Post', {
+    // "offer" (for sale) or "request" (wanted: quantity is how much the buyer needs, price the most they'll pay)
+    type: { type: DataTypes.STRING, allowNull: false, defaultValue: 'offer', validate: { isIn: [matching.POST_TYPES] } },
     itemName: { type: DataTypes.STRING, allowNull: false },
+    // cover photo (first PostImage): medium and thumbnail filenames, kept in sync by setCover
     image: { type: DataTypes.STRING, allowNull: true },
+    thumb: { type: DataTypes.STRING, allowNull: true },
     location: { type: DataTypes.STRING, allowNull: true },
     phone: { type: DataTypes.STRING, allowNull: true },
-    price: { type: DataTypes.STRING, allowNull: true },
+    price: { type: DataTypes.FLOAT, allowNull: true },
+    currency: { type: DataTypes.STRING(3), allowNull: false, defaultValue: 'KES' },
+    quantity: { type: DataTypes.FLOAT, allowNull: true },
+    unit: { type: DataTypes.STRING, allowNull: true },
+    // free-text price from before prices were structured; kept for display/audit
+    priceText: { type: DataTypes.STRING, allowNull: true },
     description: { type: DataTypes.TEXT, allowNull: true },
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'active', validate: { isIn: [POST_STATUSES] } },
+    expiresAt: { type: DataTypes.DATE, allowNull: true },
+    // set by a moderator; hidden posts are only visible to their owner and moderators
+    hiddenAt: { type: DataTypes.DATE, allowNull: true },
+    hiddenReason: { type: DataTypes.STRING, allowNull: true },
+    // from the seller's browser, or looked up from `location` in the gazetteer; null when unknown
+    latitude: { type: DataTypes.FLOAT, allowNull: true },
+    longitude: { type: DataTypes.FLOAT, allowNull: true },
+    // requests only: the buyer's deadline (end of that day, UTC)
+    neededBy: { type: DataTypes.DATE, allowNull: true },
     ownerUserId: { type: DataTypes.INTEGER, allowNull: false }
+  }, {
+    indexes: [
+      { fields: ['createdAt', 'id'] }, { fields: ['ownerUserId'] }, { fields: ['commodityId', 'price'] }, { fields: ['status', 'expiresAt'] },
+      { fields: ['latitude', 'longitude'] }, { fields: ['type', 'commodityId'] }, { fields: ['channelId', 'createdAt'] }
+    ]
+  });
+
+  // Idempotency-Key header of POST /api/posts, so offline clients can retry uploads safely.
+  // postId stays null while the first request is still being processed.
+  const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    key: { type: DataTypes.STRING(100), allowNull: false },
+    userId: { type: DataTypes.INTEGER, allowNull: false },
+    postId: { type: DataTypes.INTEGER, allowNull: true }
+  }, {
+    indexes: [{ unique: true, fields: ['userId', 'key'] }, { fields: ['createdAt'] }]
+  });
+
+  // re-encoded listing photos (see lib/images); files live in UPLOADS_DIR
+  const PostImage = sequelize.define('PostImage', {
+    position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    thumb: { type: DataTypes.STRING, allowNull: false },
+    medium: { type: DataTypes.STRING, allowNull: false },
+    width: { type: DataTypes.INTEGER, allowNull: true },
+    height: { type: DataTypes.INTEGER, allowNull: true }
+  }, {
+    indexes: [{ fields: ['postId', 'position'] }]
+  });
+
+  // private buyer-seller threads, one per (post, buyer)
+  const Conversation = sequelize.define('Conversation', {
+    buyerUserId: { type: DataTypes.INTEGER, allowNull: false },
+    sellerUserId: { type: DataTypes.INTEGER, allowNull: false },
+    // listing title when the thread started; the post itself may be deleted later
+    subject: { type: DataTypes.STRING, allowNull: false },
+    lastMessageAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    indexes: [{ unique: true, fields: ['postId', 'buyerUserId'] }, { fields: ['buyerUserId'] }, { fields: ['sellerUserId'] }]
+  });
+
+  const Message = sequelize.define('Message', {
+    conversationId: { type: DataTypes.INTEGER, allowNull: false },
+    senderUserId: { type: DataTypes.INTEGER, allowNull: false },
+    body: { type: DataTypes.TEXT, allowNull: false },
+    readAt: { type: DataTypes.DATE, allowNull: true }   // set when the other participant reads it
+  }, {
+    indexes: [{ fields: ['conversationId', 'id'] }]
+  });
+
+  // a buyer's rating of the seller once the listing they talked about is sold; one per conversation
+  const Review = sequelize.define('Review', {
+    reviewerUserId: { type: DataTypes.INTEGER, allowNull: false },
+    sellerUserId: { type: DataTypes.INTEGER, allowNull: false },
+    rating: { type: DataTypes.INTEGER, allowNull: false, validate: { min: 1, max: 5 } },
+    comment: { type: DataTypes.TEXT, allowNull: true }
+  }, {
+    indexes: [{ unique: true, fields: ['conversationId'] }, { fields: ['sellerUserId', 'createdAt'] }]
+  });
+
+  // saved searches; new listings matching one are pushed to its owner (see lib/alerts)
+  const SavedSearch = sequelize.define('SavedSearch', {
+    userId: { type: DataTypes.INTEGER, allowNull: false },
+    commodityId: { type: DataTypes.INTEGER, allowNull: true },
+    keywords: { type: DataTypes.STRING, allowNull: true },
+    location: { type: DataTypes.STRING, allowNull: true },
+    maxPrice: { type: DataTypes.FLOAT, allowNull: true },
+    currency: { type: DataTypes.STRING(3), allowNull: false, defaultValue: 'KES' }
+  }, {
+    indexes: [{ fields: ['userId'] }, { fields: ['commodityId'] }]
+  });
+
+  // per-user alert delivery; users without a row get the defaults
+  const NotificationPref = sequelize.define('NotificationPref', {
+    userId: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+    sound: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    quietStart: { type: DataTypes.STRING(5), allowNull: true },   // "HH:MM" in timezone; alerts arrive silently in between
+    quietEnd: { type: DataTypes.STRING(5), allowNull: true },
+    timezone: { type: DataTypes.STRING, allowNull: false, defaultValue: DEFAULT_TIMEZONE },
+    digest: { type: DataTypes.STRING, allowNull: false, defaultValue: 'off', validate: { isIn: [Object.keys(alerts.DIGEST_INTERVALS)] } },
+    lastDigestAt: { type: DataTypes.DATE, allowNull: true }
+  });
+
+  // one row per (user, post) matched by any of the user's saved searches; deliveredAt stays
+  // null while the alert is held (digest mode, or the user was offline)
+  const AlertMatch = sequelize.define('AlertMatch', {
+    userId: { type: DataTypes.INTEGER, allowNull: false },
+    savedSearchId: { type: DataTypes.INTEGER, allowNull: true },
+    deliveredAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    indexes: [{ unique: true, fields: ['userId', 'postId'] }, { fields: ['deliveredAt'] }]
+  });
+
+  // fixed-window request counters; key is "<bucket>:<ip or user id>"
+  const RateLimit = sequelize.define('RateLimit', {
+    key: { type: DataTypes.STRING, allowNull: false, unique: true },
+    count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    resetAt: { type: DataTypes.DATE, allowNull: false }
+  }, {
+    timestamps: false,
+    indexes: [{ fields: ['resetAt'] }]
+  });
+
+  // failed logins per phone / IP for progressive lockout; cleared on a successful login
+  const AuthFailure = sequelize.define('AuthFailure', {
+    key: { type: DataTypes.STRING, allowNull: false, unique: true },
+    failures: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    lockedUntil: { type: DataTypes.DATE, allowNull: true },
+    lastFailureAt: { type: DataTypes.DATE, allowNull: false }
+  }, {
+    timestamps: false,
+    indexes: [{ fields: ['lastFailureAt'] }]
+  });
+
+  // a user's complaint about a listing; one per (post, reporter)
+  const Report = sequelize.define('Report', {
+    reporterUserId: { type: DataTypes.INTEGER, allowNull: false },
+    reason: { type: DataTypes.STRING, allowNull: false, validate: { isIn: [REPORT_REASONS] } },
+    details: { type: DataTypes.TEXT, allowNull: true },
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'open', validate: { isIn: [['open', 'resolved', 'dismissed']] } },
+    resolvedByUserId: { type: DataTypes.INTEGER, allowNull: true },
+    resolvedAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    indexes: [{ unique: true, fields: ['postId', 'reporterUserId'] }, { fields: ['status', 'postId'] }]
+  });
+
+  // feed change log: one row per created/updated/deleted post; the row id is the feed version
+  // clients sync from. Deleted posts keep their rows here as tombstones until pruned.
+  const PostChange = sequelize.define('PostChange', {
+    postId: { type: DataTypes.INTEGER, allowNull: false },
+    kind: { type: DataTypes.STRING, allowNull: false, validate: { isIn: [['created', 'updated', 'deleted']] } }
+  }, {
+    updatedAt: false,
+    indexes: [{ fields: ['createdAt'] }]
+  });
+
+  // market price index: one row each time an offer is listed, re-priced or sold. postId is kept
+  // as a plain number so the history stays when a listing is deleted.
+  const PriceObservation = sequelize.define('PriceObservation', {
+    postId: { type: DataTypes.INTEGER, allowNull: false },
+    commodityId: { type: DataTypes.INTEGER, allowNull: false },
+    unit: { type: DataTypes.STRING, allowNull: false },
+    currency: { type: DataTypes.STRING, allowNull: false },
+    price: { type: DataTypes.FLOAT, allowNull: false },
+    county: { type: DataTypes.STRING, allowNull: true },
+    source: { type: DataTypes.STRING, allowNull: false, validate: { isIn: [['listed', 'edited', 'sold']] } },
+    observedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+  }, {
+    timestamps: false,
+    indexes: [{ fields: ['commodityId', 'observedAt'] }, { fields: ['postId'] }]
+  });
+
+  // an offer and a request that fit each other (lib/matching); found when either is posted or edited
+  const PostMatch = sequelize.define('PostMatch', {
+    distanceKm: { type: DataTypes.FLOAT, allowNull: true }
+  }, {
+    indexes: [{ unique: true, fields: ['offerId', 'requestId'] }, { fields: ['requestId'] }]
+  });
+
+  // every moderator action; rows are never updated or deleted
+  const AuditLog = sequelize.define('AuditLog', {
+    actorUserId: { type: DataTypes.INTEGER, allowNull: true },   // null for automatic actions
+    action: { type: DataTypes.STRING, allowNull: false },        // e.g. post.hide, user.ban, report.dismiss
+    targetType: { type: DataTypes.STRING, allowNull: false },    // post | user | channel | webhook
+    targetId: { type: DataTypes.INTEGER, allowNull: false },
+    details: { type: DataTypes.JSON, allowNull: true }
+  }, {
+    updatedAt: false,
+    indexes: [{ fields: ['targetType', 'targetId'] }]
+  });
+
+  // an endpoint that gets signed POSTs for listing events. events is "*" or a comma list of
+  // lib/webhooks WEBHOOK_EVENTS; channelId narrows it to one channel (and is the only way to get
+  // events from a private one).
+  const Webhook = sequelize.define('Webhook', {
+    url: { type: DataTypes.STRING, allowNull: false },
+    secret: { type: DataTypes.STRING, allowNull: false },
+    events: { type: DataTypes.STRING, allowNull: false, defaultValue: '*' },
+    description: { type: DataTypes.STRING, allowNull: true },
+    active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    createdByUserId: { type: DataTypes.INTEGER, allowNull: true }
+  });
+
+  // the delivery queue and its log in one: a row per event per webhook, holding the exact JSON
+  // body that gets signed. Pending rows are retried at nextAttemptAt until they succeed or run out
+  // of attempts; a redelivery is a new row with the same eventId.
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    event: { type: DataTypes.STRING, allowNull: false },
+    eventId: { type: DataTypes.STRING, allowNull: false },
+    payload: { type: DataTypes.TEXT, allowNull: false },
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'pending', validate: { isIn: [['pending', 'delivered', 'failed']] } },
+    attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    nextAttemptAt: { type: DataTypes.DATE, allowNull: true },
+    lastAttemptAt: { type: DataTypes.DATE, allowNull: true },
+    responseStatus: { type: DataTypes.INTEGER, allowNull: true },
+    lastError: { type: DataTypes.STRING, allowNull: true },
+    deliveredAt: { type: DataTypes.DATE, allowNull: true },
+    redeliveryOf: { type: DataTypes.INTEGER, allowNull: true }
+  }, {
+    indexes: [{ fields: ['status', 'nextAttemptAt'] }, { fields: ['webhookId', 'id'] }]
   });
 
   User.hasMany(Post, { foreignKey: 'ownerUserId' });
   Post.belongsTo(User, { foreignKey: 'ownerUserId' });
+  Post.hasMany(PostImage, { foreignKey: { name: 'postId', allowNull: false }, onDelete: 'CASCADE' });
+  PostImage.belongsTo(Post, { foreignKey: 'postId' });
+  Post.hasMany(Conversation, { foreignKey: 'postId' });
+  Conversation.belongsTo(Post, { foreignKey: 'postId' });
+  Conversation.hasMany(Message, { foreignKey: 'conversationId', onDelete: 'CASCADE' });
+  Message.belongsTo(Conversation, { foreignKey: 'conversationId' });
+  Conversation.hasOne(Review, { foreignKey: { name: 'conversationId', allowNull: false }, onDelete: 'CASCADE' });
+  Review.belongsTo(Conversation, { foreignKey: 'conversationId' });
+  Channel.hasMany(Post, { foreignKey: 'channelId' });
+  Post.belongsTo(Channel, { foreignKey: 'channelId' });
+  Channel.hasMany(ChannelMember, { foreignKey: { name: 'channelId', allowNull: false }, onDelete: 'CASCADE' });
+  ChannelMember.belongsTo(Channel, { foreignKey: 'channelId' });
+  Commodity.hasMany(Post, { foreignKey: 'commodityId' });
+  Post.belongsTo(Commodity, { foreignKey: 'commodityId' });
+  Post.hasMany(AlertMatch, { foreignKey: { name: 'postId', allowNull: false }, onDelete: 'CASCADE' });
+  AlertMatch.belongsTo(Post, { foreignKey: 'postId' });
+  Post.hasMany(Report, { foreignKey: { name: 'postId', allowNull: false }, onDelete: 'CASCADE' });
+  Report.belongsTo(Post, { foreignKey: 'postId' });
+  Post.hasMany(PostMatch, { as: 'offerMatches', foreignKey: { name: 'offerId', allowNull: false }, onDelete: 'CASCADE' });
+  Post.hasMany(PostMatch, { as: 'requestMatches', foreignKey: { name: 'requestId', allowNull: false }, onDelete: 'CASCADE' });
+  Webhook.belongsTo(Channel, { foreignKey: 'channelId' });
+  Webhook.hasMany(WebhookDelivery, { foreignKey: { name: 'webhookId', allowNull: false }, onDelete: 'CASCADE' });
+  WebhookDelivery.belongsTo(Webhook, { foreignKey: 'webhookId' });
 
   // Sync DB
   try {
@@ -80,195 +479,3411 @@ if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
     process.exit(1);
   }
 
+  // Seed catalog (missing slugs only) and keep it in memory; it only changes between restarts
+  let commodities = [];
+  const commodityById = new Map();
+  const commodityBySlug = new Map();
+  async function loadCatalog() {
+    const existing = new Set((await Commodity.findAll({ attributes: ['slug'], raw: true })).map(c => c.slug));
+    const missing = catalog.COMMODITIES.filter(c => !existing.has(c.slug));
+    if (missing.length) await Commodity.bulkCreate(missing);
+    commodities = (await Commodity.findAll({ order: [['category', 'ASC'], ['name', 'ASC']] })).map(c => c.get({ plain: true }));
+    commodityById.clear(); commodityBySlug.clear();
+    for (const c of commodities) { commodityById.set(c.id, c); commodityBySlug.set(c.slug, c); }
+  }
+
+  // Best effort, for rows from before migration 002-post-prices (only they have priceText): turn the
+  // free-text price into a number and guess commodity/quantity/unit from the item name. Unparseable
+  // rows keep price NULL and show priceText. Runs once, on the start that applies the migration.
+  async function backfillLegacyPrices() {
+    const rows = await Post.findAll({ where: { priceText: { [Op.ne]: null }, price: null, commodityId: null, quantity: null } });
+    let parsed = 0;
+    for (const post of rows) {
+      const price = catalog.parsePriceText(post.priceText);
+      const commodity = catalog.matchCommodity(post.itemName, commodities);
+      const qty = catalog.parseQuantityText(post.itemName);
+      if (price !== null) { post.price = price; parsed++; }
+      if (commodity) post.commodityId = commodity.id;
+      if (qty) { post.quantity = qty.quantity; post.unit = qty.unit; }
+      await post.save();
+    }
+    if (parsed) console.log(`Legacy prices: parsed ${parsed} of ${rows.length} posts`);
+  }
+
+  // listings from before the lifecycle existed get the default lifetime counted from creation
+  async function backfillExpiry() {
+    const rows = await Post.findAll({ where: { expiresAt: null }, attributes: ['id', 'createdAt'] });
+    for (const post of rows) {
+      await Post.update({ expiresAt: new Date(post.createdAt.getTime() + POST_TTL_DAYS * 86400000) }, { where: { id: post.id }, silent: true });
+    }
+  }
+
+  // phones listed in ADMIN_PHONES get the admin role (accounts created later are promoted at login)
+  async function promoteAdmins() {
+    const phones = ADMIN_PHONES.map(normalizePhone).filter(Boolean);
+    if (!phones.length) return;
+    const [count] = await User.update({ role: 'admin' }, { where: { phone: phones, role: { [Op.ne]: 'admin' } } });
+    if (count) console.log(`Promoted ${count} user(s) from ADMIN_PHONES to admin`);
+  }
+
+  // the open channel (DEFAULT_CHANNEL); listings from before channels existed are moved into it
+  let defaultChannel = null;
+  async function ensureDefaultChannel() {
+    defaultChannel = await Channel.findOne({ where: { slug: DEFAULT_CHANNEL } });
+    if (!defaultChannel) {
+      defaultChannel = await Channel.create({ slug: DEFAULT_CHANNEL, name: 'All Kenya', description: 'The open market: everyone can read and post here.' });
+    }
+    const [moved] = await Post.update({ channelId: defaultChannel.id }, { where: { channelId: null }, silent: true });
+    if (moved) console.log(`Moved ${moved} listing(s) into the ${DEFAULT_CHANNEL} channel`);
+  }
+
+  try {
+    await loadCatalog();
+    await ensureDefaultChannel();
+    if (pricesMigrated) await backfillLegacyPrices();
+    await backfillExpiry();
+    await promoteAdmins();
+  } catch (err) {
+    console.error('Catalog setup error:', err);
+    process.exit(1);
+  }
+
   // Express app + server + socket.io
   const app = express();
   const server = http.createServer(app);
   const io = require('socket.io')(server, { cors: { origin: '*' } });
 
   // Middleware
+  if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY === 'true' || TRUST_PROXY);
   app.use(cors());
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
+  // language for API messages: ?lang= or Accept-Language (the app sends the one picked in the topbar)
+  app.use((req, res, next) => {
+    req.locale = i18n.pickLocale(req.query.lang || req.get('Accept-Language'));
+    next();
+  });
   app.use(express.static(PUBLIC_DIR));
   app.use('/uploads', express.static(UPLOADS_DIR));
 
-  // multer for file uploads (images)
-  const storage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, UPLOADS_DIR),
-    filename: (req, file, cb) => {
-      const ext = path.extname(file.originalname).toLowerCase();
-      const name = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${ext}`;
-      cb(null, name);
-    }
-  });
+  // multer for file uploads (images): kept in memory, sniffed and re-encoded by storeImages,
+  // so originals (and their EXIF/GPS) never reach the disk
   const upload = multer({
-    storage,
-    limits: { fileSize: 4 * 1024 * 1024 }, // 4 MB
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: MAX_POST_IMAGES },
     fileFilter: (req, file, cb) => {
       const allowed = /jpeg|jpg|png|webp/;
       const ok = allowed.test(file.mimetype) && allowed.test(path.extname(file.originalname).toLowerCase());
       cb(ok ? null : new Error('Invalid file type'), ok);
     }
   });
+  // "images" (several) and the older single "image" field
+  const uploadImages = upload.fields([{ name: 'images', maxCount: MAX_POST_IMAGES }, { name: 'image', maxCount: 1 }]);
+  function uploadedFiles(req) {
+    const files = req.files || {};
+    return [...(files.image || []), ...(files.images || [])];
+  }
+
+  const smsSender = createSmsSender(SMS_SENDER, { file: SMS_OUTBOX_FILE, root: ROOT });
+  console.log('SMS sender:', smsSender.name || SMS_SENDER);
 
   // utils
   function makePasswordSig(password) {
     return crypto.createHash('sha256').update(password).digest('hex');
   }
-  function generateToken(user) {
-    return jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '30d' });
+  // Accepts 07XXXXXXXX / 01XXXXXXXX, 2547XXXXXXXX or +<country><number>; returns E.164 or null
+  function normalizePhone(input) {
+    if (!input || typeof input !== 'string') return null;
+    let p = input.replace(/[\s\-().]/g, '');
+    if (/^0[17]\d{8}$/.test(p)) p = '+254' + p.slice(1);
+    else if (/^254\d{9}$/.test(p)) p = '+' + p;
+    return /^\+\d{9,15}$/.test(p) ? p : null;
   }
-  async function verifyTokenFromHeader(req) {
-    const auth = req.headers.authorization;
-    if (!auth) return null;
-    const token = auth.split(' ')[1];
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      return await User.findByPk(decoded.id);
-    } catch (err) {
-      return null;
+  function hashLoginCode(phone, code) {
+    return crypto.createHmac('sha256', JWT_SECRET).update(`${phone}:${code}`).digest('hex');
+  }
+  function sameHash(a, b) {
+    const ba = Buffer.from(a, 'hex');
+    const bb = Buffer.from(b, 'hex');
+    return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+  }
+  // throttles, creates and sends a login code (SMS in `locale`); returns { error, params, status, retryAfter } on refusal
+  async function issueLoginCode(phone, { legacyUserId = null, locale = i18n.DEFAULT_LOCALE } = {}) {
+    const now = Date.now();
+    const recent = await LoginCode.findAll({
+      where: { phone, createdAt: { [Op.gt]: new Date(now - 60 * 60 * 1000) } },
+      order: [['createdAt', 'DESC']]
+    });
+    if (recent.length) {
+      const wait = Math.ceil((recent[0].createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - now) / 1000);
+      if (wait > 0) return { status: 429, retryAfter: wait, error: 'code_resend_wait', params: { seconds: wait } };
+    }
+    if (recent.length >= OTP_MAX_PER_HOUR) {
+      const wait = Math.ceil((recent[recent.length - 1].createdAt.getTime() + 60 * 60 * 1000 - now) / 1000);
+      return { status: 429, retryAfter: wait, error: 'code_hourly_limit', params: { wait } };
+    }
+
+    // only the newest code for a phone is usable
+    await LoginCode.update({ consumedAt: new Date(now) }, { where: { phone, consumedAt: null } });
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await LoginCode.create({
+      phone,
+      codeHash: hashLoginCode(phone, code),
+      expiresAt: new Date(now + OTP_TTL_SECONDS * 1000),
+      legacyUserId
+    });
+    await smsSender.send(phone, i18n.t(locale, 'sms.login_code', { code, minutes: Math.round(OTP_TTL_SECONDS / 60) }));
+    return { expiresIn: OTP_TTL_SECONDS };
+  }
+  // rate limiting: fixed windows counted in RateLimit. Returns { ok } or { ok: false, retryAfter }.
+  async function consumeLimit(key, limit, windowSeconds, cost = 1) {
+    const now = new Date();
+    const [affected] = await RateLimit.update(
+      { count: sequelize.literal(`\`count\` + ${cost}`) },
+      { where: { key, resetAt: { [Op.gt]: now }, count: { [Op.lte]: limit - cost } } }
+    );
+    if (affected) return { ok: true };
+    const row = await RateLimit.findOne({ where: { key } });
+    if (row && row.resetAt > now) return { ok: false, retryAfter: Math.max(1, Math.ceil((row.resetAt - now) / 1000)) };
+    if (cost > limit) return { ok: false, retryAfter: windowSeconds };
+    const resetAt = new Date(now.getTime() + windowSeconds * 1000);
+    if (row) await row.update({ count: cost, resetAt });
+    else {
+      try {
+        await RateLimit.create({ key, count: cost, resetAt });
+      } catch (err) {
+        if (!(err instanceof Sequelize.UniqueConstraintError)) throw err;
+        return consumeLimit(key, limit, windowSeconds, cost);
+      }
     }
+    return { ok: true };
+  }
+  // gives back what consumeLimit took, for work that was refused after all (within the same window)
+  async function refundLimit(key, cost = 1) {
+    await RateLimit.update(
+      { count: sequelize.literal(`\`count\` - ${cost}`) },
+      { where: { key, resetAt: { [Op.gt]: new Date() }, count: { [Op.gte]: cost } } }
+    );
+  }
+  // API errors: { error: message in the request's language, code: stable errors.<code> key, ...extra }
+  function sendError(res, status, code, params = {}, extra = {}) {
+    return res.status(status).json({ error: i18n.t(res.req.locale, `errors.${code}`, params), code, ...extra });
+  }
+  // 500s: the message only outside production
+  function serverError(res, err, code = 'database_error') {
+    if (NODE_ENV === 'production') return sendError(res, 500, code);
+    return res.status(500).json({ error: err && err.message, code });
+  }
+  function tooManyRequests(res, retryAfter, code, params = {}) {
+    res.set('Retry-After', String(retryAfter));
+    return sendError(res, 429, code, { wait: retryAfter, ...params }, { retryAfter });
   }
+  // per-IP limit as route middleware
+  function limitByIp(bucket, limit, windowSeconds) {
+    return async (req, res, next) => {
+      try {
+        const out = await consumeLimit(`${bucket}:${req.ip}`, limit, windowSeconds);
+        if (!out.ok) return tooManyRequests(res, out.retryAfter, 'too_many_requests');
+      } catch (err) {
+        console.error(`${bucket} rate limit error:`, err && err.stack || err);
+        return serverError(res, err);
+      }
+      next();
+    };
+  }
+  const authIpLimit = limitByIp('auth', AUTH_IP_LIMIT, AUTH_IP_WINDOW_MINUTES * 60);
+  const inviteIpLimit = limitByIp('invite', AUTH_IP_LIMIT, AUTH_IP_WINDOW_MINUTES * 60);
+  const postIpLimit = limitByIp('post', POST_IP_LIMIT, 60 * 60);
 
-  // routes
-  app.get('/ping', (req, res) => res.json({ ok: true, ts: Date.now() }));
+  // progressive lockout: LOCKOUT_THRESHOLD failures lock the key for LOCKOUT_BASE_SECONDS,
+  // each further failure doubles it (capped at LOCKOUT_MAX_MINUTES)
+  async function lockoutRemaining(key) {
+    const row = await AuthFailure.findOne({ where: { key } });
+    if (!row || !row.lockedUntil) return 0;
+    return Math.max(0, Math.ceil((row.lockedUntil - Date.now()) / 1000));
+  }
+  async function recordAuthFailure(key) {
+    const now = new Date();
+    let row = await AuthFailure.findOne({ where: { key } });
+    if (row && now - row.lastFailureAt > LOCKOUT_RESET_HOURS * 3600000) row.failures = 0;
+    if (!row) row = AuthFailure.build({ key, failures: 0 });
+    row.failures += 1;
+    row.lastFailureAt = now;
+    const over = row.failures - LOCKOUT_THRESHOLD;
+    if (over >= 0) {
+      const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** Math.min(over, 20), LOCKOUT_MAX_MINUTES * 60);
+      row.lockedUntil = new Date(now.getTime() + seconds * 1000);
+    }
+    await row.save();
+    return row.lockedUntil && row.lockedUntil > now ? Math.ceil((row.lockedUntil - now) / 1000) : 0;
+  }
+  async function clearAuthFailures(key) {
+    await AuthFailure.destroy({ where: { key } });
+  }
+  // per-user daily posting quotas; returns {} or { error, params, retryAfter }
+  async function consumePostQuota(user, posts, photos) {
+    if (posts) {
+      const out = await consumeLimit(`posts-day:${user.id}`, POSTS_PER_DAY, 86400, posts);
+      if (!out.ok) return { retryAfter: out.retryAfter, error: 'post_quota', params: { limit: POSTS_PER_DAY, wait: out.retryAfter } };
+    }
+    if (photos) {
+      const out = await consumeLimit(`photos-day:${user.id}`, PHOTOS_PER_DAY, 86400, photos);
+      if (!out.ok) {
+        if (posts) await refundPostQuota(user, posts, 0);
+        return { retryAfter: out.retryAfter, error: 'photo_quota', params: { limit: PHOTOS_PER_DAY, wait: out.retryAfter } };
+      }
+    }
+    return {};
+  }
+  async function refundPostQuota(user, posts, photos) {
+    if (posts) await refundLimit(`posts-day:${user.id}`, posts);
+    if (photos) await refundLimit(`photos-day:${user.id}`, photos);
+  }
+  function lockedOut(res, seconds) {
+    return tooManyRequests(res, seconds, 'locked_out');
+  }
 
-  app.get('/debug/dbstatus', (req, res) => {
-    const exists = fs.existsSync(STORAGE_PATH);
-    let size = null;
-    try { if (exists) size = fs.statSync(STORAGE_PATH).size; } catch (e) {}
-    res.json({ storagePath: STORAGE_PATH, exists, sizeBytes: size, nodeEnv: NODE_ENV });
-  });
+  // near=lat,lng and radiusKm for GET /api/posts: a bounding box (uses the latitude/longitude index)
+  // plus a flat-earth squared distance in degrees that SQLite can compute and sort by; accurate to
+  // well under 1% at these distances. The reported distanceKm is the great-circle distance.
+  const MAX_RADIUS_KM = 500;
+  const KM_PER_DEGREE = 111.32;
+  function parseNear(nearParam, radiusParam) {
+    const [lat, lng] = String(nearParam).split(',').map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return { error: 'near_invalid' };
+    const radiusKm = radiusParam === undefined || radiusParam === '' ? 50 : Number(radiusParam);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) return { error: 'radius_invalid', params: { max: MAX_RADIUS_KM } };
+    const cosLat = Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+    const dLat = radiusKm / KM_PER_DEGREE;
+    const dLng = dLat / cosLat;
+    return {
+      lat, lng,
+      minLat: lat - dLat, maxLat: lat + dLat, minLng: lng - dLng, maxLng: lng + dLng,
+      maxDistanceSq: dLat * dLat,
+      distanceSq: sequelize.literal(`((\`latitude\` - ${lat}) * (\`latitude\` - ${lat}) + (\`longitude\` - ${lng}) * ${cosLat} * (\`longitude\` - ${lng}) * ${cosLat})`)
+    };
+  }
 
-  // list posts (public) - return absolute image URLs
-  app.get('/api/posts', async (req, res) => {
-    try {
-      const posts = await Post.findAll({ order: [['createdAt', 'DESC']], raw: true });
-      const mapped = posts.map(p => ({
-        ...p,
-        image: p.image ? `${req.protocol}://${req.get('host')}/uploads/${p.image}` : null
+  // feed cursors are opaque: base64url of "<sort value>|<id>" of the last row on the page
+  function encodeCursor(row, field = 'createdAt') {
+    const value = field === 'createdAt' ? new Date(row.createdAt).toISOString() : row[field];
+    return Buffer.from(`${value}|${row.id}`).toString('base64url');
+  }
+  function decodeCursor(cursor, field = 'createdAt') {
+    const [raw, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+    if (!/^\d+$/.test(id || '')) return null;
+    const value = field === 'createdAt' ? new Date(raw) : Number(raw);
+    if (field === 'createdAt' ? isNaN(value.getTime()) : !Number.isFinite(value)) return null;
+    return { value, id: parseInt(id, 10) };
+  }
+  function uploadUrl(filename, req) {
+    if (!filename) return null;
+    return `${req ? `${req.protocol}://${req.get('host')}` : ''}/uploads/${filename}`;
+  }
+  // API shape of a post (plain row or instance); image URLs absolute when there is a request to
+  // take the host from (socket pushes from background jobs use paths), commodity inlined from the
+  // catalog, and the photo list when `imageRows` is given
+  function serializePost(p, req, imageRows) {
+    const row = typeof p.get === 'function' ? p.get({ plain: true }) : p;
+    const c = row.commodityId ? commodityById.get(row.commodityId) : null;
+    const out = {
+      ...row,
+      image: uploadUrl(row.image, req),
+      thumb: uploadUrl(row.thumb || row.image, req),
+      commodity: c ? { id: c.id, slug: c.slug, name: c.name, category: c.category } : null
+    };
+    if (imageRows) {
+      out.images = imageRows.map(im => ({
+        id: im.id, thumb: uploadUrl(im.thumb, req), medium: uploadUrl(im.medium, req), width: im.width, height: im.height
       }));
-      res.json(mapped);
-    } catch (err) {
-      console.error('GET /api/posts error:', err && err.stack || err);
-      res.status(500).json({ error: NODE_ENV === 'production' ? 'Database error' : err && err.message });
     }
-  });
-
-  // create post (auth + file upload)
-  app.post('/api/posts', upload.single('image'), async (req, res) => {
+    return out;
+  }
+  // serializePost with photos, for single posts (create/edit responses and socket pushes)
+  async function postWithImages(post, req) {
+    const rows = await PostImage.findAll({ where: { postId: post.id }, order: [['position', 'ASC'], ['id', 'ASC']], raw: true });
+    return serializePost(post, req, rows);
+  }
+  function removeUploadFile(filename) {
+    if (!filename) return;
+    const filepath = path.join(UPLOADS_DIR, filename);
+    try { if (fs.existsSync(filepath)) fs.unlinkSync(filepath); } catch (e) { console.warn('Failed to delete image file', e && e.message); }
+  }
+  function removeStoredImages(list) {
+    for (const im of list) { removeUploadFile(im.thumb); removeUploadFile(im.medium); }
+  }
+  // sniffs and re-encodes uploads; returns { error } or { stored: [{ thumb, medium, width, height }] }.
+  // Nothing is written unless every file is a real JPEG/PNG/WebP.
+  async function storeImages(files) {
+    for (const f of files) {
+      if (!images.sniffImageType(f.buffer)) return { error: 'photo_type' };
+    }
+    const stored = [];
     try {
-      const user = await verifyTokenFromHeader(req);
-      if (!user) return res.status(401).json({ error: 'Unauthorized' });
-
-      const { itemName, location, phone, price, description } = req.body;
-      if (!itemName || itemName.trim() === '') return res.status(400).json({ error: 'Item name is required.' });
-
-      const imageFilename = req.file ? req.file.filename : null;
-
-      const post = await Post.create({
-        itemName: itemName.trim(),
-        image: imageFilename,
-        location: location || '',
-        phone: phone || '',
-        price: price || '',
-        description: description || '',
-        ownerUserId: user.id
-      });
+      for (const f of files) stored.push(await images.processImage(f.buffer, UPLOADS_DIR));
+    } catch (err) {
+      console.warn('Image processing failed:', err && err.message);
+      removeStoredImages(stored);
+      return { error: 'photo_unreadable' };
+    }
+    return { stored };
+  }
+  // points Post.image/thumb at the first photo
+  async function setCover(post) {
+    const first = await PostImage.findOne({ where: { postId: post.id }, order: [['position', 'ASC'], ['id', 'ASC']] });
+    await post.update({ image: first ? first.medium : null, thumb: first ? first.thumb : null });
+  }
+  // validates price/currency/quantity/unit/commodity from a request body; returns { error } or { values, commodity }.
+  // With `current` (PATCH) absent keys are left alone, blank ones clear the field, and the
+  // unit/quantity/commodity combination is checked against the merged listing.
+  function parseListingFields(body, current = null) {
+    const values = {};
+    const has = (k) => body[k] !== undefined;
+    const blank = (k) => body[k] === '' || body[k] === null;
+    let commodity = current && current.commodityId ? commodityById.get(current.commodityId) : null;
 
-      const out = {
-        id: post.id,
-        itemName: post.itemName,
-        image: post.image ? `${req.protocol}://${req.get('host')}/uploads/${post.image}` : null,
-        location: post.location,
-        phone: post.phone,
-        price: post.price,
-        description: post.description,
-        ownerUserId: post.ownerUserId,
-        createdAt: post.createdAt
-      };
+    if (has('commodity')) {
+      if (blank('commodity')) {
+        commodity = null;
+        values.commodityId = null;
+      } else {
+        const key = String(body.commodity);
+        commodity = /^\d+$/.test(key) ? commodityById.get(parseInt(key, 10)) : commodityBySlug.get(key);
+        if (!commodity) return { error: 'unknown_commodity' };
+        values.commodityId = commodity.id;
+      }
+    }
+    if (has('price')) {
+      const price = blank('price') ? null : Number(body.price);
+      if (price !== null && (!Number.isFinite(price) || price < 0 || price > 1e9)) return { error: 'price_invalid' };
+      values.price = price === null ? null : Math.round(price * 100) / 100;
+    }
+    if (has('currency') && !blank('currency')) {
+      const currency = String(body.currency).toUpperCase();
+      if (!catalog.CURRENCIES.includes(currency)) return { error: 'currency_invalid', params: { currencies: catalog.CURRENCIES.join(', ') } };
+      values.currency = currency;
+    }
+    if (has('quantity')) {
+      const quantity = blank('quantity') ? null : Number(body.quantity);
+      if (quantity !== null && (!Number.isFinite(quantity) || quantity <= 0 || quantity > 1e7)) return { error: 'quantity_invalid' };
+      values.quantity = quantity;
+    }
+    if (has('unit')) {
+      const unit = blank('unit') ? null : String(body.unit);
+      if (unit !== null && !catalog.UNITS[unit]) return { error: 'unit_invalid', params: { units: Object.keys(catalog.UNITS).join(', ') } };
+      values.unit = unit;
+    }
 
-      io.emit('new_post', out);
-      res.json(out);
-    } catch (err) {
-      console.error('POST /api/posts error:', err && err.stack || err);
-      res.status(500).json({ error: NODE_ENV === 'production' ? 'Database error' : err && err.message });
+    // the seller's position is kept to 3 decimals (~100 m): close enough to judge the drive, not their gate
+    if (has('latitude') || has('longitude')) {
+      if (blank('latitude') && blank('longitude')) {
+        values.latitude = null;
+        values.longitude = null;
+      } else {
+        const lat = Number(body.latitude);
+        const lng = Number(body.longitude);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+          return { error: 'coordinates_invalid' };
+        }
+        values.latitude = Math.round(lat * 1000) / 1000;
+        values.longitude = Math.round(lng * 1000) / 1000;
+      }
     }
-  });
 
-  // register
-  app.post('/api/register', async (req, res) => {
-    try {
-      const { password } = req.body;
-      if (!password || typeof password !== 'string' || password.length < 4) {
-        return res.status(400).json({ error: 'Password must be at least 4 characters.' });
+    // the type is picked once, when the listing is created
+    const type = current ? current.type : (has('type') && !blank('type') ? String(body.type) : 'offer');
+    if (!matching.POST_TYPES.includes(type)) return { error: 'type_invalid' };
+    if (current && has('type') && String(body.type) !== current.type) return { error: 'type_locked' };
+    if (!current) values.type = type;
+    if (has('neededBy')) {
+      if (blank('neededBy')) {
+        values.neededBy = null;
+      } else {
+        if (type !== 'request') return { error: 'needed_by_offer' };
+        const raw = String(body.neededBy);
+        const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T23:59:59.999Z` : raw);
+        if (isNaN(d.getTime())) return { error: 'needed_by_invalid' };
+        if (d.getTime() <= Date.now()) return { error: 'needed_by_past' };
+        if (d.getTime() > Date.now() + POST_MAX_TTL_DAYS * 86400000) return { error: 'needed_by_too_far', params: { days: POST_MAX_TTL_DAYS } };
+        values.neededBy = d;
       }
-      const sig = makePasswordSig(password);
-      const existing = await User.findOne({ where: { passwordSig: sig } });
-      if (existing) return res.status(409).json({ error: 'An account with that password already exists.' });
+    }
 
-      const hash = await bcrypt.hash(password, 10);
-      const user = await User.create({ passwordHash: hash, passwordSig: sig });
-      const token = generateToken(user);
-      res.json({ userId: user.id, token });
+    const unit = 'unit' in values ? values.unit : (current ? current.unit : null);
+    const quantity = 'quantity' in values ? values.quantity : (current ? current.quantity : null);
+    if (unit && commodity && !commodity.units.includes(unit)) return { error: 'unit_invalid', params: { units: commodity.units.join(', ') } };
+    if (quantity !== null && quantity !== undefined && !unit) return { error: 'unit_required' };
+    return { values, commodity };
+  }
+  // coordinates for a typed location from the gazetteer, or a town name for a shared position with
+  // no typed location; returns the extra fields to save alongside `values`
+  const NEAREST_TOWN_KM = 30;
+  function locateListing(location, values) {
+    if ('latitude' in values) {
+      if (location || values.latitude === null) return {};
+      const town = gazetteer.nearestTown(values.latitude, values.longitude);
+      return town && town.km <= NEAREST_TOWN_KM ? { location: town.name } : {};
+    }
+    const place = location ? gazetteer.lookupPlace(location) : null;
+    return { latitude: place ? place.lat : null, longitude: place ? place.lng : null };
+  }
+  // county of a listing for the price index: the typed place, else the nearest known town
+  function postCounty(post) {
+    const place = post.location ? gazetteer.lookupPlace(post.location) : null;
+    if (place) return place.county;
+    if (post.latitude === null || post.latitude === undefined) return null;
+    const town = gazetteer.nearestTown(post.latitude, post.longitude);
+    return town && town.km <= NEAREST_TOWN_KM ? town.county : null;
+  }
+  // only offers with a catalog commodity, a unit and a price say anything about the going rate
+  const PRICE_FIELDS = ['commodityId', 'unit', 'currency', 'price'];
+  async function recordPriceObservation(post, source, observedAt = new Date()) {
+    if (post.type !== 'offer' || !post.commodityId || !post.unit || post.price === null || post.price === undefined) return;
+    await PriceObservation.create({
+      postId: post.id, commodityId: post.commodityId, unit: post.unit, currency: post.currency, price: post.price,
+      county: postCounty(post), source, observedAt
+    });
+  }
+  // validates an owner-chosen expiry (ISO date, within POST_MAX_TTL_DAYS); returns { error } or { value }
+  function parseExpiresAt(input) {
+    const d = new Date(input);
+    if (isNaN(d.getTime())) return { error: 'expiry_invalid' };
+    if (d.getTime() <= Date.now()) return { error: 'expiry_past' };
+    if (d.getTime() > Date.now() + POST_MAX_TTL_DAYS * 86400000) return { error: 'expiry_too_far', params: { days: POST_MAX_TTL_DAYS } };
+    return { value: d };
+  }
+  function likeTerm(s) {
+    return `%${String(s).replace(/[%_\\]/g, '')}%`;
+  }
+  function generateToken(user, session) {
+    return jwt.sign({ id: user.id, sid: session.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_MINUTES * 60 });
+  }
+  function sessionActive(session) {
+    return !!session && !session.revokedAt && session.lastUsedAt.getTime() > Date.now() - SESSION_IDLE_DAYS * 86400000;
+  }
+  // a new session for a device that just logged in: { token, refreshToken, expiresIn, sessionId }
+  async function startSession(user, req) {
+    const refreshToken = sessions.newRefreshToken();
+    const session = await Session.create({
+      userId: user.id,
+      refreshHash: sessions.hashRefreshToken(refreshToken),
+      device: sessions.describeDevice(req.get('User-Agent')),
+      ip: req.ip,
+      lastUsedAt: new Date()
+    });
+    return { token: generateToken(user, session), refreshToken, expiresIn: ACCESS_TOKEN_MINUTES * 60, sessionId: session.id };
+  }
+  // ends the matching sessions and disconnects their sockets; returns how many were ended
+  async function revokeSessions(where) {
+    const ended = await Session.findAll({ where: { ...where, revokedAt: null } });
+    if (!ended.length) return 0;
+    const ids = new Set(ended.map(s => s.id));
+    await Session.update({ revokedAt: new Date() }, { where: { id: [...ids] } });
+    for (const userId of new Set(ended.map(s => s.userId))) {
+      for (const socket of await io.in(`user:${userId}`).fetchSockets()) {
+        if (ids.has(socket.data.sessionId)) socket.disconnect(true);
+      }
+    }
+    return ended.length;
+  }
+  // { user, session } for a valid access token. Its session must still be active (so revoking
+  // signs out at once) and banned users are treated as signed out everywhere. Tokens from before
+  // sessions existed carry no session id and are refused: they could never be revoked.
+  async function authFromToken(token) {
+    if (!token) return null;
+    try {
+      const { id, sid } = jwt.verify(token, JWT_SECRET);
+      if (!sid) return null;
+      const session = await Session.findByPk(sid);
+      if (!sessionActive(session) || session.userId !== id) return null;
+      const user = await User.findByPk(id);
+      return user && !user.bannedAt ? { user, session } : null;
     } catch (err) {
-      console.error('POST /api/register error:', err && err.stack || err);
-      res.status(500).json({ error: NODE_ENV === 'production' ? 'Server error' : err && err.message });
+      return null;
     }
-  });
+  }
+  async function userFromToken(token) {
+    const auth = await authFromToken(token);
+    return auth ? auth.user : null;
+  }
+  function bearerToken(req) {
+    const auth = req.headers.authorization;
+    return auth ? auth.split(' ')[1] : null;
+  }
+  async function verifyTokenFromHeader(req) {
+    return userFromToken(bearerToken(req));
+  }
+
+  // moderation helpers
+  function isModerator(user) {
+    return !!user && (user.role === 'moderator' || user.role === 'admin');
+  }
+  // resolves to the signed-in moderator (or admin with adminOnly), or sends 401/403 and resolves to null
+  async function requireModerator(req, res, { adminOnly = false } = {}) {
+    const user = await verifyTokenFromHeader(req);
+    if (!user) { sendError(res, 401, 'unauthorized'); return null; }
+    if (adminOnly ? user.role !== 'admin' : !isModerator(user)) { sendError(res, 403, 'moderators_only'); return null; }
+    return user;
+  }
+  async function audit(actor, action, targetType, targetId, details = null) {
+    await AuditLog.create({ actorUserId: actor ? actor.id : null, action, targetType, targetId, details });
+  }
+  // channel access, shared by the REST routes, the feed and the socket rooms
+  function channelRoom(channelId) {
+    return `channel:${channelId}`;
+  }
+  // by id or slug
+  async function findChannel(key) {
+    const k = String(key || '');
+    if (!k) return null;
+    return Channel.findOne({ where: /^\d+$/.test(k) ? { id: parseInt(k, 10) } : { slug: k } });
+  }
+  // what a user (or null) with a membership (or null) may do in a channel: { role, read, post, admin }.
+  // Site moderators can read every channel and site admins manage them all.
+  function accessFor(channel, user, member) {
+    const role = member ? member.role : null;
+    return {
+      role,
+      read: channel.visibility === 'public' || !!member || isModerator(user),
+      post: !!user && (!!member || channel.id === defaultChannel.id),
+      admin: role === 'admin' || (!!user && user.role === 'admin')
+    };
+  }
+  async function channelAccess(channel, user) {
+    const member = user ? await ChannelMember.findOne({ where: { channelId: channel.id, userId: user.id } }) : null;
+    return accessFor(channel, user, member);
+  }
+  // ids of the channels a viewer can read (public ones plus their private ones); null for moderators, who read all
+  async function readableChannelIds(viewer) {
+    if (isModerator(viewer)) return null;
+    const ids = (await Channel.findAll({ where: { visibility: 'public' }, attributes: ['id'], raw: true })).map(c => c.id);
+    if (viewer) ids.push(...(await ChannelMember.findAll({ where: { userId: viewer.id }, attributes: ['channelId'], raw: true })).map(m => m.channelId));
+    return [...new Set(ids)];
+  }
+  // moves sockets that may no longer read a channel (removed member, channel made private) back to DEFAULT_CHANNEL
+  async function enforceChannelRoom(channel) {
+    for (const socket of await io.in(channelRoom(channel.id)).fetchSockets()) {
+      const user = socket.data.userId ? { id: socket.data.userId, role: socket.data.role } : null;
+      if ((await channelAccess(channel, user)).read) continue;
+      watchChannel(socket, defaultChannel.id);
+      socket.emit('channel_removed', { channelId: channel.id });
+    }
+  }
 
-  // login
-  app.post('/api/login', async (req, res) => {
+  // hidden posts, posts of banned users and posts in channels the viewer can't read are visible to
+  // their owner and moderators only
+  async function visibleTo(post, viewer) {
+    if (viewer && (viewer.id === post.ownerUserId || isModerator(viewer))) return true;
+    if (post.hiddenAt) return false;
+    const channel = post.channelId ? await Channel.findByPk(post.channelId) : null;
+    if (channel && !(await channelAccess(channel, viewer)).read) return false;
+    const owner = await User.findByPk(post.ownerUserId, { attributes: ['bannedAt'] });
+    return !owner || !owner.bannedAt;
+  }
+  // records a post change and pushes it to the post's channel room (and its owner): new_post /
+  // updated_post carry the full post, deleted_post just the id, all with the new feed version.
+  // Posts the public may not see (hidden, banned owner) go only to their owner; the rest of the
+  // room gets a deleted_post for that version instead. Webhooks see what the room sees.
+  async function publishPostChange(out, kind = 'updated') {
+    const { id: version } = await PostChange.create({ postId: out.id, kind });
+    const room = channelRoom(out.channelId);
+    const gone = { id: out.id, channelId: out.channelId };
+    if (kind === 'deleted') {
+      io.to(room).emit('deleted_post', { id: out.id, version });
+      return queueWebhookEvent('post.deleted', gone, version);
+    }
+    if (!out.seller) [out] = await attachSellers([{ ...out }]);
+    const event = kind === 'created' ? 'new_post' : 'updated_post';
+    const owner = await User.findByPk(out.ownerUserId, { attributes: ['bannedAt'] });
+    if (out.hiddenAt || (owner && owner.bannedAt)) {
+      io.to(`user:${out.ownerUserId}`).emit(event, { ...out, version });
+      io.to(room).except(`user:${out.ownerUserId}`).emit('deleted_post', { id: out.id, version });
+      await queueWebhookEvent('post.deleted', gone, version);
+    } else {
+      io.to(room).to(`user:${out.ownerUserId}`).emit(event, { ...out, version });
+      await queueWebhookEvent(`post.${kind}`, out, version);
+    }
+  }
+  // one pending delivery per interested webhook, then a nudge to the queue. Hooks without a
+  // channel get public channels only. Failures are logged: the post change itself already happened.
+  async function queueWebhookEvent(event, post, version) {
     try {
-      const { password } = req.body;
-      if (!password) return res.status(400).json({ error: 'Password required.' });
-      const sig = makePasswordSig(password);
-      const user = await User.findOne({ where: { passwordSig: sig } });
-      if (!user) return res.status(401).json({ error: 'Invalid password.' });
-      const ok = await bcrypt.compare(password, user.passwordHash);
-      if (!ok) return res.status(401).json({ error: 'Invalid password.' });
-      const token = generateToken(user);
-      res.json({ userId: user.id, token });
+      const channel = post.channelId ? await Channel.findByPk(post.channelId, { attributes: ['id', 'visibility'] }) : null;
+      const channelWhere = channel && channel.visibility === 'private' ? { channelId: channel.id }
+        : { [Op.or]: [{ channelId: null }, ...(channel ? [{ channelId: channel.id }] : [])] };
+      const hooks = (await Webhook.findAll({ where: { active: true, ...channelWhere }, attributes: ['id', 'events'] })).filter(h => webhooks.wantsEvent(h.events, event));
+      if (!hooks.length) return;
+      const eventId = `evt_${version}`;
+      const payload = JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), version, data: { post } });
+      await WebhookDelivery.bulkCreate(hooks.map(h => ({ webhookId: h.id, event, eventId, payload, nextAttemptAt: new Date() })));
+      kickWebhookQueue();
     } catch (err) {
-      console.error('POST /api/login error:', err && err.stack || err);
-      res.status(500).json({ error: NODE_ENV === 'production' ? 'Server error' : err && err.message });
+      console.error('Webhook enqueue error:', err && err.stack || err);
     }
-  });
+  }
+  // after a ban or unban (or a profile or rating change): the owner's listed posts are pushed again
+  async function publishOwnerPosts(userId) {
+    const posts = await Post.findAll({ where: { ownerUserId: userId, status: ['active', 'reserved'] } });
+    for (const post of posts) await publishPostChange(await postWithImages(post));
+  }
+  async function feedVersion() {
+    return (await PostChange.max('id')) || 0;
+  }
+  // public seller details shown with listings: name, area, verified phone and average rating
+  async function sellerSummaries(userIds) {
+    const ids = [...new Set(userIds)];
+    const out = new Map();
+    if (!ids.length) return out;
+    const users = await User.findAll({ where: { id: ids }, attributes: ['id', 'displayName', 'area', 'phoneVerifiedAt', 'createdAt'], raw: true });
+    const scores = await Review.findAll({
+      where: { sellerUserId: ids },
+      attributes: ['sellerUserId', [sequelize.fn('AVG', sequelize.col('rating')), 'average'], [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['sellerUserId'],
+      raw: true
+    });
+    const bySeller = new Map(scores.map(sc => [sc.sellerUserId, sc]));
+    for (const u of users) {
+      const sc = bySeller.get(u.id);
+      out.set(u.id, {
+        id: u.id,
+        displayName: u.displayName,
+        area: u.area,
+        phoneVerified: !!u.phoneVerifiedAt,
+        joinedAt: new Date(u.createdAt),
+        rating: sc ? Math.round(Number(sc.average) * 10) / 10 : null,
+        ratingCount: sc ? Number(sc.count) : 0
+      });
+    }
+    return out;
+  }
+  // adds `seller` to serialized posts (in place)
+  async function attachSellers(posts) {
+    const sellers = await sellerSummaries(posts.map(p => p.ownerUserId));
+    for (const p of posts) p.seller = sellers.get(p.ownerUserId) || null;
+    return posts;
+  }
+  // validates displayName/area/language from a request body; blank clears. Returns { error, params } or { values }.
+  const DISPLAY_NAME_MAX = 40;
+  const AREA_MAX = 60;
+  function parseProfile(body) {
+    const values = {};
+    for (const [key, max, code] of [['displayName', DISPLAY_NAME_MAX, 'display_name_too_long'], ['area', AREA_MAX, 'area_too_long']]) {
+      if (body[key] === undefined) continue;
+      const text = String(body[key] || '').replace(/[\u0000-\u001f\u007f]/g, '').trim().replace(/\s+/g, ' ');
+      if (text.length > max) return { error: code, params: { max } };
+      if (key === 'displayName' && text && text.length < 2) return { error: 'display_name_too_short' };
+      values[key] = text || null;
+    }
+    if (body.language !== undefined && body.language !== null && body.language !== '') {
+      if (!i18n.isLocale(String(body.language))) return { error: 'language_invalid', params: { languages: i18n.LOCALES.join(', ') } };
+      values.language = String(body.language);
+    }
+    return { values };
+  }
+  function serializeModUser(u) {
+    return { id: u.id, phone: u.phone, role: u.role, bannedAt: u.bannedAt, banReason: u.banReason, createdAt: u.createdAt };
+  }
 
-  // delete post (owner only)
-  app.delete('/api/posts/:id', async (req, res) => {
-    try {
-      const user = await verifyTokenFromHeader(req);
-      if (!user) return res.status(401).json({ error: 'Unauthorized' });
+  // messaging helpers shared by the REST routes and socket handlers
+  const MESSAGE_MAX_LENGTH = 1000;
+  function isParticipant(conv, userId) {
+    return conv.buyerUserId === userId || conv.sellerUserId === userId;
+  }
+  function otherParticipant(conv, userId) {
+    return conv.buyerUserId === userId ? conv.sellerUserId : conv.buyerUserId;
+  }
+  function unreadWhere(conversationId, userId) {
+    return { conversationId, senderUserId: { [Op.ne]: userId }, readAt: null };
+  }
+  // who buys in a conversation: whoever started it about an offer, the owner of a wanted request
+  function dealParties(conv, post) {
+    return post && post.type === 'request'
+      ? { buyerId: conv.sellerUserId, sellerId: conv.buyerUserId }
+      : { buyerId: conv.buyerUserId, sellerId: conv.sellerUserId };
+  }
+  // a deal is done when the listing is sold and both sides have written; returns an error code or null
+  async function reviewBlocker(conv, post, userId) {
+    const { buyerId, sellerId } = dealParties(conv, post);
+    if (buyerId !== userId) return 'review_buyer_only';
+    if (!post || post.status !== 'sold') return 'review_not_sold';
+    const senders = await Message.findAll({ where: { conversationId: conv.id }, attributes: ['senderUserId'], group: ['senderUserId'], raw: true });
+    if (!senders.some(m => m.senderUserId === sellerId) || !senders.some(m => m.senderUserId === buyerId)) {
+      return 'review_no_conversation';
+    }
+    return null;
+  }
+  // inbox row for one participant
+  async function conversationSummary(conv, userId, req) {
+    const post = conv.postId ? await Post.findByPk(conv.postId, { attributes: ['id', 'itemName', 'image', 'thumb', 'status', 'type'] }) : null;
+    const last = await Message.findOne({ where: { conversationId: conv.id }, order: [['id', 'DESC']] });
+    return {
+      id: conv.id,
+      postId: conv.postId,
+      subject: conv.subject,
+      post: post ? { id: post.id, itemName: post.itemName, status: post.status, image: serializePost(post, req).thumb } : null,
+      role: conv.buyerUserId === userId ? 'buyer' : 'seller',
+      otherUserId: otherParticipant(conv, userId),
+      lastMessage: last ? { id: last.id, body: last.body, senderUserId: last.senderUserId, createdAt: last.createdAt } : null,
+      lastMessageAt: conv.lastMessageAt,
+      unread: await Message.count({ where: unreadWhere(conv.id, userId) }),
+      canReview: !(await Review.count({ where: { conversationId: conv.id } })) && !(await reviewBlocker(conv, post, userId))
+    };
+  }
+  // stores a message, delivers it to the conversation room and refreshes the recipient's inbox
+  async function deliverMessage(conv, sender, text) {
+    const body = String(text || '').trim();
+    if (!body) return { error: 'message_empty' };
+    if (body.length > MESSAGE_MAX_LENGTH) return { error: 'message_too_long', params: { max: MESSAGE_MAX_LENGTH } };
+    const message = await Message.create({ conversationId: conv.id, senderUserId: sender.id, body });
+    await conv.update({ lastMessageAt: message.createdAt });
+    const out = message.get({ plain: true });
+    io.to(`conv:${conv.id}`).emit('message', out);
+    const recipient = otherParticipant(conv, sender.id);
+    io.to(`user:${recipient}`).emit('conversation_updated', await conversationSummary(conv, recipient));
+    return { message: out };
+  }
+  // marks the other side's messages read and sends the receipt to the room
+  async function markConversationRead(conv, reader) {
+    const readAt = new Date();
+    const last = await Message.findOne({ where: unreadWhere(conv.id, reader.id), order: [['id', 'DESC']] });
+    if (!last) return { upToId: null, readAt: null };
+    await Message.update({ readAt }, { where: { ...unreadWhere(conv.id, reader.id), id: { [Op.lte]: last.id } } });
+    const receipt = { conversationId: conv.id, readerUserId: reader.id, upToId: last.id, readAt };
+    io.to(`conv:${conv.id}`).emit('messages_read', receipt);
+    io.to(`user:${reader.id}`).emit('conversation_updated', await conversationSummary(conv, reader.id));
+    return receipt;
+  }
 
-      const post = await Post.findByPk(req.params.id);
-      if (!post) return res.status(404).json({ error: 'Post not found' });
-      if (post.ownerUserId !== user.id) return res.status(403).json({ error: 'Not allowed to delete this post' });
+  // saved-search alerts: matches are pushed to user:<id> rooms only, never broadcast
+  const DEFAULT_PREFS = { sound: true, quietStart: null, quietEnd: null, timezone: DEFAULT_TIMEZONE, digest: 'off', lastDigestAt: null };
+  async function notificationPrefs(userId) {
+    const prefs = await NotificationPref.findOne({ where: { userId }, raw: true });
+    return prefs || { ...DEFAULT_PREFS, userId };
+  }
+  function serializePrefs(prefs) {
+    const { sound, quietStart, quietEnd, timezone, digest } = prefs;
+    return { sound: !!sound, quietStart, quietEnd, timezone, digest };
+  }
+  function serializeSavedSearch(rule) {
+    const c = rule.commodityId ? commodityById.get(rule.commodityId) : null;
+    return {
+      id: rule.id,
+      commodity: c ? { id: c.id, slug: c.slug, name: c.name } : null,
+      keywords: rule.keywords,
+      location: rule.location,
+      maxPrice: rule.maxPrice,
+      currency: rule.currency,
+      createdAt: rule.createdAt
+    };
+  }
+  function userOnline(userId) {
+    const room = io.sockets.adapter.rooms.get(`user:${userId}`);
+    return !!(room && room.size);
+  }
+  // records a match for everyone with a saved search for the new post (members only, in a private
+  // channel); instant-mode users who are online get it now, the rest is held for deliverHeldAlerts
+  async function notifyAlertSubscribers(post, out) {
+    if (post.type === 'request') return; // saved searches look for things to buy
+    const channel = await Channel.findByPk(post.channelId);
+    const userId = { [Op.ne]: post.ownerUserId };
+    if (channel && channel.visibility === 'private') {
+      userId[Op.in] = (await ChannelMember.findAll({ where: { channelId: channel.id }, attributes: ['userId'], raw: true })).map(m => m.userId);
+    }
+    const rules = await SavedSearch.findAll({
+      where: { userId, [Op.or]: [{ commodityId: null }, { commodityId: post.commodityId || null }] },
+      order: [['id', 'ASC']],
+      raw: true
+    });
+    const byUser = new Map();
+    for (const rule of rules) {
+      if (!byUser.has(rule.userId) && alerts.matchesRule(rule, post)) byUser.set(rule.userId, rule);
+    }
+    for (const [userId, rule] of byUser) {
+      const match = await AlertMatch.create({ userId, postId: post.id, savedSearchId: rule.id });
+      const prefs = await notificationPrefs(userId);
+      if (prefs.digest !== 'off' || !userOnline(userId)) continue;
+      io.to(`user:${userId}`).emit('alert', { post: out, savedSearchId: rule.id, silent: !prefs.sound || alerts.inQuietHours(prefs) });
+      await match.update({ deliveredAt: new Date() });
+    }
+  }
+  // sends a user's held matches as one alert_digest (newest listings first) once their digest is due
+  const DIGEST_MAX_POSTS = 20;
+  async function deliverHeldAlerts(userId) {
+    if (!userOnline(userId)) return;
+    const prefs = await notificationPrefs(userId);
+    if (!alerts.digestDue(prefs)) return;
+    const held = await AlertMatch.findAll({ where: { userId, deliveredAt: null }, attributes: ['id', 'postId'], raw: true });
+    if (!held.length) return;
+    const posts = await Post.findAll({
+      where: { id: held.map(m => m.postId), status: ['active', 'reserved'], hiddenAt: null },
+      order: [['createdAt', 'DESC']]
+    });
+    if (posts.length) {
+      const items = [];
+      for (const post of posts.slice(0, DIGEST_MAX_POSTS)) items.push(await postWithImages(post));
+      io.to(`user:${userId}`).emit('alert_digest', { posts: items, total: posts.length, silent: !prefs.sound || alerts.inQuietHours(prefs) });
+    }
+    const now = new Date();
+    await AlertMatch.update({ deliveredAt: now }, { where: { id: held.map(m => m.id) } });
+    if (prefs.digest !== 'off') await NotificationPref.update({ lastDigestAt: now }, { where: { userId } });
+  }
+  // wanted requests and offers: an active post is compared with the open posts of the other type in
+  // its channel (lib/matching) and both owners hear about new pairs; an edit drops pairs that no longer fit
+  const MATCH_CANDIDATES = 500;
+  const bannedOwnerIds = () => sequelize.literal('(SELECT `id` FROM `Users` WHERE `bannedAt` IS NOT NULL)');
+  async function matchNewPost(post, out) {
+    if (post.status !== 'active' || post.hiddenAt) return;
+    const isOffer = post.type === 'offer';
+    const where = {
+      type: isOffer ? 'request' : 'offer',
+      channelId: post.channelId,
+      status: 'active',
+      hiddenAt: null,
+      ownerUserId: { [Op.ne]: post.ownerUserId, [Op.notIn]: bannedOwnerIds() }
+    };
+    // IN (x, NULL) never matches NULL, so uncategorised posts need their own branch
+    if (post.commodityId) where[Op.or] = [{ commodityId: post.commodityId }, { commodityId: null }];
+    const candidates = await Post.findAll({ where, order: [['createdAt', 'DESC']], limit: MATCH_CANDIDATES, raw: true });
+    const mine = post.get({ plain: true });
+    const found = new Map();
+    for (const other of candidates) {
+      const m = isOffer ? matching.matchPosts(mine, other, { radiusKm: MATCH_RADIUS_KM }) : matching.matchPosts(other, mine, { radiusKm: MATCH_RADIUS_KM });
+      if (m) found.set(other.id, { other, distanceKm: m.distanceKm });
+    }
 
-      if (post.image) {
-        const filepath = path.join(UPLOADS_DIR, post.image);
-        try { if (fs.existsSync(filepath)) fs.unlinkSync(filepath); } catch (e) { console.warn('Failed to delete image file', e && e.message); }
+    const [ownKey, otherKey] = isOffer ? ['offerId', 'requestId'] : ['requestId', 'offerId'];
+    const existing = await PostMatch.findAll({ where: { [ownKey]: post.id } });
+    const known = new Set();
+    for (const row of existing) {
+      if (!found.has(row[otherKey])) await row.destroy();
+      else {
+        known.add(row[otherKey]);
+        await row.update({ distanceKm: found.get(row[otherKey]).distanceKm });
       }
-      await post.destroy();
-      io.emit('deleted_post', { id: parseInt(req.params.id, 10) });
-      res.json({ ok: true });
-    } catch (err) {
-      console.error('DELETE /api/posts/:id error:', err && err.stack || err);
-      res.status(500).json({ error: NODE_ENV === 'production' ? 'Database error' : err && err.message });
     }
-  });
-
-  // Socket: online count
-  let online = 0;
-  io.on('connection', (socket) => {
-    online++;
-    io.emit('online_count', online);
-    socket.on('disconnect', () => {
-      online = Math.max(0, online - 1);
-      io.emit('online_count', online);
-    });
-  });
-  setInterval(()=> io.emit('online_count', online), 1000);
+    for (const [otherId, { other, distanceKm }] of found) {
+      if (known.has(otherId)) continue;
+      try {
+        await PostMatch.create({ [ownKey]: post.id, [otherKey]: otherId, distanceKm });
+      } catch (err) {
+        if (err instanceof Sequelize.UniqueConstraintError) continue;
+        throw err;
+      }
+      io.to(`user:${post.ownerUserId}`).emit('match', { postId: post.id, match: serializePost(other), distanceKm });
+      io.to(`user:${other.ownerUserId}`).emit('match', { postId: otherId, match: out, distanceKm });
+    }
+  }
+  // listed counterparts (active or reserved, not moderated) of each post: Map postId -> [{ post, distanceKm }]
+  async function listedMatches(ids) {
+    const byPost = new Map(ids.map(id => [id, []]));
+    if (!ids.length) return byPost;
+    const rows = await PostMatch.findAll({ where: { [Op.or]: [{ offerId: ids }, { requestId: ids }] }, raw: true });
+    if (!rows.length) return byPost;
+    const others = await Post.findAll({
+      where: {
+        id: [...new Set(rows.flatMap(r => [r.offerId, r.requestId]))],
+        status: ['active', 'reserved'],
+        hiddenAt: null,
+        ownerUserId: { [Op.notIn]: bannedOwnerIds() }
+      },
+      raw: true
+    });
+    const listed = new Map(others.map(p => [p.id, p]));
+    for (const r of rows) {
+      for (const [own, other] of [[r.offerId, r.requestId], [r.requestId, r.offerId]]) {
+        if (byPost.has(own) && listed.has(other)) byPost.get(own).push({ post: listed.get(other), distanceKm: r.distanceKm });
+      }
+    }
+    return byPost;
+  }
+
+  // validates a saved search from a request body; returns { error } or { values }
+  function parseSavedSearch(body) {
+    const values = { commodityId: null, keywords: null, location: null, maxPrice: null, currency: 'KES' };
+    if (body.commodity) {
+      const c = commodityBySlug.get(String(body.commodity));
+      if (!c) return { error: 'unknown_commodity' };
+      values.commodityId = c.id;
+    }
+    const keywords = String(body.keywords || body.q || '').trim().replace(/\s+/g, ' ');
+    if (keywords) values.keywords = keywords.slice(0, 100);
+    const location = String(body.location || '').trim();
+    if (location) values.location = location.slice(0, 100);
+    if (body.maxPrice !== undefined && body.maxPrice !== null && body.maxPrice !== '') {
+      const maxPrice = Number(body.maxPrice);
+      if (!Number.isFinite(maxPrice) || maxPrice < 0) return { error: 'max_price_invalid' };
+      values.maxPrice = maxPrice;
+    }
+    if (body.currency) {
+      const currency = String(body.currency).toUpperCase();
+      if (!catalog.CURRENCIES.includes(currency)) return { error: 'currency_invalid', params: { currencies: catalog.CURRENCIES.join(', ') } };
+      values.currency = currency;
+    }
+    if (!values.commodityId && !values.keywords && !values.location && values.maxPrice === null) {
+      return { error: 'alert_empty' };
+    }
+    return { values };
+  }
+
+  // routes
+  app.get('/ping', (req, res) => res.json({ ok: true, ts: Date.now() }));
+
+  app.get('/debug/dbstatus', (req, res) => {
+    const exists = fs.existsSync(STORAGE_PATH);
+    let size = null;
+    try { if (exists) size = fs.statSync(STORAGE_PATH).size; } catch (e) {}
+    res.json({ storagePath: STORAGE_PATH, exists, sizeBytes: size, nodeEnv: NODE_ENV });
+  });
+
+  // commodity catalog for the compose/filter pickers
+  app.get('/api/commodities', (req, res) => {
+    res.json({
+      currencies: catalog.CURRENCIES,
+      units: catalog.UNITS,
+      commodities: commodities.map(({ id, slug, name, category, units }) => ({ id, slug, name, category, units }))
+    });
+  });
+
+  // market price index (lib/prices). Each listing counts once per week with its latest price;
+  // hidden listings and outliers are left out of the figures.
+  const PRICE_MAX_WEEKS = 52;
+  function parsePriceQuery(query, defaultWeeks) {
+    const out = { where: {}, weeks: Math.min(Math.max(parseInt(query.weeks, 10) || defaultWeeks, 1), PRICE_MAX_WEEKS) };
+    if (query.commodity) {
+      out.commodity = commodityBySlug.get(String(query.commodity));
+      if (!out.commodity) return { error: 'unknown_commodity' };
+      out.where.commodityId = out.commodity.id;
+    }
+    if (query.county) {
+      const county = gazetteer.COUNTIES.find(([name]) => gazetteer.normalize(name) === gazetteer.normalize(query.county));
+      if (!county) return { error: 'unknown_county' };
+      out.county = county[0];
+      out.where.county = out.county;
+    }
+    if (query.unit) {
+      if (!catalog.UNITS[String(query.unit)]) return { error: 'unknown_unit' };
+      out.where.unit = String(query.unit);
+    }
+    if (query.currency) {
+      const currency = String(query.currency).toUpperCase();
+      if (!catalog.CURRENCIES.includes(currency)) return { error: 'currency_invalid', params: { currencies: catalog.CURRENCIES.join(', ') } };
+      out.where.currency = currency;
+    }
+    // whole weeks, the current one included
+    out.from = prices.weekStart(Date.now() - (out.weeks - 1) * 7 * 86400000);
+    return out;
+  }
+  async function priceObservations(where, from) {
+    const rows = await PriceObservation.findAll({
+      where: { ...where, observedAt: { [Op.gte]: new Date(from) }, postId: { [Op.notIn]: sequelize.literal('(SELECT `id` FROM `Posts` WHERE `hiddenAt` IS NOT NULL)') } },
+      order: [['observedAt', 'ASC'], ['id', 'ASC']],
+      raw: true
+    });
+    const latest = new Map();
+    for (const row of rows) {
+      const week = prices.weekStart(row.observedAt);
+      latest.set(`${row.postId}|${week}`, { ...row, week });
+    }
+    return [...latest.values()];
+  }
+  function groupBy(rows, keyOf) {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = keyOf(row);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+    return groups;
+  }
+
+  // median/min/max per commodity, unit, county and week; county null is the whole country
+  // query: commodity (slug), county, unit, currency, weeks (default 4, max 52)
+  app.get('/api/prices', async (req, res) => {
+    try {
+      const q = parsePriceQuery(req.query, 4);
+      if (q.error) return sendError(res, 400, q.error, q.params);
+      const rows = await priceObservations(q.where, q.from);
+      const out = [];
+      const regions = (row) => q.county ? [q.county] : [null, ...(row.county ? [row.county] : [])];
+      const expanded = rows.flatMap(row => regions(row).map(region => ({ ...row, region })));
+      for (const group of groupBy(expanded, r => [r.commodityId, r.unit, r.currency, r.region, r.week].join('|')).values()) {
+        const summary = prices.summarize(group.map(r => r.price));
+        if (!summary) continue;
+        const { commodityId, unit, currency, region, week } = group[0];
+        const c = commodityById.get(commodityId);
+        out.push({ commodity: c ? { slug: c.slug, name: c.name } : null, unit, currency, county: region, week, ...summary });
+      }
+      out.sort((a, b) => (a.commodity ? a.commodity.name : '').localeCompare(b.commodity ? b.commodity.name : '') ||
+        a.unit.localeCompare(b.unit) || a.currency.localeCompare(b.currency) ||
+        (a.county || '').localeCompare(b.county || '') || b.week.localeCompare(a.week));
+      res.json({ from: q.from, weeks: q.weeks, rows: out });
+    } catch (err) {
+      console.error('GET /api/prices error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // weekly series for one commodity, unit and currency (defaults: its most listed unit, KES), in
+  // one county or the whole country; weeks without data have count 0. Also lists the units and
+  // counties that have data, for the trends page pickers.
+  app.get('/api/prices/:commodity/history', async (req, res) => {
+    try {
+      const q = parsePriceQuery({ ...req.query, commodity: req.params.commodity }, 12);
+      if (q.error) return sendError(res, 400, q.error, q.params);
+      const { unit, currency = 'KES', county, ...base } = q.where;
+      const all = await priceObservations({ ...base, currency }, q.from);
+      const units = [...groupBy(all, r => r.unit)].sort((a, b) => b[1].length - a[1].length).map(([u]) => u);
+      const pick = unit || units[0] || q.commodity.units[0];
+      const inUnit = all.filter(r => r.unit === pick);
+      const counties = [...new Set(inUnit.map(r => r.county).filter(Boolean))].sort();
+      const byWeek = groupBy(county ? inUnit.filter(r => r.county === county) : inUnit, r => r.week);
+
+      const series = [];
+      for (let t = new Date(q.from).getTime(); t <= Date.now(); t += 7 * 86400000) {
+        const week = prices.weekStart(t);
+        const summary = prices.summarize((byWeek.get(week) || []).map(r => r.price));
+        series.push({ week, ...(summary || { median: null, min: null, max: null, count: 0, excluded: 0 }) });
+      }
+      res.json({
+        commodity: { slug: q.commodity.slug, name: q.commodity.name },
+        unit: pick, currency, county: county || null, from: q.from, weeks: q.weeks, units, counties, series
+      });
+    } catch (err) {
+      console.error('GET /api/prices/:commodity/history error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // list posts (public) - return absolute image URLs
+  // query: channel (slug or id; default DEFAULT_CHANNEL, or "all" readable channels - the default when filtering by owner),
+  //        q (keywords over itemName/description), location, minPrice, maxPrice, owner,
+  //        type (offer | request), commodity (slug), category, unit, sort (newest | price_asc | price_desc),
+  //        status (comma list or "all"; default active,reserved - all statuses when filtering by owner),
+  //        limit (default 20, max 50), cursor (nextCursor from the previous page)
+  app.get('/api/posts', async (req, res) => {
+    try {
+      const { q, location, minPrice, maxPrice, owner, type, commodity, category, unit, cursor } = req.query;
+      // every post write bumps the feed version, so version + request + who asks make a cheap ETag. Joining or
+      // leaving a channel (or one turning private) changes what a viewer reads without a post write, so
+      // their readable channels go into it too
+      const viewer = await verifyTokenFromHeader(req);
+      const readable = await readableChannelIds(viewer);
+      const version = await feedVersion();
+      const asker = viewer ? `${viewer.id}:${viewer.role}` : '';
+      const etag = `W/"${version}-${crypto.createHash('sha1').update(`${req.get('host')}|${req.originalUrl}|${asker}|${readable ? readable.join(',') : 'all'}`).digest('base64url').slice(0, 16)}"`;
+      if (req.get('If-None-Match') === etag) return res.status(304).set('ETag', etag).end();
+      const near = req.query.near ? parseNear(req.query.near, req.query.radiusKm) : null;
+      if (near && near.error) return sendError(res, 400, near.error, near.params);
+      const sort = req.query.sort || (near ? 'distance' : 'newest');
+      if (!['newest', 'price_asc', 'price_desc', 'distance'].includes(sort)) return sendError(res, 400, 'sort_invalid');
+      if (sort === 'distance' && !near) return sendError(res, 400, 'sort_needs_near');
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+      const where = [];
+
+      const channelKey = req.query.channel || (owner ? 'all' : DEFAULT_CHANNEL);
+      const ownList = !!viewer && !!owner && String(viewer.id) === String(owner);
+      if (channelKey === 'all') {
+        // owners see all their own listings, including those in channels they have since left
+        if (readable && !ownList) where.push({ channelId: readable });
+      } else {
+        const channel = await findChannel(channelKey);
+        if (!channel || !(await channelAccess(channel, viewer)).read) return sendError(res, 404, 'channel_not_found');
+        where.push({ channelId: channel.id });
+      }
+
+      const status = req.query.status || (owner ? 'all' : 'active,reserved');
+      if (status !== 'all') {
+        const statuses = String(status).split(',');
+        if (statuses.some(st => !POST_STATUSES.includes(st))) return sendError(res, 400, 'status_invalid');
+        where.push({ status: statuses });
+      }
+
+      if (q && String(q).trim()) {
+        for (const word of String(q).trim().split(/\s+/).slice(0, 5)) {
+          const term = likeTerm(word);
+          where.push({ [Op.or]: [{ itemName: { [Op.like]: term } }, { description: { [Op.like]: term } }] });
+        }
+      }
+      if (location && String(location).trim()) where.push({ location: { [Op.like]: likeTerm(String(location).trim()) } });
+      if (owner !== undefined && owner !== '') {
+        if (!/^\d+$/.test(String(owner))) return sendError(res, 400, 'owner_invalid');
+        where.push({ ownerUserId: parseInt(owner, 10) });
+      }
+      // moderated content is left out, except from the owner's own list
+      if (!ownList) {
+        where.push({ hiddenAt: null });
+        where.push({ ownerUserId: { [Op.notIn]: bannedOwnerIds() } });
+      }
+
+      if (type) {
+        if (!matching.POST_TYPES.includes(String(type))) return sendError(res, 400, 'type_invalid');
+        where.push({ type: String(type) });
+      }
+      if (commodity) {
+        const c = commodityBySlug.get(String(commodity));
+        if (!c) return sendError(res, 400, 'unknown_commodity');
+        where.push({ commodityId: c.id });
+      }
+      if (category) where.push({ commodityId: commodities.filter(c => c.category === String(category)).map(c => c.id) });
+      if (unit) where.push({ unit: String(unit) });
+
+      for (const [value, op] of [[minPrice, Op.gte], [maxPrice, Op.lte]]) {
+        if (value === undefined || value === '') continue;
+        const n = Number(value);
+        if (!Number.isFinite(n)) return sendError(res, 400, 'price_range_invalid');
+        where.push({ price: { [op]: n } });
+      }
+
+      if (near) {
+        where.push({ latitude: { [Op.between]: [near.minLat, near.maxLat] }, longitude: { [Op.between]: [near.minLng, near.maxLng] } });
+        where.push(sequelize.where(near.distanceSq, Op.lte, near.maxDistanceSq));
+      }
+
+      // price sorts only list priced posts; the cursor carries the sort value of the last row
+      const sortField = { newest: 'createdAt', distance: 'distanceSq' }[sort] || 'price';
+      const dir = sort === 'price_desc' || sort === 'newest' ? 'DESC' : 'ASC';
+      if (sortField === 'price') where.push({ price: { [Op.ne]: null } });
+      if (cursor) {
+        const c = decodeCursor(cursor, sortField);
+        if (!c) return sendError(res, 400, 'cursor_invalid');
+        const past = dir === 'ASC' ? Op.gt : Op.lt;
+        if (sortField === 'distanceSq') {
+          where.push({ [Op.or]: [
+            sequelize.where(near.distanceSq, past, c.value),
+            { [Op.and]: [sequelize.where(near.distanceSq, Op.eq, c.value), { id: { [past]: c.id } }] }
+          ] });
+        } else {
+          where.push({ [Op.or]: [
+            { [sortField]: { [past]: c.value } },
+            { [sortField]: c.value, id: { [past]: c.id } }
+          ] });
+        }
+      }
+
+      const posts = await Post.findAll({
+        where: { [Op.and]: where },
+        attributes: near ? { include: [[near.distanceSq, 'distanceSq']] } : undefined,
+        order: [[sortField === 'distanceSq' ? near.distanceSq : sortField, dir], ['id', dir]],
+        limit: limit + 1,
+        raw: true
+      });
+      const page = posts.slice(0, limit);
+      const imageRows = await PostImage.findAll({ where: { postId: page.map(p => p.id) }, order: [['position', 'ASC'], ['id', 'ASC']], raw: true });
+      const byPost = new Map(page.map(p => [p.id, []]));
+      for (const im of imageRows) byPost.get(im.postId).push(im);
+      const matches = await listedMatches(page.map(p => p.id));
+      const mapped = page.map(({ distanceSq, ...p }) => {
+        const out = serializePost(p, req, byPost.get(p.id));
+        out.matchCount = matches.get(p.id).length;
+        if (near) out.distanceKm = Math.round(gazetteer.distanceKm(near.lat, near.lng, p.latitude, p.longitude) * 10) / 10;
+        return out;
+      });
+      await attachSellers(mapped);
+      res.set({ ETag: etag, 'Cache-Control': 'no-cache' });
+      res.json({ posts: mapped, nextCursor: posts.length > limit ? encodeCursor(page[page.length - 1], sortField) : null, version });
+    } catch (err) {
+      console.error('GET /api/posts error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // feed changes after a version (from GET /api/posts, a socket event or an earlier call): created
+  // and updated posts in full, deleted ones (and ones the viewer may no longer see, or that are
+  // outside ?channel= when given) as ids. { reset: true } means the client is too far behind and
+  // should reload the feed.
+  app.get('/api/posts/changes', async (req, res) => {
+    try {
+      if (!/^\d+$/.test(String(req.query.since || ''))) return sendError(res, 400, 'since_invalid');
+      const since = parseInt(req.query.since, 10);
+      const viewer = await verifyTokenFromHeader(req);
+      const channel = req.query.channel ? await findChannel(req.query.channel) : null;
+      if (req.query.channel && (!channel || !(await channelAccess(channel, viewer)).read)) return sendError(res, 404, 'channel_not_found');
+      const version = await feedVersion();
+      const oldest = await PostChange.min('id');
+      if (since > version || (oldest && since < oldest - 1)) return res.json({ version, reset: true });
+      const rows = await PostChange.findAll({
+        where: { id: { [Op.gt]: since, [Op.lte]: version } },
+        order: [['id', 'ASC']],
+        limit: MAX_SYNC_CHANGES + 1,
+        raw: true
+      });
+      if (rows.length > MAX_SYNC_CHANGES) return res.json({ version, reset: true });
+
+      // last change per post wins, except that a post created in this range stays "created"
+      const kinds = new Map();
+      for (const row of rows) {
+        const prev = kinds.get(row.postId);
+        kinds.set(row.postId, row.kind !== 'deleted' && prev === 'created' ? 'created' : row.kind);
+      }
+      const ids = [...kinds].filter(([, kind]) => kind !== 'deleted').map(([id]) => id);
+      const posts = ids.length ? await Post.findAll({ where: { id: ids }, raw: true }) : [];
+      const banned = new Set((await User.findAll({
+        where: { id: [...new Set(posts.map(p => p.ownerUserId))], bannedAt: { [Op.ne]: null } }, attributes: ['id'], raw: true
+      })).map(u => u.id));
+      const readable = await readableChannelIds(viewer);
+      const visible = posts.filter(p => (!channel || p.channelId === channel.id) && (
+        (viewer && (viewer.id === p.ownerUserId || isModerator(viewer))) ||
+        (!p.hiddenAt && !banned.has(p.ownerUserId) && (!readable || readable.includes(p.channelId)))
+      ));
+      const imageRows = await PostImage.findAll({ where: { postId: visible.map(p => p.id) }, order: [['position', 'ASC'], ['id', 'ASC']], raw: true });
+      const byPost = new Map(visible.map(p => [p.id, []]));
+      for (const im of imageRows) byPost.get(im.postId).push(im);
+
+      const out = { version, created: [], updated: [], deleted: [] };
+      const shown = new Set(visible.map(p => p.id));
+      for (const p of visible) out[kinds.get(p.id)].push(serializePost(p, req, byPost.get(p.id)));
+      await attachSellers(out.created.concat(out.updated));
+      for (const id of kinds.keys()) if (!shown.has(id)) out.deleted.push(id);
+      res.json(out);
+    } catch (err) {
+      console.error('GET /api/posts/changes error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // single post with all photos
+  app.get('/api/posts/:id', async (req, res) => {
+    try {
+      const post = await Post.findByPk(req.params.id);
+      if (!post || !(await visibleTo(post, await verifyTokenFromHeader(req)))) return sendError(res, 404, 'post_not_found');
+      res.json((await attachSellers([await postWithImages(post, req)]))[0]);
+    } catch (err) {
+      console.error('GET /api/posts/:id error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // offers that fit a wanted request, or requests an offer fits: nearest first, then newest
+  app.get('/api/posts/:id/matches', async (req, res) => {
+    try {
+      const post = await Post.findByPk(req.params.id);
+      if (!post || !(await visibleTo(post, await verifyTokenFromHeader(req)))) return sendError(res, 404, 'post_not_found');
+      const list = (await listedMatches([post.id])).get(post.id);
+      list.sort((a, b) => (a.distanceKm === null) - (b.distanceKm === null) || (a.distanceKm || 0) - (b.distanceKm || 0) ||
+        new Date(b.post.createdAt) - new Date(a.post.createdAt));
+      const imageRows = await PostImage.findAll({ where: { postId: list.map(m => m.post.id) }, order: [['position', 'ASC'], ['id', 'ASC']], raw: true });
+      const byPost = new Map(list.map(m => [m.post.id, []]));
+      for (const im of imageRows) byPost.get(im.postId).push(im);
+      const posts = await attachSellers(list.map(m => serializePost(m.post, req, byPost.get(m.post.id))));
+      res.json({ matches: list.map((m, i) => ({ distanceKm: m.distanceKm, post: posts[i] })) });
+    } catch (err) {
+      console.error('GET /api/posts/:id/matches error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // shareable listing pages and public feeds (lib/share). Both are for visitors without the app
+  // or an account, so they only ever show what an anonymous viewer of the feed may see.
+  const FEED_ITEMS = 50;
+  const FEED_FORMATS = {
+    rss: { type: 'application/rss+xml; charset=utf-8', render: share.rssFeed },
+    atom: { type: 'application/atom+xml; charset=utf-8', render: share.atomFeed },
+    json: { type: 'application/feed+json; charset=utf-8', render: share.jsonFeed }
+  };
+  function siteUrl(req) {
+    return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  }
+
+  // /p/:id: the listing with Open Graph / Twitter tags, so shared links get a preview
+  app.get('/p/:id', async (req, res) => {
+    try {
+      const base = siteUrl(req);
+      const post = /^\d+$/.test(req.params.id) ? await Post.findByPk(req.params.id) : null;
+      // the page's language follows Accept-Language (or ?lang=), so caches must keep them apart
+      res.vary('Accept-Language');
+      if (!post || !(await visibleTo(post, null))) return res.status(404).type('html').send(share.missingPage(base, req.params.id.replace(/\D/g, ''), req.locale));
+      const out = (await attachSellers([await postWithImages(post)]))[0];
+      const channel = post.channelId ? await Channel.findByPk(post.channelId, { attributes: ['slug', 'name'] }) : null;
+      res.set('Cache-Control', 'public, max-age=300');
+      res.type('html').send(share.listingPage(base, out, { channel, locale: req.locale }));
+    } catch (err) {
+      console.error('GET /p/:id error:', err && err.stack || err);
+      res.status(500).type('text/plain').send(i18n.t(req.locale, 'errors.server_error'));
+    }
+  });
+
+  // /feeds/<channel>.rss|.atom|.json: the newest listings of a public channel, narrowed with
+  // ?commodity=<slug>, ?location= (part of the typed place) and ?type=offer|request
+  app.get('/feeds/:file', async (req, res) => {
+    try {
+      const m = String(req.params.file).match(/^([^.]+)\.(rss|atom|json)$/);
+      const channel = m ? await findChannel(m[1]) : null;
+      if (!channel || !(await channelAccess(channel, null)).read) return sendError(res, 404, 'feed_not_found');
+      const format = FEED_FORMATS[m[2]];
+
+      const where = [
+        { channelId: channel.id, status: ['active', 'reserved'], hiddenAt: null },
+        { ownerUserId: { [Op.notIn]: bannedOwnerIds() } }
+      ];
+      const titleParts = [];
+      const { commodity, location, type } = req.query;
+      if (type) {
+        if (!matching.POST_TYPES.includes(String(type))) return sendError(res, 400, 'type_invalid');
+        where.push({ type: String(type) });
+        titleParts.push(i18n.t(req.locale, type === 'request' ? 'share.tag_wanted' : 'share.tag_for_sale'));
+      }
+      if (commodity) {
+        const c = commodityBySlug.get(String(commodity));
+        if (!c) return sendError(res, 400, 'unknown_commodity');
+        where.push({ commodityId: c.id });
+        titleParts.unshift(c.name);
+      }
+      if (location && String(location).trim()) {
+        where.push({ location: { [Op.like]: likeTerm(String(location).trim()) } });
+        titleParts.push(i18n.t(req.locale, 'share.feed_in', { place: String(location).trim() }));
+      }
+
+      // any post write bumps the feed version, so it stands in for "nothing changed" here too
+      const version = await feedVersion();
+      const etag = `W/"${version}-${crypto.createHash('sha1').update(`${siteUrl(req)}|${req.originalUrl}|${req.locale}`).digest('base64url').slice(0, 16)}"`;
+      res.vary('Accept-Language');
+      if (req.get('If-None-Match') === etag) return res.status(304).set('ETag', etag).end();
+
+      const rows = await Post.findAll({ where: { [Op.and]: where }, order: [['createdAt', 'DESC'], ['id', 'DESC']], limit: FEED_ITEMS });
+      const imageRows = await PostImage.findAll({ where: { postId: rows.map(p => p.id) }, order: [['position', 'ASC'], ['id', 'ASC']], raw: true });
+      const byPost = new Map(rows.map(p => [p.id, []]));
+      for (const im of imageRows) byPost.get(im.postId).push(im);
+      const posts = await attachSellers(rows.map(p => serializePost(p, null, byPost.get(p.id))));
+
+      const base = siteUrl(req);
+      const query = new URLSearchParams(Object.entries({ commodity, location, type, lang: req.query.lang }).filter(([, v]) => v)).toString();
+      const link = (ext) => `${base}/feeds/${channel.slug}.${ext}${query ? `?${query}` : ''}`;
+      const narrowed = titleParts.join(' ');
+      const feed = {
+        title: `${narrowed ? `${narrowed[0].toUpperCase()}${narrowed.slice(1)} - ` : ''}${channel.name} · ${share.SITE_NAME}`,
+        description: channel.description || i18n.t(req.locale, 'share.feed_description', { channel: channel.name }),
+        homeUrl: `${base}/`,
+        links: { rss: link('rss'), atom: link('atom'), json: link('json') }
+      };
+      res.set({ ETag: etag, 'Cache-Control': 'public, max-age=300' });
+      res.type(format.type).send(format.render(base, feed, posts, req.locale));
+    } catch (err) {
+      console.error('GET /feeds/:file error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // create post (auth + photo uploads in "images", or a single "image") in `channel` (slug or id,
+  // default DEFAULT_CHANNEL; members only). An Idempotency-Key header makes retries return the post
+  // the first attempt created instead of posting it twice.
+  app.post('/api/posts', postIpLimit, uploadImages, async (req, res) => {
+    let claim = null;
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+
+      const { location, phone, description } = req.body;
+      const fields = parseListingFields(req.body);
+      if (fields.error) return sendError(res, 400, fields.error, fields.params);
+      // item name defaults to the commodity name when one is picked
+      const itemName = (req.body.itemName || '').trim() || (fields.commodity ? fields.commodity.name : '');
+      if (!itemName) return sendError(res, 400, 'item_name_required');
+      const channel = req.body.channel ? await findChannel(req.body.channel) : defaultChannel;
+      if (!channel) return sendError(res, 400, 'unknown_channel');
+      if (!(await channelAccess(channel, user)).post) return sendError(res, 403, 'channel_post_forbidden');
+
+      let expiresAt = new Date(Date.now() + POST_TTL_DAYS * 86400000);
+      if (req.body.expiresAt) {
+        const exp = parseExpiresAt(req.body.expiresAt);
+        if (exp.error) return sendError(res, 400, exp.error, exp.params);
+        expiresAt = exp.value;
+      } else if (fields.values.neededBy && fields.values.neededBy < expiresAt) {
+        // a request is over once its deadline has passed
+        expiresAt = fields.values.neededBy;
+      }
+
+      const files = uploadedFiles(req);
+      if (files.length > MAX_POST_IMAGES) return sendError(res, 400, 'too_many_photos', { max: MAX_POST_IMAGES });
+
+      const idemKey = req.get('Idempotency-Key');
+      if (idemKey !== undefined) {
+        if (!/^[\w-]{8,100}$/.test(idemKey)) return sendError(res, 400, 'idempotency_key_invalid');
+        try {
+          claim = await IdempotencyKey.create({ key: idemKey, userId: user.id });
+        } catch (err) {
+          if (!(err instanceof Sequelize.UniqueConstraintError)) throw err;
+          const prior = await IdempotencyKey.findOne({ where: { key: idemKey, userId: user.id } });
+          const existing = prior && prior.postId ? await Post.findByPk(prior.postId) : null;
+          if (existing) {
+            res.set('Idempotent-Replayed', 'true');
+            return res.json(await postWithImages(existing, req));
+          }
+          if (prior && prior.postId) return sendError(res, 409, 'post_removed');
+          // a claim without a post is either in flight or left behind by a crash; take over old ones
+          if (prior && Date.now() - prior.createdAt.getTime() < 2 * 60 * 1000) {
+            res.set('Retry-After', '5');
+            return sendError(res, 409, 'post_in_progress');
+          }
+          if (prior) await prior.destroy();
+          claim = await IdempotencyKey.create({ key: idemKey, userId: user.id });
+        }
+      }
+
+      // daily quotas, counted only for requests that will really create a post: files that aren't
+      // images are refused first, and photos that fail to decode give the quota back
+      if (files.some(f => !images.sniffImageType(f.buffer))) {
+        if (claim) await claim.destroy();
+        return sendError(res, 400, 'photo_type');
+      }
+      const quota = await consumePostQuota(user, 1, files.length);
+      if (quota.error) {
+        if (claim) await claim.destroy();
+        return tooManyRequests(res, quota.retryAfter, quota.error, quota.params);
+      }
+
+      const photos = await storeImages(files);
+      if (photos.error) {
+        await refundPostQuota(user, 1, files.length);
+        if (claim) await claim.destroy();
+        return sendError(res, 400, photos.error, photos.params);
+      }
+
+      let post;
+      try {
+        post = await Post.create({
+          itemName,
+          location: location || '',
+          phone: phone || '',
+          ...fields.values,
+          ...locateListing(location || '', fields.values),
+          description: description || '',
+          status: 'active',
+          expiresAt,
+          channelId: channel.id,
+          ownerUserId: user.id
+        });
+        await PostImage.bulkCreate(photos.stored.map((im, position) => ({ ...im, position, postId: post.id })));
+      } catch (err) {
+        removeStoredImages(photos.stored);
+        if (post) await post.destroy().catch(() => {});
+        throw err;
+      }
+      await setCover(post);
+      if (claim) await claim.update({ postId: post.id });
+
+      const out = await postWithImages(post, req);
+      res.json(out);
+      publishPostChange(out, 'created').catch(err => console.error('Post change error:', err && err.stack || err));
+      notifyAlertSubscribers(post, out).catch(err => console.error('Alert matching error:', err && err.stack || err));
+      matchNewPost(post, out).catch(err => console.error('Request matching error:', err && err.stack || err));
+      recordPriceObservation(post, 'listed').catch(err => console.error('Price index error:', err && err.stack || err));
+    } catch (err) {
+      if (claim && !claim.postId) await claim.destroy().catch(() => {});
+      console.error('POST /api/posts error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // login step 1: send a one-time code to the phone
+  app.post('/api/login', authIpLimit, async (req, res) => {
+    try {
+      const phone = normalizePhone(req.body.phone);
+      if (!phone) return sendError(res, 400, 'phone_invalid');
+      const out = await issueLoginCode(phone, { locale: req.locale });
+      if (out.error) {
+        res.set('Retry-After', String(out.retryAfter));
+        return sendError(res, out.status, out.error, out.params, { retryAfter: out.retryAfter });
+      }
+      res.json({ ok: true, phone, expiresIn: out.expiresIn });
+    } catch (err) {
+      console.error('POST /api/login error:', err && err.stack || err);
+      serverError(res, err, 'server_error');
+    }
+  });
+
+  // login step 2: exchange the code for an access token and a refresh token (creates the account on first login)
+  app.post('/api/login/verify', authIpLimit, async (req, res) => {
+    try {
+      const phone = normalizePhone(req.body.phone);
+      const code = String(req.body.code || '').trim();
+      if (!phone || !/^\d{6}$/.test(code)) return sendError(res, 400, 'code_required');
+      const locked = await lockoutRemaining(`phone:${phone}`);
+      if (locked) return lockedOut(res, locked);
+
+      const entry = await LoginCode.findOne({ where: { phone, consumedAt: null }, order: [['createdAt', 'DESC']] });
+      if (!entry || entry.expiresAt.getTime() < Date.now()) return sendError(res, 401, 'code_expired');
+      if (!sameHash(entry.codeHash, hashLoginCode(phone, code))) {
+        entry.attempts += 1;
+        if (entry.attempts >= OTP_MAX_ATTEMPTS) entry.consumedAt = new Date();
+        await entry.save();
+        const lock = await recordAuthFailure(`phone:${phone}`);
+        if (lock) return lockedOut(res, lock);
+        return sendError(res, 401, entry.consumedAt ? 'code_burnt' : 'code_invalid');
+      }
+      entry.consumedAt = new Date();
+      await entry.save();
+      await clearAuthFailures(`phone:${phone}`);
+
+      let user = await User.findOne({ where: { phone } });
+      if (user && user.bannedAt) return sendError(res, 403, 'account_suspended');
+      if (!user && entry.legacyUserId) {
+        user = await User.findByPk(entry.legacyUserId);
+        if (user && user.phone) return sendError(res, 409, 'account_linked');
+        if (user) Object.assign(user, { phone, passwordHash: null, passwordSig: null });
+      }
+      if (!user) user = User.build({ phone });
+      user.phoneVerifiedAt = new Date();
+      if (ADMIN_PHONES.map(normalizePhone).includes(phone)) user.role = 'admin';
+      await user.save();
+
+      res.json({ userId: user.id, phone: user.phone, role: user.role, language: user.language, ...await startSession(user, req) });
+    } catch (err) {
+      console.error('POST /api/login/verify error:', err && err.stack || err);
+      serverError(res, err, 'server_error');
+    }
+  });
+
+  // swaps a refresh token for a new access token and a new refresh token; the old one stops working.
+  // An already rotated token showing up again ends the session: someone else has a copy of it.
+  app.post('/api/token/refresh', async (req, res) => {
+    try {
+      const presented = String((req.body && req.body.refreshToken) || '');
+      if (!presented) return sendError(res, 400, 'refresh_required');
+      const hash = sessions.hashRefreshToken(presented);
+      const session = await Session.findOne({ where: { refreshHash: hash } });
+      if (!session) {
+        const replayed = await Session.findOne({ where: { previousHash: hash, revokedAt: null } });
+        if (replayed && Date.now() - replayed.rotatedAt.getTime() > REFRESH_REUSE_GRACE_SECONDS * 1000) {
+          console.warn(`Session ${replayed.id} of user ${replayed.userId} revoked: a rotated refresh token was replayed`);
+          await revokeSessions({ id: replayed.id });
+        }
+        return sendError(res, 401, 'session_expired');
+      }
+      const user = await User.findByPk(session.userId);
+      if (!sessionActive(session) || !user || user.bannedAt) return sendError(res, 401, 'session_expired');
+      const refreshToken = sessions.newRefreshToken();
+      // only if nobody rotated it in the meantime, so two concurrent refreshes can't both succeed
+      const [rotated] = await Session.update(
+        { refreshHash: sessions.hashRefreshToken(refreshToken), previousHash: hash, rotatedAt: new Date(), lastUsedAt: new Date(), ip: req.ip },
+        { where: { id: session.id, refreshHash: hash } }
+      );
+      if (!rotated) return sendError(res, 401, 'session_expired');
+      res.json({ userId: user.id, role: user.role, token: generateToken(user, session), refreshToken, expiresIn: ACCESS_TOKEN_MINUTES * 60 });
+    } catch (err) {
+      console.error('POST /api/token/refresh error:', err && err.stack || err);
+      serverError(res, err, 'server_error');
+    }
+  });
+
+  // ends the caller's session: by access token, or by refresh token once the access token has expired
+  app.post('/api/logout', async (req, res) => {
+    try {
+      const auth = await authFromToken(bearerToken(req));
+      const refreshToken = req.body && req.body.refreshToken;
+      if (auth) await revokeSessions({ id: auth.session.id });
+      else if (refreshToken) await revokeSessions({ refreshHash: sessions.hashRefreshToken(refreshToken) });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('POST /api/logout error:', err && err.stack || err);
+      serverError(res, err, 'server_error');
+    }
+  });
+
+  // the signed-in account (the app checks its stored login with this on start)
+  app.get('/api/me', async (req, res) => {
+    try {
+      const auth = await authFromToken(bearerToken(req));
+      if (!auth) return sendError(res, 401, 'unauthorized');
+      const { user, session } = auth;
+      res.json({
+        userId: user.id,
+        phone: user.phone,
+        role: user.role,
+        displayName: user.displayName,
+        area: user.area,
+        language: user.language,
+        phoneVerified: !!user.phoneVerifiedAt,
+        joinedAt: user.createdAt,
+        sessionId: session.id
+      });
+    } catch (err) {
+      console.error('GET /api/me error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // the caller's signed-in devices, most recently used first
+  app.get('/api/sessions', async (req, res) => {
+    try {
+      const auth = await authFromToken(bearerToken(req));
+      if (!auth) return sendError(res, 401, 'unauthorized');
+      const active = await Session.findAll({
+        where: { userId: auth.user.id, revokedAt: null, lastUsedAt: { [Op.gt]: new Date(Date.now() - SESSION_IDLE_DAYS * 86400000) } },
+        order: [['lastUsedAt', 'DESC']]
+      });
+      res.json({
+        sessions: active.map(s => ({ id: s.id, device: s.device, ip: s.ip, createdAt: s.createdAt, lastUsedAt: s.lastUsedAt, current: s.id === auth.session.id }))
+      });
+    } catch (err) {
+      console.error('GET /api/sessions error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // sign out every other device
+  app.delete('/api/sessions', async (req, res) => {
+    try {
+      const auth = await authFromToken(bearerToken(req));
+      if (!auth) return sendError(res, 401, 'unauthorized');
+      const revoked = await revokeSessions({ userId: auth.user.id, id: { [Op.ne]: auth.session.id } });
+      res.json({ ok: true, revoked });
+    } catch (err) {
+      console.error('DELETE /api/sessions error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // sign out one device (the current one too)
+  app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+      const auth = await authFromToken(bearerToken(req));
+      if (!auth) return sendError(res, 401, 'unauthorized');
+      const session = await Session.findOne({ where: { id: parseInt(req.params.id, 10) || 0, userId: auth.user.id, revokedAt: null } });
+      if (!session) return sendError(res, 404, 'session_not_found');
+      await revokeSessions({ id: session.id });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('DELETE /api/sessions/:id error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // legacy password-only accounts: prove the old password, then verify a phone to link it
+  // (password guesses are not tied to an account, so failures lock out the IP)
+  app.post('/api/login/legacy', authIpLimit, async (req, res) => {
+    try {
+      const { password } = req.body;
+      const phone = normalizePhone(req.body.phone);
+      if (!password || !phone) return sendError(res, 400, 'legacy_required');
+      const locked = await lockoutRemaining(`legacy:${req.ip}`);
+      if (locked) return lockedOut(res, locked);
+      const user = await User.findOne({ where: { passwordSig: makePasswordSig(String(password)) } });
+      const ok = user && user.passwordHash && await bcrypt.compare(String(password), user.passwordHash);
+      if (!ok) {
+        const lock = await recordAuthFailure(`legacy:${req.ip}`);
+        if (lock) return lockedOut(res, lock);
+        return sendError(res, 401, 'password_invalid');
+      }
+      await clearAuthFailures(`legacy:${req.ip}`);
+      if (await User.findOne({ where: { phone } })) return sendError(res, 409, 'phone_has_account');
+
+      const out = await issueLoginCode(phone, { legacyUserId: user.id, locale: req.locale });
+      if (out.error) {
+        res.set('Retry-After', String(out.retryAfter));
+        return sendError(res, out.status, out.error, out.params, { retryAfter: out.retryAfter });
+      }
+      res.json({ ok: true, phone, expiresIn: out.expiresIn });
+    } catch (err) {
+      console.error('POST /api/login/legacy error:', err && err.stack || err);
+      serverError(res, err, 'server_error');
+    }
+  });
+
+  // edit post (owner only): any listing field, status, expiresAt; uploaded photos are added,
+  // removeImageIds=1,2 drops photos and removeImage=1 drops all existing ones first
+  app.patch('/api/posts/:id', postIpLimit, uploadImages, async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+
+      const post = await Post.findByPk(req.params.id);
+      if (!post) return sendError(res, 404, 'post_not_found');
+      if (post.ownerUserId !== user.id) return sendError(res, 403, 'post_edit_forbidden');
+
+      const fields = parseListingFields(req.body, post);
+      if (fields.error) return sendError(res, 400, fields.error, fields.params);
+      const changes = { ...fields.values };
+
+      if (req.body.itemName !== undefined) {
+        const itemName = String(req.body.itemName).trim();
+        if (!itemName) return sendError(res, 400, 'item_name_required');
+        changes.itemName = itemName;
+      }
+      for (const key of ['location', 'phone', 'description']) {
+        if (req.body[key] !== undefined) changes[key] = String(req.body[key]).trim();
+      }
+      if (changes.location !== undefined || 'latitude' in changes) {
+        Object.assign(changes, locateListing(changes.location !== undefined ? changes.location : post.location, changes));
+      }
+
+      if (req.body.expiresAt) {
+        const exp = parseExpiresAt(req.body.expiresAt);
+        if (exp.error) return sendError(res, 400, exp.error, exp.params);
+        changes.expiresAt = exp.value;
+      } else if (changes.neededBy) {
+        changes.expiresAt = changes.neededBy;
+      }
+      if (req.body.status !== undefined) {
+        const status = String(req.body.status);
+        // expiry is the job's call; owners relist by setting active again
+        if (!['active', 'reserved', 'sold'].includes(status)) return sendError(res, 400, 'post_status_invalid');
+        changes.status = status;
+        const expiresAt = changes.expiresAt || post.expiresAt;
+        if (status !== 'sold' && (!expiresAt || expiresAt.getTime() <= Date.now())) {
+          changes.expiresAt = new Date(Date.now() + POST_TTL_DAYS * 86400000);
+        }
+      }
+
+      const existing = await PostImage.findAll({ where: { postId: post.id }, order: [['position', 'ASC'], ['id', 'ASC']] });
+      const removeAll = req.body.removeImage === '1' || req.body.removeImage === 'true';
+      const removeIds = new Set(String(req.body.removeImageIds || '').split(',').filter(Boolean).map(Number));
+      const removed = existing.filter(im => removeAll || removeIds.has(im.id));
+      const files = uploadedFiles(req);
+      if (existing.length - removed.length + files.length > MAX_POST_IMAGES) {
+        return sendError(res, 400, 'too_many_photos', { max: MAX_POST_IMAGES });
+      }
+      if (files.some(f => !images.sniffImageType(f.buffer))) return sendError(res, 400, 'photo_type');
+      if (files.length) {
+        const quota = await consumePostQuota(user, 0, files.length);
+        if (quota.error) return tooManyRequests(res, quota.retryAfter, quota.error, quota.params);
+      }
+      const photos = await storeImages(files);
+      if (photos.error) {
+        await refundPostQuota(user, 0, files.length);
+        return sendError(res, 400, photos.error, photos.params);
+      }
+
+      const before = { status: post.status };
+      for (const key of PRICE_FIELDS) before[key] = post[key];
+      try {
+        await post.update(changes);
+        const next = existing.length ? existing[existing.length - 1].position + 1 : 0;
+        await PostImage.bulkCreate(photos.stored.map((im, i) => ({ ...im, position: next + i, postId: post.id })));
+      } catch (err) {
+        removeStoredImages(photos.stored);
+        throw err;
+      }
+      if (removed.length) {
+        await PostImage.destroy({ where: { id: removed.map(im => im.id) } });
+        removeStoredImages(removed);
+      }
+      // posts from before photos were re-encoded keep their original file as the cover
+      const legacyImage = !post.thumb && !existing.length ? post.image : null;
+      if (legacyImage && (removeAll || photos.stored.length)) removeUploadFile(legacyImage);
+      if (!legacyImage || removeAll || photos.stored.length) await setCover(post);
+
+      const out = await postWithImages(post, req);
+      await publishPostChange(out);
+      matchNewPost(post, out).catch(err => console.error('Request matching error:', err && err.stack || err));
+      const priceSource = post.status === 'sold' && before.status !== 'sold' ? 'sold'
+        : PRICE_FIELDS.some(key => post[key] !== before[key]) ? 'edited' : null;
+      if (priceSource) recordPriceObservation(post, priceSource).catch(err => console.error('Price index error:', err && err.stack || err));
+      res.json(out);
+    } catch (err) {
+      console.error('PATCH /api/posts/:id error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // inbox: conversations the user takes part in, newest activity first
+  app.get('/api/conversations', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const convs = await Conversation.findAll({
+        where: { [Op.or]: [{ buyerUserId: user.id }, { sellerUserId: user.id }] },
+        order: [['lastMessageAt', 'DESC'], ['id', 'DESC']],
+        limit: 50
+      });
+      const conversations = [];
+      for (const conv of convs) conversations.push(await conversationSummary(conv, user.id, req));
+      res.json({ conversations, unread: conversations.reduce((n, c) => n + c.unread, 0) });
+    } catch (err) {
+      console.error('GET /api/conversations error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // start (or reopen) the caller's conversation with the seller of a post; optional first message
+  app.post('/api/posts/:id/conversations', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const post = await Post.findByPk(req.params.id);
+      if (!post || !(await visibleTo(post, user))) return sendError(res, 404, 'post_not_found');
+      if (post.ownerUserId === user.id) return sendError(res, 400, 'message_self');
+
+      // findOrCreate would run in a transaction on a second SQLite connection; the unique index covers races
+      const where = { postId: post.id, buyerUserId: user.id };
+      let conv = await Conversation.findOne({ where });
+      if (!conv) {
+        try {
+          conv = await Conversation.create({ ...where, sellerUserId: post.ownerUserId, subject: post.itemName });
+        } catch (err) {
+          if (!(err instanceof Sequelize.UniqueConstraintError)) throw err;
+          conv = await Conversation.findOne({ where });
+        }
+      }
+      if (req.body && req.body.body) {
+        const out = await deliverMessage(conv, user, req.body.body);
+        if (out.error) return sendError(res, 400, out.error, out.params);
+      }
+      res.json(await conversationSummary(conv, user.id, req));
+    } catch (err) {
+      console.error('POST /api/posts/:id/conversations error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // message history, newest page first; ?before=<message id> for older pages
+  app.get('/api/conversations/:id/messages', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const conv = await Conversation.findByPk(req.params.id);
+      if (!conv || !isParticipant(conv, user.id)) return sendError(res, 404, 'conversation_not_found');
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
+      const where = { conversationId: conv.id };
+      if (req.query.before) {
+        if (!/^\d+$/.test(String(req.query.before))) return sendError(res, 400, 'before_invalid');
+        where.id = { [Op.lt]: parseInt(req.query.before, 10) };
+      }
+      const rows = await Message.findAll({ where, order: [['id', 'DESC']], limit: limit + 1, raw: true });
+      const messages = rows.slice(0, limit).reverse();
+      res.json({ conversation: await conversationSummary(conv, user.id, req), messages, hasMore: rows.length > limit });
+    } catch (err) {
+      console.error('GET /api/conversations/:id/messages error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // send a message (same as the send_message socket event)
+  app.post('/api/conversations/:id/messages', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const conv = await Conversation.findByPk(req.params.id);
+      if (!conv || !isParticipant(conv, user.id)) return sendError(res, 404, 'conversation_not_found');
+      const out = await deliverMessage(conv, user, req.body && req.body.body);
+      if (out.error) return sendError(res, 400, out.error, out.params);
+      res.json(out.message);
+    } catch (err) {
+      console.error('POST /api/conversations/:id/messages error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // mark the other participant's messages as read (same as the mark_read socket event)
+  app.post('/api/conversations/:id/read', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const conv = await Conversation.findByPk(req.params.id);
+      if (!conv || !isParticipant(conv, user.id)) return sendError(res, 404, 'conversation_not_found');
+      res.json(await markConversationRead(conv, user));
+    } catch (err) {
+      console.error('POST /api/conversations/:id/read error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // rate the seller after a completed deal (see reviewBlocker); one review per conversation
+  const REVIEW_COMMENT_MAX = 500;
+  app.post('/api/conversations/:id/review', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const conv = await Conversation.findByPk(req.params.id);
+      if (!conv || !isParticipant(conv, user.id)) return sendError(res, 404, 'conversation_not_found');
+      const rating = Number(req.body && req.body.rating);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) return sendError(res, 400, 'rating_invalid');
+      const comment = String(req.body.comment || '').trim();
+      if (comment.length > REVIEW_COMMENT_MAX) return sendError(res, 400, 'review_too_long', { max: REVIEW_COMMENT_MAX });
+
+      const post = conv.postId ? await Post.findByPk(conv.postId) : null;
+      const blocker = await reviewBlocker(conv, post, user.id);
+      if (blocker) return sendError(res, 403, blocker);
+      let review;
+      try {
+        review = await Review.create({ conversationId: conv.id, reviewerUserId: user.id, sellerUserId: dealParties(conv, post).sellerId, rating, comment: comment || null });
+      } catch (err) {
+        if (err instanceof Sequelize.UniqueConstraintError) return sendError(res, 409, 'review_duplicate');
+        throw err;
+      }
+      // listings carry the seller's rating
+      publishOwnerPosts(review.sellerUserId).catch(err => console.error('Post change error:', err && err.stack || err));
+      res.status(201).json(review.get({ plain: true }));
+    } catch (err) {
+      console.error('POST /api/conversations/:id/review error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // public seller profile: details, listing counts, rating and the latest reviews
+  const PROFILE_REVIEWS = 20;
+  app.get('/api/users/:id', async (req, res) => {
+    try {
+      const user = /^\d+$/.test(req.params.id) ? await User.findByPk(req.params.id) : null;
+      const viewer = await verifyTokenFromHeader(req);
+      if (!user || (user.bannedAt && !isModerator(viewer))) return sendError(res, 404, 'user_not_found');
+      const profile = (await sellerSummaries([user.id])).get(user.id);
+      const listed = { ownerUserId: user.id, hiddenAt: null };
+      profile.activeListings = await Post.count({ where: { ...listed, status: ['active', 'reserved'] } });
+      profile.soldListings = await Post.count({ where: { ...listed, status: 'sold' } });
+
+      const reviews = await Review.findAll({ where: { sellerUserId: user.id }, order: [['createdAt', 'DESC'], ['id', 'DESC']], limit: PROFILE_REVIEWS, raw: true });
+      const reviewers = await sellerSummaries(reviews.map(r => r.reviewerUserId));
+      const subjects = new Map((await Conversation.findAll({
+        where: { id: reviews.map(r => r.conversationId) }, attributes: ['id', 'subject'], raw: true
+      })).map(c => [c.id, c.subject]));
+      profile.reviews = reviews.map(r => ({
+        id: r.id,
+        rating: r.rating,
+        comment: r.comment,
+        item: subjects.get(r.conversationId) || null,
+        reviewer: { id: r.reviewerUserId, displayName: reviewers.has(r.reviewerUserId) ? reviewers.get(r.reviewerUserId).displayName : null },
+        createdAt: new Date(r.createdAt)
+      }));
+      res.json(profile);
+    } catch (err) {
+      console.error('GET /api/users/:id error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // edit the caller's own profile (displayName, area) and app language
+  app.patch('/api/users/me', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const parsed = parseProfile(req.body || {});
+      if (parsed.error) return sendError(res, 400, parsed.error, parsed.params);
+      await user.update(parsed.values);
+      if ('displayName' in parsed.values || 'area' in parsed.values) {
+        publishOwnerPosts(user.id).catch(err => console.error('Post change error:', err && err.stack || err));
+      }
+      res.json({ ...(await sellerSummaries([user.id])).get(user.id), language: user.language });
+    } catch (err) {
+      console.error('PATCH /api/users/me error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // Channels. Public ones can be read by anyone and joined freely; private ones are read by their
+  // members only, who join with the invite code. Channel admins edit the channel, manage members
+  // and can delete any listing in it.
+  const CHANNEL_NAME_MAX = 60;
+  const CHANNEL_DESCRIPTION_MAX = 300;
+  const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I: codes get read out over the phone
+  function newInviteCode() {
+    let code = '';
+    for (let i = 0; i < 8; i++) code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+    return code;
+  }
+  // "Nakuru Maize Growers" -> "nakuru-maize-growers", numbered when taken; never all digits (ids) or "all"
+  async function channelSlug(name) {
+    let base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40).replace(/-+$/, '') || 'channel';
+    if (/^\d+$/.test(base) || base === 'all') base = `channel-${base}`;
+    for (let n = 1; ; n++) {
+      const slug = n === 1 ? base : `${base}-${n}`;
+      if (!(await Channel.count({ where: { slug } }))) return slug;
+    }
+  }
+  // validates name/description/county/visibility from a request body; with `current` (PATCH) absent
+  // keys are left alone. Returns { error } or { values }.
+  function parseChannel(body, current = null) {
+    const values = {};
+    const clean = (v) => String(v || '').replace(/[\u0000-\u001f\u007f]/g, ' ').trim().replace(/\s+/g, ' ');
+    if (!current || body.name !== undefined) {
+      const name = clean(body.name);
+      if (name.length < 3) return { error: 'channel_name_too_short' };
+      if (name.length > CHANNEL_NAME_MAX) return { error: 'channel_name_too_long', params: { max: CHANNEL_NAME_MAX } };
+      values.name = name;
+    }
+    if (body.description !== undefined) {
+      const description = clean(body.description);
+      if (description.length > CHANNEL_DESCRIPTION_MAX) return { error: 'channel_description_too_long', params: { max: CHANNEL_DESCRIPTION_MAX } };
+      values.description = description || null;
+    }
+    if (body.county !== undefined) {
+      const county = body.county ? gazetteer.COUNTIES.find(([name]) => gazetteer.normalize(name) === gazetteer.normalize(String(body.county))) : null;
+      if (body.county && !county) return { error: 'unknown_county' };
+      values.county = county ? county[0] : null;
+    }
+    if (body.visibility !== undefined && body.visibility !== '') {
+      if (!['public', 'private'].includes(String(body.visibility))) return { error: 'channel_visibility_invalid' };
+      values.visibility = String(body.visibility);
+    }
+    return { values };
+  }
+  // API shape of a channel for one viewer; the invite code only for those who manage it
+  function serializeChannel(channel, access, memberCount) {
+    const isDefault = channel.id === defaultChannel.id;
+    return {
+      id: channel.id,
+      slug: channel.slug,
+      name: channel.name,
+      description: channel.description,
+      county: channel.county,
+      visibility: channel.visibility,
+      isDefault,
+      memberCount: isDefault ? null : memberCount,
+      role: access.role,
+      canPost: access.post,
+      canManage: access.admin,
+      inviteCode: access.admin ? channel.inviteCode : null,
+      createdAt: channel.createdAt
+    };
+  }
+  async function memberCounts(channelIds) {
+    const rows = await ChannelMember.findAll({
+      where: { channelId: channelIds },
+      attributes: ['channelId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['channelId'],
+      raw: true
+    });
+    return new Map(rows.map(r => [r.channelId, Number(r.count)]));
+  }
+  async function channelOut(channel, user) {
+    return serializeChannel(channel, await channelAccess(channel, user), (await memberCounts([channel.id])).get(channel.id) || 0);
+  }
+  // resolves :key for a signed-in caller who can read the channel (and manage it with `manage`);
+  // otherwise sends 401/404/403 and resolves to null
+  async function requireChannel(req, res, { manage = false } = {}) {
+    const user = await verifyTokenFromHeader(req);
+    if (!user) { sendError(res, 401, 'unauthorized'); return null; }
+    const channel = await findChannel(req.params.key);
+    const access = channel ? await channelAccess(channel, user) : null;
+    if (!channel || !access.read) { sendError(res, 404, 'channel_not_found'); return null; }
+    if (manage && !access.admin) { sendError(res, 403, 'channel_admin_only'); return null; }
+    return { user, channel, access };
+  }
+  // findOrCreate would run in a transaction on a second SQLite connection; the unique index covers races
+  async function addMember(channel, user) {
+    const where = { channelId: channel.id, userId: user.id };
+    let member = await ChannelMember.findOne({ where });
+    if (!member) {
+      try {
+        member = await ChannelMember.create(where);
+      } catch (err) {
+        if (!(err instanceof Sequelize.UniqueConstraintError)) throw err;
+        member = await ChannelMember.findOne({ where });
+      }
+    }
+    return member;
+  }
+  // a channel with members must keep an admin
+  async function lastAdminLeaving(member) {
+    if (member.role !== 'admin') return false;
+    const admins = await ChannelMember.count({ where: { channelId: member.channelId, role: 'admin' } });
+    const members = await ChannelMember.count({ where: { channelId: member.channelId } });
+    return admins === 1 && members > 1;
+  }
+
+  // channels the caller can see: DEFAULT_CHANNEL first, then the ones they belong to, then other public ones
+  app.get('/api/channels', async (req, res) => {
+    try {
+      const viewer = await verifyTokenFromHeader(req);
+      const memberships = viewer ? await ChannelMember.findAll({ where: { userId: viewer.id }, raw: true }) : [];
+      const byChannel = new Map(memberships.map(m => [m.channelId, m]));
+      const channels = await Channel.findAll({
+        where: { [Op.or]: [{ visibility: 'public' }, { id: [...byChannel.keys()] }] },
+        order: [['name', 'ASC'], ['id', 'ASC']]
+      });
+      const counts = await memberCounts(channels.map(c => c.id));
+      const out = channels.map(c => serializeChannel(c, accessFor(c, viewer, byChannel.get(c.id)), counts.get(c.id) || 0));
+      const rank = (c) => c.isDefault ? 0 : c.role ? 1 : 2;
+      out.sort((a, b) => rank(a) - rank(b));
+      res.json({ channels: out });
+    } catch (err) {
+      console.error('GET /api/channels error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // create a channel: name, description, county, visibility (public | private); the creator is its admin
+  app.post('/api/channels', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const parsed = parseChannel(req.body || {});
+      if (parsed.error) return sendError(res, 400, parsed.error, parsed.params);
+      if (await Channel.count({ where: { createdByUserId: user.id } }) >= MAX_CHANNELS_PER_USER) {
+        return sendError(res, 403, 'channel_limit', { max: MAX_CHANNELS_PER_USER });
+      }
+      let channel;
+      for (let attempt = 0; !channel; attempt++) {
+        try {
+          channel = await Channel.create({ ...parsed.values, slug: await channelSlug(parsed.values.name), inviteCode: newInviteCode(), createdByUserId: user.id });
+        } catch (err) {
+          // slug taken by a concurrent create, or an invite code collision
+          if (!(err instanceof Sequelize.UniqueConstraintError) || attempt >= 2) throw err;
+        }
+      }
+      await ChannelMember.create({ channelId: channel.id, userId: user.id, role: 'admin' });
+      res.status(201).json(await channelOut(channel, user));
+    } catch (err) {
+      console.error('POST /api/channels error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // join a channel with its invite code (private or public)
+  app.post('/api/channels/join', inviteIpLimit, async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const code = String((req.body && req.body.inviteCode) || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+      const channel = code ? await Channel.findOne({ where: { inviteCode: code } }) : null;
+      if (!channel) return sendError(res, 404, 'invite_code_unknown');
+      await addMember(channel, user);
+      res.json(await channelOut(channel, user));
+    } catch (err) {
+      console.error('POST /api/channels/join error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  app.get('/api/channels/:key', async (req, res) => {
+    try {
+      const channel = await findChannel(req.params.key);
+      const viewer = await verifyTokenFromHeader(req);
+      if (!channel || !(await channelAccess(channel, viewer)).read) return sendError(res, 404, 'channel_not_found');
+      res.json(await channelOut(channel, viewer));
+    } catch (err) {
+      console.error('GET /api/channels/:key error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // edit a channel (admins): name, description, county, visibility
+  app.patch('/api/channels/:key', async (req, res) => {
+    try {
+      const found = await requireChannel(req, res, { manage: true });
+      if (!found) return;
+      const { user, channel } = found;
+      const parsed = parseChannel(req.body || {}, channel);
+      if (parsed.error) return sendError(res, 400, parsed.error, parsed.params);
+      if (channel.id === defaultChannel.id && parsed.values.visibility === 'private') return sendError(res, 400, 'channel_open_public');
+      const wasPublic = channel.visibility === 'public';
+      await channel.update(parsed.values);
+      if (wasPublic && channel.visibility === 'private') await enforceChannelRoom(channel);
+      res.json(await channelOut(channel, user));
+    } catch (err) {
+      console.error('PATCH /api/channels/:key error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // join a public channel
+  app.post('/api/channels/:key/join', async (req, res) => {
+    try {
+      const found = await requireChannel(req, res);
+      if (!found) return;
+      const { user, channel } = found;
+      if (channel.visibility === 'private' && !found.access.role) {
+        return sendError(res, 403, 'channel_private');
+      }
+      if (channel.id !== defaultChannel.id) await addMember(channel, user);
+      res.json(await channelOut(channel, user));
+    } catch (err) {
+      console.error('POST /api/channels/:key/join error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  app.post('/api/channels/:key/leave', async (req, res) => {
+    try {
+      const found = await requireChannel(req, res);
+      if (!found) return;
+      const { user, channel } = found;
+      if (channel.id === defaultChannel.id) return sendError(res, 400, 'channel_open_leave');
+      const member = await ChannelMember.findOne({ where: { channelId: channel.id, userId: user.id } });
+      if (!member) return sendError(res, 400, 'channel_not_member');
+      if (await lastAdminLeaving(member)) return sendError(res, 400, 'channel_last_admin');
+      await member.destroy();
+      await enforceChannelRoom(channel);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('POST /api/channels/:key/leave error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // members (members, moderators and site admins only): admins first, then by join date
+  const CHANNEL_MEMBERS_MAX = 500;
+  app.get('/api/channels/:key/members', async (req, res) => {
+    try {
+      const found = await requireChannel(req, res);
+      if (!found) return;
+      if (!found.access.role && !isModerator(found.user)) return sendError(res, 403, 'channel_members_forbidden');
+      const rows = await ChannelMember.findAll({
+        where: { channelId: found.channel.id },
+        order: [['role', 'ASC'], ['createdAt', 'ASC'], ['id', 'ASC']],
+        limit: CHANNEL_MEMBERS_MAX,
+        raw: true
+      });
+      const people = await sellerSummaries(rows.map(m => m.userId));
+      res.json({
+        members: rows.map(m => {
+          const p = people.get(m.userId);
+          return { userId: m.userId, displayName: p ? p.displayName : null, area: p ? p.area : null, role: m.role, joinedAt: new Date(m.createdAt) };
+        })
+      });
+    } catch (err) {
+      console.error('GET /api/channels/:key/members error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // change a member's role (admins): { role: member | admin }
+  app.patch('/api/channels/:key/members/:userId', async (req, res) => {
+    try {
+      const found = await requireChannel(req, res, { manage: true });
+      if (!found) return;
+      const role = String((req.body && req.body.role) || '');
+      if (!CHANNEL_ROLES.includes(role)) return sendError(res, 400, 'channel_role_invalid', { roles: CHANNEL_ROLES.join(', ') });
+      const member = await ChannelMember.findOne({ where: { channelId: found.channel.id, userId: parseInt(req.params.userId, 10) || 0 } });
+      if (!member) return sendError(res, 404, 'member_not_found');
+      if (role === 'member' && member.role === 'admin' && await ChannelMember.count({ where: { channelId: found.channel.id, role: 'admin' } }) === 1) {
+        return sendError(res, 400, 'channel_needs_admin');
+      }
+      await member.update({ role });
+      res.json({ userId: member.userId, role: member.role });
+    } catch (err) {
+      console.error('PATCH /api/channels/:key/members/:userId error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // remove a member (admins); their listings stay in the channel
+  app.delete('/api/channels/:key/members/:userId', async (req, res) => {
+    try {
+      const found = await requireChannel(req, res, { manage: true });
+      if (!found) return;
+      const member = await ChannelMember.findOne({ where: { channelId: found.channel.id, userId: parseInt(req.params.userId, 10) || 0 } });
+      if (!member) return sendError(res, 404, 'member_not_found');
+      if (await lastAdminLeaving(member)) return sendError(res, 400, 'channel_needs_admin');
+      await member.destroy();
+      await enforceChannelRoom(found.channel);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('DELETE /api/channels/:key/members/:userId error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // new invite code (admins); the old one stops working
+  app.post('/api/channels/:key/invite', async (req, res) => {
+    try {
+      const found = await requireChannel(req, res, { manage: true });
+      if (!found) return;
+      await found.channel.update({ inviteCode: newInviteCode() });
+      res.json({ inviteCode: found.channel.inviteCode });
+    } catch (err) {
+      console.error('POST /api/channels/:key/invite error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // saved searches (alert rules) of the caller
+  app.get('/api/alerts', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const rules = await SavedSearch.findAll({ where: { userId: user.id }, order: [['id', 'ASC']] });
+      res.json({ alerts: rules.map(serializeSavedSearch) });
+    } catch (err) {
+      console.error('GET /api/alerts error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // save a search: any of commodity (slug), keywords (or q), location, maxPrice (+ currency)
+  app.post('/api/alerts', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const parsed = parseSavedSearch(req.body || {});
+      if (parsed.error) return sendError(res, 400, parsed.error, parsed.params);
+      if (await SavedSearch.count({ where: { userId: user.id } }) >= MAX_ALERTS_PER_USER) {
+        return sendError(res, 400, 'alert_limit', { max: MAX_ALERTS_PER_USER });
+      }
+      const rule = await SavedSearch.create({ ...parsed.values, userId: user.id });
+      res.status(201).json(serializeSavedSearch(rule));
+    } catch (err) {
+      console.error('POST /api/alerts error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  app.get('/api/alerts/prefs', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      res.json(serializePrefs(await notificationPrefs(user.id)));
+    } catch (err) {
+      console.error('GET /api/alerts/prefs error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // notification preferences: sound (bool), quietStart/quietEnd ("HH:MM", blank clears),
+  // timezone (IANA name), digest (off | hourly | daily); absent keys are left alone
+  app.patch('/api/alerts/prefs', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const body = req.body || {};
+      const changes = {};
+      if (body.sound !== undefined) changes.sound = body.sound === true || body.sound === 'true' || body.sound === '1';
+      for (const key of ['quietStart', 'quietEnd']) {
+        if (body[key] === undefined) continue;
+        const value = body[key] === null ? '' : String(body[key]).trim();
+        if (value && !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) return sendError(res, 400, 'quiet_hours_invalid');
+        changes[key] = value || null;
+      }
+      if (body.timezone !== undefined) {
+        if (!alerts.isValidTimeZone(String(body.timezone))) return sendError(res, 400, 'timezone_invalid');
+        changes.timezone = String(body.timezone);
+      }
+      if (body.digest !== undefined) {
+        if (!(String(body.digest) in alerts.DIGEST_INTERVALS)) return sendError(res, 400, 'digest_invalid', { options: Object.keys(alerts.DIGEST_INTERVALS).join(', ') });
+        changes.digest = String(body.digest);
+      }
+
+      let prefs = await NotificationPref.findOne({ where: { userId: user.id } });
+      if (prefs) {
+        await prefs.update(changes);
+      } else {
+        try {
+          prefs = await NotificationPref.create({ ...changes, userId: user.id });
+        } catch (err) {
+          if (!(err instanceof Sequelize.UniqueConstraintError)) throw err;
+          prefs = await NotificationPref.findOne({ where: { userId: user.id } });
+          await prefs.update(changes);
+        }
+      }
+      // leaving digest mode releases whatever was held
+      if (changes.digest === 'off') deliverHeldAlerts(user.id).catch(err => console.error('Alert delivery error:', err && err.stack || err));
+      res.json(serializePrefs(prefs));
+    } catch (err) {
+      console.error('PATCH /api/alerts/prefs error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  app.delete('/api/alerts/:id', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const rule = await SavedSearch.findByPk(req.params.id);
+      if (!rule || rule.userId !== user.id) return sendError(res, 404, 'alert_not_found');
+      await rule.destroy();
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('DELETE /api/alerts/:id error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // report a listing to the moderators: reason (see REPORT_REASONS) and optional details
+  app.post('/api/posts/:id/report', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+      const post = await Post.findByPk(req.params.id);
+      if (!post || !(await visibleTo(post, user))) return sendError(res, 404, 'post_not_found');
+      if (post.ownerUserId === user.id) return sendError(res, 400, 'report_own');
+      const reason = String((req.body && req.body.reason) || '');
+      if (!REPORT_REASONS.includes(reason)) return sendError(res, 400, 'report_reason_invalid', { reasons: REPORT_REASONS.join(', ') });
+      const details = String(req.body.details || '').trim().slice(0, 1000) || null;
+
+      let report;
+      try {
+        report = await Report.create({ postId: post.id, reporterUserId: user.id, reason, details });
+      } catch (err) {
+        if (!(err instanceof Sequelize.UniqueConstraintError)) throw err;
+        return sendError(res, 409, 'report_duplicate');
+      }
+      io.to('moderators').emit('report_created', { id: report.id, postId: post.id, reason });
+      res.status(201).json({ ok: true });
+    } catch (err) {
+      console.error('POST /api/posts/:id/report error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // Moderation (moderators and admins). Every change is written to AuditLog.
+
+  // report queue: one entry per reported post, most reported first; ?status=open|resolved|dismissed
+  app.get('/api/mod/reports', async (req, res) => {
+    try {
+      const mod = await requireModerator(req, res);
+      if (!mod) return;
+      const status = String(req.query.status || 'open');
+      if (!['open', 'resolved', 'dismissed'].includes(status)) return sendError(res, 400, 'status_invalid');
+      const reports = await Report.findAll({ where: { status }, order: [['createdAt', 'ASC']], limit: 500, raw: true });
+      const byPost = new Map();
+      for (const r of reports) {
+        if (!byPost.has(r.postId)) byPost.set(r.postId, []);
+        byPost.get(r.postId).push({ id: r.id, reason: r.reason, details: r.details, reporterUserId: r.reporterUserId, createdAt: r.createdAt });
+      }
+      const posts = await Post.findAll({ where: { id: [...byPost.keys()] }, raw: true });
+      const owners = new Map((await User.findAll({ where: { id: posts.map(p => p.ownerUserId) } })).map(u => [u.id, u]));
+      const queue = posts.map(p => ({
+        post: serializePost(p, req),
+        owner: owners.has(p.ownerUserId) ? serializeModUser(owners.get(p.ownerUserId)) : null,
+        reports: byPost.get(p.id)
+      }));
+      queue.sort((a, b) => b.reports.length - a.reports.length || new Date(a.reports[0].createdAt) - new Date(b.reports[0].createdAt));
+      res.json({ queue });
+    } catch (err) {
+      console.error('GET /api/mod/reports error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // hidden posts, most recently hidden first
+  app.get('/api/mod/posts/hidden', async (req, res) => {
+    try {
+      const mod = await requireModerator(req, res);
+      if (!mod) return;
+      const posts = await Post.findAll({ where: { hiddenAt: { [Op.ne]: null } }, order: [['hiddenAt', 'DESC']], limit: 100, raw: true });
+      res.json({ posts: posts.map(p => serializePost(p, req)) });
+    } catch (err) {
+      console.error('GET /api/mod/posts/hidden error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // hide a post (optional reason); its open reports are resolved
+  app.post('/api/mod/posts/:id/hide', async (req, res) => {
+    try {
+      const mod = await requireModerator(req, res);
+      if (!mod) return;
+      const post = await Post.findByPk(req.params.id);
+      if (!post) return sendError(res, 404, 'post_not_found');
+      const reason = String((req.body && req.body.reason) || '').trim().slice(0, 255) || null;
+      await post.update({ hiddenAt: post.hiddenAt || new Date(), hiddenReason: reason });
+      const [resolved] = await Report.update({ status: 'resolved', resolvedByUserId: mod.id, resolvedAt: new Date() }, { where: { postId: post.id, status: 'open' } });
+      await audit(mod, 'post.hide', 'post', post.id, { reason, reportsResolved: resolved });
+      const out = await postWithImages(post, req);
+      await publishPostChange(out);
+      res.json(out);
+    } catch (err) {
+      console.error('POST /api/mod/posts/:id/hide error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  app.post('/api/mod/posts/:id/restore', async (req, res) => {
+    try {
+      const mod = await requireModerator(req, res);
+      if (!mod) return;
+      const post = await Post.findByPk(req.params.id);
+      if (!post) return sendError(res, 404, 'post_not_found');
+      if (!post.hiddenAt) return sendError(res, 400, 'post_not_hidden');
+      await post.update({ hiddenAt: null, hiddenReason: null });
+      await audit(mod, 'post.restore', 'post', post.id);
+      const out = await postWithImages(post, req);
+      await publishPostChange(out);
+      res.json(out);
+    } catch (err) {
+      console.error('POST /api/mod/posts/:id/restore error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // close a post's open reports without acting on the post
+  app.post('/api/mod/posts/:id/dismiss', async (req, res) => {
+    try {
+      const mod = await requireModerator(req, res);
+      if (!mod) return;
+      const post = await Post.findByPk(req.params.id);
+      if (!post) return sendError(res, 404, 'post_not_found');
+      const [dismissed] = await Report.update({ status: 'dismissed', resolvedByUserId: mod.id, resolvedAt: new Date() }, { where: { postId: post.id, status: 'open' } });
+      if (dismissed) await audit(mod, 'report.dismiss', 'post', post.id, { reports: dismissed });
+      res.json({ ok: true, dismissed });
+    } catch (err) {
+      console.error('POST /api/mod/posts/:id/dismiss error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // look a user up by ?phone= or ?id=
+  app.get('/api/mod/users', async (req, res) => {
+    try {
+      const mod = await requireModerator(req, res);
+      if (!mod) return;
+      let where;
+      if (req.query.id && /^\d+$/.test(String(req.query.id))) where = { id: parseInt(req.query.id, 10) };
+      else if (normalizePhone(req.query.phone)) where = { phone: normalizePhone(req.query.phone) };
+      else return sendError(res, 400, 'user_required');
+      const user = await User.findOne({ where });
+      if (!user) return sendError(res, 404, 'user_not_found');
+      const reported = await Report.count({ include: [{ model: Post, where: { ownerUserId: user.id }, attributes: [] }] });
+      res.json({ ...serializeModUser(user), posts: await Post.count({ where: { ownerUserId: user.id } }), reportsAgainst: reported });
+    } catch (err) {
+      console.error('GET /api/mod/users error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // ban (optional reason) / unban. Moderators can only ban members; admins anyone but other admins.
+  app.post('/api/mod/users/:id/ban', async (req, res) => {
+    try {
+      const mod = await requireModerator(req, res);
+      if (!mod) return;
+      const user = await User.findByPk(req.params.id);
+      if (!user) return sendError(res, 404, 'user_not_found');
+      if (user.id === mod.id) return sendError(res, 400, 'ban_self');
+      if (user.role === 'admin' || (user.role === 'moderator' && mod.role !== 'admin')) return sendError(res, 403, 'ban_forbidden');
+      const reason = String((req.body && req.body.reason) || '').trim().slice(0, 255) || null;
+      await user.update({ bannedAt: user.bannedAt || new Date(), banReason: reason });
+      await audit(mod, 'user.ban', 'user', user.id, { reason });
+      // an unban shouldn't quietly bring the old logins back
+      await revokeSessions({ userId: user.id });
+      io.in(`user:${user.id}`).disconnectSockets(true);
+      await publishOwnerPosts(user.id);
+      res.json(serializeModUser(user));
+    } catch (err) {
+      console.error('POST /api/mod/users/:id/ban error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  app.post('/api/mod/users/:id/unban', async (req, res) => {
+    try {
+      const mod = await requireModerator(req, res);
+      if (!mod) return;
+      const user = await User.findByPk(req.params.id);
+      if (!user) return sendError(res, 404, 'user_not_found');
+      if (!user.bannedAt) return sendError(res, 400, 'user_not_banned');
+      await user.update({ bannedAt: null, banReason: null });
+      await audit(mod, 'user.unban', 'user', user.id);
+      await publishOwnerPosts(user.id);
+      res.json(serializeModUser(user));
+    } catch (err) {
+      console.error('POST /api/mod/users/:id/unban error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // change a user's role (admins only)
+  app.post('/api/mod/users/:id/role', async (req, res) => {
+    try {
+      const admin = await requireModerator(req, res, { adminOnly: true });
+      if (!admin) return;
+      const role = String((req.body && req.body.role) || '');
+      if (!USER_ROLES.includes(role)) return sendError(res, 400, 'role_invalid', { roles: USER_ROLES.join(', ') });
+      const user = await User.findByPk(req.params.id);
+      if (!user) return sendError(res, 404, 'user_not_found');
+      if (user.id === admin.id) return sendError(res, 400, 'role_self');
+      const from = user.role;
+      await user.update({ role });
+      if (from !== role) await audit(admin, 'user.role', 'user', user.id, { from, to: role });
+      res.json(serializeModUser(user));
+    } catch (err) {
+      console.error('POST /api/mod/users/:id/role error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // audit log, newest first; ?before=<id> for older entries, ?targetType=&targetId= to narrow
+  app.get('/api/mod/audit', async (req, res) => {
+    try {
+      const mod = await requireModerator(req, res);
+      if (!mod) return;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const where = {};
+      if (req.query.before) {
+        if (!/^\d+$/.test(String(req.query.before))) return sendError(res, 400, 'before_invalid');
+        where.id = { [Op.lt]: parseInt(req.query.before, 10) };
+      }
+      if (req.query.targetType) where.targetType = String(req.query.targetType);
+      if (req.query.targetId) where.targetId = parseInt(req.query.targetId, 10) || 0;
+      const rows = await AuditLog.findAll({ where, order: [['id', 'DESC']], limit: limit + 1 });
+      res.json({ entries: rows.slice(0, limit).map(r => r.get({ plain: true })), hasMore: rows.length > limit });
+    } catch (err) {
+      console.error('GET /api/mod/audit error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // webhook admin (admins only). The secret is shown once, when the webhook is created or its
+  // secret rotated.
+  function serializeWebhook(hook, stats = null, { secret = false } = {}) {
+    const out = {
+      id: hook.id,
+      url: hook.url,
+      events: hook.events === '*' ? '*' : hook.events.split(','),
+      channel: hook.Channel ? { id: hook.Channel.id, slug: hook.Channel.slug, name: hook.Channel.name } : null,
+      description: hook.description,
+      active: hook.active,
+      createdByUserId: hook.createdByUserId,
+      createdAt: hook.createdAt,
+      updatedAt: hook.updatedAt
+    };
+    if (stats) out.deliveries = stats;
+    if (secret) out.secret = hook.secret;
+    return out;
+  }
+  function serializeDelivery(d) {
+    let payload = null;
+    try { payload = JSON.parse(d.payload); } catch (e) {}
+    return {
+      id: d.id, webhookId: d.webhookId, event: d.event, eventId: d.eventId, status: d.status, attempts: d.attempts,
+      nextAttemptAt: d.nextAttemptAt, lastAttemptAt: d.lastAttemptAt, responseStatus: d.responseStatus, lastError: d.lastError,
+      deliveredAt: d.deliveredAt, redeliveryOf: d.redeliveryOf, createdAt: d.createdAt, payload
+    };
+  }
+  // { webhookId: { pending, delivered, failed } } from the delivery log
+  async function deliveryStats(ids) {
+    const out = {};
+    for (const id of ids) out[id] = { pending: 0, delivered: 0, failed: 0 };
+    if (!ids.length) return out;
+    const rows = await WebhookDelivery.findAll({
+      where: { webhookId: ids },
+      attributes: ['webhookId', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['webhookId', 'status'],
+      raw: true
+    });
+    for (const r of rows) out[r.webhookId][r.status] = Number(r.count);
+    return out;
+  }
+  // webhook fields from a create/update body: { value } or { error }. With `partial`, fields
+  // the body leaves out are left out too.
+  async function parseWebhook(body, { partial = false } = {}) {
+    const b = body || {};
+    const value = {};
+    if (!partial || b.url !== undefined) {
+      const url = webhooks.parseUrl(b.url);
+      if (url.error) return url;
+      value.url = url.value;
+    }
+    if (!partial || b.events !== undefined) {
+      const events = webhooks.parseEvents(b.events);
+      if (events.error) return events;
+      value.events = events.value;
+    }
+    if (b.channel !== undefined) {
+      if (b.channel === null || b.channel === '') value.channelId = null;
+      else {
+        const channel = await findChannel(b.channel);
+        if (!channel) return { error: 'channel_not_found' };
+        value.channelId = channel.id;
+      }
+    }
+    if (b.description !== undefined) value.description = String(b.description || '').trim().slice(0, 200) || null;
+    if (b.active !== undefined) value.active = b.active === true || b.active === 'true';
+    return { value };
+  }
+  // resolves to the webhook in req.params.id (channel included), or sends 404 and resolves to null
+  async function requireWebhook(req, res) {
+    const hook = /^\d+$/.test(String(req.params.id)) ? await Webhook.findByPk(req.params.id, { include: [{ model: Channel, attributes: ['id', 'slug', 'name'] }] }) : null;
+    if (!hook) sendError(res, 404, 'webhook_not_found');
+    return hook;
+  }
+
+  app.get('/api/mod/webhooks', async (req, res) => {
+    try {
+      const admin = await requireModerator(req, res, { adminOnly: true });
+      if (!admin) return;
+      const hooks = await Webhook.findAll({ include: [{ model: Channel, attributes: ['id', 'slug', 'name'] }], order: [['id', 'ASC']] });
+      const stats = await deliveryStats(hooks.map(h => h.id));
+      res.json({ webhooks: hooks.map(h => serializeWebhook(h, stats[h.id])), events: webhooks.WEBHOOK_EVENTS });
+    } catch (err) {
+      console.error('GET /api/mod/webhooks error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // register an endpoint: { url, events?: [..] | "*", channel?: id|slug, description? }
+  app.post('/api/mod/webhooks', async (req, res) => {
+    try {
+      const admin = await requireModerator(req, res, { adminOnly: true });
+      if (!admin) return;
+      const parsed = await parseWebhook(req.body);
+      if (parsed.error) return sendError(res, 400, parsed.error, parsed.params);
+      const created = await Webhook.create({ ...parsed.value, secret: webhooks.newSecret(), createdByUserId: admin.id });
+      await audit(admin, 'webhook.create', 'webhook', created.id, { url: created.url, events: created.events, channelId: created.channelId || null });
+      const hook = await Webhook.findByPk(created.id, { include: [{ model: Channel, attributes: ['id', 'slug', 'name'] }] });
+      res.status(201).json(serializeWebhook(hook, null, { secret: true }));
+    } catch (err) {
+      console.error('POST /api/mod/webhooks error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // change url, events, channel, description or active. Deliveries for a paused webhook wait in
+  // the queue and go out once it is active again.
+  app.patch('/api/mod/webhooks/:id', async (req, res) => {
+    try {
+      const admin = await requireModerator(req, res, { adminOnly: true });
+      if (!admin) return;
+      const hook = await requireWebhook(req, res);
+      if (!hook) return;
+      const parsed = await parseWebhook(req.body, { partial: true });
+      if (parsed.error) return sendError(res, 400, parsed.error, parsed.params);
+      const changed = Object.keys(parsed.value).filter(k => parsed.value[k] !== hook[k]);
+      if (changed.length) {
+        await hook.update(parsed.value);
+        await audit(admin, 'webhook.update', 'webhook', hook.id, Object.fromEntries(changed.map(k => [k, parsed.value[k]])));
+        if (changed.includes('active') && hook.active) kickWebhookQueue();
+      }
+      await hook.reload({ include: [{ model: Channel, attributes: ['id', 'slug', 'name'] }] });
+      res.json(serializeWebhook(hook, (await deliveryStats([hook.id]))[hook.id]));
+    } catch (err) {
+      console.error('PATCH /api/mod/webhooks/:id error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // removes the webhook together with its queue and delivery log
+  app.delete('/api/mod/webhooks/:id', async (req, res) => {
+    try {
+      const admin = await requireModerator(req, res, { adminOnly: true });
+      if (!admin) return;
+      const hook = await requireWebhook(req, res);
+      if (!hook) return;
+      await WebhookDelivery.destroy({ where: { webhookId: hook.id } });
+      await hook.destroy();
+      await audit(admin, 'webhook.delete', 'webhook', hook.id, { url: hook.url });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('DELETE /api/mod/webhooks/:id error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // new secret; deliveries still queued are signed with it from now on
+  app.post('/api/mod/webhooks/:id/secret', async (req, res) => {
+    try {
+      const admin = await requireModerator(req, res, { adminOnly: true });
+      if (!admin) return;
+      const hook = await requireWebhook(req, res);
+      if (!hook) return;
+      await hook.update({ secret: webhooks.newSecret() });
+      await audit(admin, 'webhook.secret', 'webhook', hook.id);
+      res.json(serializeWebhook(hook, null, { secret: true }));
+    } catch (err) {
+      console.error('POST /api/mod/webhooks/:id/secret error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // queues a "ping" event for this webhook alone, whatever its filter, to check the receiver
+  app.post('/api/mod/webhooks/:id/ping', async (req, res) => {
+    try {
+      const admin = await requireModerator(req, res, { adminOnly: true });
+      if (!admin) return;
+      const hook = await requireWebhook(req, res);
+      if (!hook) return;
+      const eventId = `evt_ping_${crypto.randomBytes(6).toString('hex')}`;
+      const payload = JSON.stringify({ id: eventId, event: 'ping', createdAt: new Date().toISOString(), data: { webhookId: hook.id } });
+      const delivery = await WebhookDelivery.create({ webhookId: hook.id, event: 'ping', eventId, payload, nextAttemptAt: new Date() });
+      kickWebhookQueue();
+      res.status(202).json(serializeDelivery(delivery));
+    } catch (err) {
+      console.error('POST /api/mod/webhooks/:id/ping error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // delivery log, newest first; ?status=pending|delivered|failed, ?before=<id> for older entries
+  app.get('/api/mod/webhooks/:id/deliveries', async (req, res) => {
+    try {
+      const admin = await requireModerator(req, res, { adminOnly: true });
+      if (!admin) return;
+      const hook = await requireWebhook(req, res);
+      if (!hook) return;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const where = { webhookId: hook.id };
+      if (req.query.status) {
+        if (!['pending', 'delivered', 'failed'].includes(String(req.query.status))) return sendError(res, 400, 'delivery_status_invalid');
+        where.status = String(req.query.status);
+      }
+      if (req.query.before) {
+        if (!/^\d+$/.test(String(req.query.before))) return sendError(res, 400, 'before_invalid');
+        where.id = { [Op.lt]: parseInt(req.query.before, 10) };
+      }
+      const rows = await WebhookDelivery.findAll({ where, order: [['id', 'DESC']], limit: limit + 1 });
+      res.json({ deliveries: rows.slice(0, limit).map(serializeDelivery), hasMore: rows.length > limit });
+    } catch (err) {
+      console.error('GET /api/mod/webhooks/:id/deliveries error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // sends a logged delivery again, as a new delivery with the same event id and body (signed
+  // afresh). Works for any status, e.g. after the receiver lost what it got.
+  app.post('/api/mod/webhooks/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+    try {
+      const admin = await requireModerator(req, res, { adminOnly: true });
+      if (!admin) return;
+      const hook = await requireWebhook(req, res);
+      if (!hook) return;
+      const original = /^\d+$/.test(String(req.params.deliveryId))
+        ? await WebhookDelivery.findOne({ where: { id: req.params.deliveryId, webhookId: hook.id } }) : null;
+      if (!original) return sendError(res, 404, 'delivery_not_found');
+      const delivery = await WebhookDelivery.create({
+        webhookId: hook.id, event: original.event, eventId: original.eventId, payload: original.payload,
+        nextAttemptAt: new Date(), redeliveryOf: original.id
+      });
+      await audit(admin, 'webhook.redeliver', 'webhook', hook.id, { deliveryId: original.id, eventId: original.eventId });
+      kickWebhookQueue();
+      res.status(202).json(serializeDelivery(delivery));
+    } catch (err) {
+      console.error('POST /api/mod/webhooks/:id/deliveries/:deliveryId/redeliver error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // delete post (its owner, or an admin of its channel)
+  app.delete('/api/posts/:id', async (req, res) => {
+    try {
+      const user = await verifyTokenFromHeader(req);
+      if (!user) return sendError(res, 401, 'unauthorized');
+
+      const post = await Post.findByPk(req.params.id);
+      if (!post) return sendError(res, 404, 'post_not_found');
+      if (post.ownerUserId !== user.id) {
+        const channel = post.channelId ? await Channel.findByPk(post.channelId) : null;
+        if (!channel || !(await channelAccess(channel, user)).admin) return sendError(res, 403, 'post_delete_forbidden');
+        await audit(user, 'post.delete', 'post', post.id, { channelId: channel.id, ownerUserId: post.ownerUserId, itemName: post.itemName });
+      }
+
+      const photos = await PostImage.findAll({ where: { postId: post.id }, raw: true });
+      if (!post.thumb) removeUploadFile(post.image);
+      await post.destroy();
+      removeStoredImages(photos);
+      await publishPostChange({ id: post.id, channelId: post.channelId }, 'deleted');
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('DELETE /api/posts/:id error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // Feature-phone gateway: USSD sessions and inbound SMS, in the callback format of the common
+  // African gateways. The phone number comes from the operator, so it is trusted like a verified
+  // login; GATEWAY_SECRET keeps anyone else from calling these routes (required in production, see
+  // the startup check).
+  function gatewayAllowed(req) {
+    if (!GATEWAY_SECRET) return NODE_ENV !== 'production';
+    const given = String(req.get('X-Gateway-Secret') || req.query.secret || '');
+    const digest = (v) => crypto.createHash('sha256').update(v).digest('hex');
+    return sameHash(digest(given), digest(GATEWAY_SECRET));
+  }
+  // finds or creates the account for a gateway phone number; { error } for banned accounts
+  async function gatewayUser(phoneNumber) {
+    const phone = normalizePhone(String(phoneNumber || ''));
+    if (!phone) return { error: 'unknown_phone' };
+    let user = await User.findOne({ where: { phone } });
+    if (!user) {
+      try {
+        user = await User.create({ phone, phoneVerifiedAt: new Date() });
+      } catch (err) {
+        if (!(err instanceof Sequelize.UniqueConstraintError)) throw err;
+        user = await User.findOne({ where: { phone } });
+      }
+    }
+    if (user.bannedAt) return { error: 'account_suspended' };
+    return { user };
+  }
+  // same listing rules, quotas, alerts and live new_post events as POST /api/posts (in DEFAULT_CHANNEL); idemKey
+  // stops a retried callback posting twice
+  async function createGatewayPost(user, draft, idemKey) {
+    let claim = null;
+    try {
+      claim = await IdempotencyKey.create({ key: idemKey, userId: user.id });
+    } catch (err) {
+      if (!(err instanceof Sequelize.UniqueConstraintError)) throw err;
+      const prior = await IdempotencyKey.findOne({ where: { key: idemKey, userId: user.id } });
+      const existing = prior && prior.postId ? await Post.findByPk(prior.postId) : null;
+      return existing ? { post: existing } : { error: 'listing_in_progress' };
+    }
+    try {
+      const commodity = draft.commodity && commodityBySlug.get(draft.commodity.slug);
+      const fields = parseListingFields({
+        commodity: commodity ? commodity.slug : '',
+        quantity: draft.quantity === null ? '' : draft.quantity,
+        unit: draft.unit || '',
+        price: draft.price === null ? '' : draft.price
+      });
+      if (fields.error) {
+        await claim.destroy();
+        return fields;
+      }
+      const quota = await consumePostQuota(user, 1, 0);
+      if (quota.error) {
+        await claim.destroy();
+        return quota;
+      }
+      const post = await Post.create({
+        itemName: commodity ? commodity.name : draft.itemName,
+        location: draft.location || '',
+        phone: user.phone,
+        ...fields.values,
+        ...locateListing(draft.location || '', fields.values),
+        description: '',
+        status: 'active',
+        expiresAt: new Date(Date.now() + POST_TTL_DAYS * 86400000),
+        channelId: defaultChannel.id,
+        ownerUserId: user.id
+      });
+      await claim.update({ postId: post.id });
+      const out = await postWithImages(post);
+      publishPostChange(out, 'created').catch(err => console.error('Post change error:', err && err.stack || err));
+      notifyAlertSubscribers(post, out).catch(err => console.error('Alert matching error:', err && err.stack || err));
+      matchNewPost(post, out).catch(err => console.error('Request matching error:', err && err.stack || err));
+      recordPriceObservation(post, 'listed').catch(err => console.error('Price index error:', err && err.stack || err));
+      return { post };
+    } catch (err) {
+      if (!claim.postId) await claim.destroy().catch(() => {});
+      throw err;
+    }
+  }
+  // a helper's { error, params } as reply text, in the account's language
+  function gatewayError(out, user = null) {
+    return i18n.t(user && user.language, `errors.${out.error}`, out.params);
+  }
+  // newest visible listings in public channels for a commodity/keyword and place (either may be empty)
+  async function gatewayListings(query, location, offset, limit) {
+    const where = [
+      { channelId: await readableChannelIds(null) },
+      { status: ['active', 'reserved'] },
+      { hiddenAt: null },
+      { ownerUserId: { [Op.notIn]: bannedOwnerIds() } }
+    ];
+    if (query) {
+      const match = catalog.matchCommodity(query);
+      const commodity = match && commodityBySlug.get(match.slug);
+      where.push(commodity ? { commodityId: commodity.id } : { itemName: { [Op.like]: likeTerm(query) } });
+    }
+    if (location) where.push({ location: { [Op.like]: likeTerm(location) } });
+    return Post.findAll({ where: { [Op.and]: where }, order: [['createdAt', 'DESC'], ['id', 'DESC']], offset, limit, raw: true });
+  }
+
+  // USSD: form fields sessionId, serviceCode, phoneNumber, text; replies "CON ..." or "END ..." as text/plain
+  app.post('/api/gateway/ussd', async (req, res) => {
+    const reply = (kind, lines, keepLast = 0) => res.type('text/plain').send(`${kind} ${gateway.fitText(lines, gateway.USSD_MAX_CHARS - 4, keepLast)}`);
+    let locale = i18n.DEFAULT_LOCALE; // the account's language once it is known
+    const say = (key, params) => i18n.t(locale, `ussd.${key}`, params);
+    try {
+      if (!gatewayAllowed(req)) return res.status(403).type('text/plain').send(`END ${say('not_allowed')}`);
+      const { sessionId, phoneNumber } = req.body;
+      const inputs = gateway.ussdInputs(req.body.text);
+      const found = await gatewayUser(phoneNumber);
+      if (found.error) return reply('END', [gatewayError(found)]);
+      if (i18n.isLocale(found.user.language)) locale = found.user.language;
+
+      const [choice, ...rest] = inputs;
+      if (choice === undefined) return reply('CON', [say('main_title'), say('browse'), say('sell')]);
+
+      if (choice === '1') {
+        const b = gateway.readBrowseSteps(rest);
+        if (b.step === 'query') return reply('CON', [say('which_produce'), say('all_produce')]);
+        if (b.step === 'location') return reply('CON', [say('where'), say('anywhere')]);
+        if (b.step === 'invalid') return reply('END', [say('invalid')]);
+        const rows = await gatewayListings(b.query, b.location, b.page * gateway.PAGE_SIZE, gateway.PAGE_SIZE + 1);
+        if (!rows.length) return reply('END', [say(b.page ? 'no_more' : 'none')]);
+        const lines = rows.slice(0, gateway.PAGE_SIZE).map((p, i) => `${b.page * gateway.PAGE_SIZE + i + 1}. ${gateway.formatListing(p, locale)}`);
+        if (rows.length > gateway.PAGE_SIZE) return reply('CON', [...lines, say('more'), say('main_menu')], 2);
+        return reply('END', lines);
+      }
+
+      if (choice === '2') {
+        const sell = gateway.readSellSteps(rest);
+        const hint = sell.error ? [say(`hint.${sell.error}`)] : [];
+        if (sell.step === 'item') return reply('CON', [...hint, say('what_selling')]);
+        if (sell.step === 'quantity') return reply('CON', [...hint, say('how_much'), say('skip')]);
+        if (sell.step === 'price') return reply('CON', [...hint, say('price'), say('skip')]);
+        if (sell.step === 'location') return reply('CON', [...hint, say('where_item')]);
+        if (sell.step === 'confirm') {
+          const preview = gateway.formatListing({ ...sell.draft, itemName: sell.draft.commodity ? sell.draft.commodity.name : sell.draft.itemName }, locale);
+          return reply('CON', [...hint, say('preview', { listing: preview }), say('confirm'), say('cancel')], 2);
+        }
+        if (sell.step === 'cancel') return reply('END', [say('cancelled')]);
+        // without a sessionId there is nothing to dedupe on, so the listing gets a key of its own
+        const key = sessionId ? `ussd:${String(sessionId).slice(0, 90)}` : `ussd:${crypto.randomUUID()}`;
+        const out = await createGatewayPost(found.user, sell.draft, key);
+        if (out.error) return reply('END', [gatewayError(out, found.user)]);
+        return reply('END', [say('posted', { listing: gateway.formatListing(out.post, locale) })]);
+      }
+
+      reply('END', [say('invalid')]);
+    } catch (err) {
+      console.error('POST /api/gateway/ussd error:', err && err.stack || err);
+      res.status(500).type('text/plain').send(`END ${say('failed')}`);
+    }
+  });
+
+  // inbound SMS: form fields from, text (and the gateway's message id); the reply goes back by SMS
+  app.post('/api/gateway/sms', async (req, res) => {
+    try {
+      if (!gatewayAllowed(req)) return sendError(res, 403, 'not_allowed');
+      const phone = normalizePhone(String(req.body.from || ''));
+      if (!phone) return sendError(res, 400, 'unknown_phone');
+      const found = await gatewayUser(phone);
+
+      const cmd = gateway.parseSmsCommand(req.body.text);
+      const locale = found.user && i18n.isLocale(found.user.language) ? found.user.language : i18n.DEFAULT_LOCALE;
+      const say = (key, params) => i18n.t(locale, `sms.${key}`, params);
+      let lines;
+      if (found.error) lines = [gatewayError(found)];
+      else if (cmd.error) lines = [say(cmd.error)];
+      else if (cmd.command === 'sell') {
+        const key = req.body.id ? `sms:${String(req.body.id).slice(0, 90)}` : `sms:${crypto.randomUUID()}`;
+        const out = await createGatewayPost(found.user, cmd.draft, key);
+        lines = out.error ? [gatewayError(out, found.user)]
+          : [say('posted', { listing: gateway.formatListing(out.post, locale) }), say('find_hint', { item: cmd.draft.itemName.split(' ')[0] })];
+      } else if (cmd.command === 'find') {
+        const rows = await gatewayListings(cmd.query, cmd.location, 0, gateway.PAGE_SIZE);
+        lines = rows.length
+          ? rows.map((p, i) => `${i + 1}. ${gateway.formatListing(p, locale)}`)
+          : [cmd.location ? say('none_in', { query: cmd.query, location: cmd.location }) : say('none', { query: cmd.query })];
+      } else {
+        lines = [say('help')];
+      }
+      const reply = gateway.fitText(lines, gateway.SMS_MAX_CHARS);
+      await smsSender.send(phone, reply);
+      res.json({ ok: true, reply });
+    } catch (err) {
+      console.error('POST /api/gateway/sms error:', err && err.stack || err);
+      serverError(res, err);
+    }
+  });
+
+  // upload errors (size/count limits, file filter) as JSON instead of Express's HTML page
+  app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') return sendError(res, 400, 'photo_too_large', { max: MAX_UPLOAD_MB });
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') return sendError(res, 400, 'too_many_photos', { max: MAX_POST_IMAGES });
+      return sendError(res, 400, 'upload_failed', { reason: err.message });
+    }
+    if (err && err.message === 'Invalid file type') return sendError(res, 400, 'photo_type');
+    next(err);
+  });
+
+  // Sockets: optional auth (handshake auth.token); signed-in sockets join user:<id> for
+  // inbox updates and alerts, and conv:<id> rooms on request for live messages and read receipts.
+  // Every socket watches one channel:<id> room (DEFAULT_CHANNEL until join_channel) for feed
+  // events and its online count. Moderators also join "moderators" for new reports.
+  io.use(async (socket, next) => {
+    try {
+      const auth = await authFromToken(socket.handshake.auth && socket.handshake.auth.token);
+      const user = auth ? auth.user : null;
+      socket.data.userId = user ? user.id : null;
+      socket.data.sessionId = auth ? auth.session.id : null;
+      socket.data.role = user ? user.role : null;
+      socket.data.moderator = isModerator(user);
+      socket.data.locale = i18n.pickLocale((socket.handshake.auth && socket.handshake.auth.lang) || socket.handshake.headers['accept-language']);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ack payload for a failed socket event, shaped like the REST errors
+  function socketError(socket, code, params = {}) {
+    return { error: i18n.t(socket.data.locale, `errors.${code}`, params), code };
+  }
+  // looks up a conversation for a socket event; acks with an error when the socket may not use it
+  async function socketConversation(socket, conversationId, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!socket.data.userId) { reply(socketError(socket, 'unauthorized')); return null; }
+    const conv = await Conversation.findByPk(conversationId);
+    if (!conv || !isParticipant(conv, socket.data.userId)) { reply(socketError(socket, 'conversation_not_found')); return null; }
+    return conv;
+  }
+
+  // online count of a channel: the sockets watching it
+  function channelOnline(channelId) {
+    const room = io.sockets.adapter.rooms.get(channelRoom(channelId));
+    return room ? room.size : 0;
+  }
+  function emitOnlineCount(channelId) {
+    io.to(channelRoom(channelId)).emit('online_count', channelOnline(channelId));
+  }
+  function watchChannel(socket, channelId) {
+    const previous = socket.data.channelId;
+    if (previous === channelId) return;
+    if (previous) socket.leave(channelRoom(previous));
+    socket.data.channelId = channelId;
+    socket.join(channelRoom(channelId));
+    if (previous) emitOnlineCount(previous);
+    emitOnlineCount(channelId);
+  }
+
+  io.on('connection', (socket) => {
+    watchChannel(socket, defaultChannel.id);
+    if (socket.data.moderator) socket.join('moderators');
+    if (socket.data.userId) {
+      socket.join(`user:${socket.data.userId}`);
+      // alerts that matched while the user was away
+      deliverHeldAlerts(socket.data.userId).catch(err => console.error('Alert delivery error:', err && err.stack || err));
+    }
+
+    // switch the watched channel; acks { ok, channelId, online } or { error }
+    socket.on('join_channel', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const { channel: key } = payload || {};
+        const channel = await findChannel(key);
+        const user = socket.data.userId ? { id: socket.data.userId, role: socket.data.role } : null;
+        if (!channel || !(await channelAccess(channel, user)).read) return reply(socketError(socket, 'channel_not_found'));
+        watchChannel(socket, channel.id);
+        reply({ ok: true, channelId: channel.id, online: channelOnline(channel.id) });
+      } catch (err) {
+        console.error('join_channel error:', err && err.stack || err);
+        reply(socketError(socket, 'server_error'));
+      }
+    });
+    socket.on('join_conversation', async (payload, ack) => {
+      try {
+        const { conversationId } = payload || {};
+        const conv = await socketConversation(socket, conversationId, ack);
+        if (!conv) return;
+        socket.join(`conv:${conv.id}`);
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (err) {
+        console.error('join_conversation error:', err && err.stack || err);
+        if (typeof ack === 'function') ack(socketError(socket, 'server_error'));
+      }
+    });
+    socket.on('leave_conversation', (payload) => {
+      try {
+        const { conversationId } = payload || {};
+        socket.leave(`conv:${conversationId}`);
+      } catch (err) {
+        console.error('leave_conversation error:', err && err.stack || err);
+      }
+    });
+    socket.on('send_message', async (payload, ack) => {
+      try {
+        const { conversationId, body } = payload || {};
+        const conv = await socketConversation(socket, conversationId, ack);
+        if (!conv) return;
+        const out = await deliverMessage(conv, { id: socket.data.userId }, body);
+        if (typeof ack === 'function') ack(out.error ? socketError(socket, out.error, out.params) : out);
+      } catch (err) {
+        console.error('send_message error:', err && err.stack || err);
+        if (typeof ack === 'function') ack(socketError(socket, 'server_error'));
+      }
+    });
+    socket.on('mark_read', async (payload, ack) => {
+      try {
+        const { conversationId } = payload || {};
+        const conv = await socketConversation(socket, conversationId, ack);
+        if (!conv) return;
+        const receipt = await markConversationRead(conv, { id: socket.data.userId });
+        if (typeof ack === 'function') ack(receipt);
+      } catch (err) {
+        console.error('mark_read error:', err && err.stack || err);
+        if (typeof ack === 'function') ack(socketError(socket, 'server_error'));
+      }
+    });
+
+    socket.on('disconnect', () => {
+      if (socket.data.channelId) emitOnlineCount(socket.data.channelId);
+    });
+  });
+  setInterval(() => {
+    for (const [room, sockets] of io.sockets.adapter.rooms) {
+      if (room.startsWith('channel:')) io.to(room).emit('online_count', sockets.size);
+    }
+  }, 1000);
+
+  // the start of a response body, for the delivery log; the rest is never downloaded
+  async function readBodyStart(res, maxBytes) {
+    if (!res.body) return '';
+    const reader = res.body.getReader();
+    let buf = Buffer.alloc(0);
+    try {
+      while (buf.length < maxBytes) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buf = Buffer.concat([buf, value]);
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+    return buf.subarray(0, maxBytes).toString('utf8');
+  }
+  // Webhook queue: due deliveries (pending, nextAttemptAt passed, webhook active) are POSTed one at a
+  // time per webhook, the webhooks side by side, signed with the webhook's secret as it is now. A 2xx
+  // marks them delivered; anything else (other status, timeout, refused connection) schedules a retry
+  // with backoff until WEBHOOK_MAX_ATTEMPTS. The queue lives in SQLite, so retries carry on after a restart.
+  // Resolves to whether this attempt was delivered.
+  async function attemptDelivery(delivery, hook) {
+    const now = new Date();
+    let responseStatus = null, error = null;
+    try {
+      const r = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AgriChannel-Webhooks/1',
+          'X-AgriChannel-Event': delivery.event,
+          'X-AgriChannel-Event-Id': delivery.eventId,
+          'X-AgriChannel-Delivery': String(delivery.id),
+          [webhooks.SIGNATURE_HEADER]: webhooks.sign(hook.secret, delivery.payload)
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_SECONDS * 1000)
+      });
+      responseStatus = r.status;
+      if (r.ok) {
+        if (r.body) r.body.cancel().catch(() => {});
+      } else {
+        const text = await readBodyStart(r, 200);
+        error = `HTTP ${r.status}${text ? `: ${text}` : ''}`;
+      }
+    } catch (err) {
+      if (err && err.name === 'TimeoutError') error = `No response within ${WEBHOOK_TIMEOUT_SECONDS}s`;
+      else error = String((err && err.cause && (err.cause.code || err.cause.message)) || (err && err.message) || err).slice(0, 250);
+    }
+    const attempts = delivery.attempts + 1;
+    if (!error) {
+      await delivery.update({ status: 'delivered', attempts, lastAttemptAt: now, deliveredAt: new Date(), responseStatus, lastError: null, nextAttemptAt: null });
+      return true;
+    }
+    const giveUp = attempts >= WEBHOOK_MAX_ATTEMPTS;
+    const retryAt = new Date(Date.now() + webhooks.retryDelaySeconds(attempts, WEBHOOK_RETRY_SECONDS) * 1000);
+    await delivery.update({ status: giveUp ? 'failed' : 'pending', attempts, lastAttemptAt: now, responseStatus, lastError: error, nextAttemptAt: giveUp ? null : retryAt });
+    return false;
+  }
+  // single-flight: a kick while a run is busy makes it look again once it's done. A webhook that fails
+  // is left alone for the rest of the run, so a dead endpoint costs one timeout per sweep and holds
+  // up only its own deliveries.
+  let webhookQueueRunning = false, webhookQueueAgain = false;
+  async function runWebhookQueue() {
+    if (webhookQueueRunning) { webhookQueueAgain = true; return; }
+    webhookQueueRunning = true;
+    const failing = new Set();
+    try {
+      do {
+        webhookQueueAgain = false;
+        const due = await WebhookDelivery.findAll({
+          where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() }, ...(failing.size ? { webhookId: { [Op.notIn]: [...failing] } } : {}) },
+          include: [{ model: Webhook, where: { active: true } }],
+          order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+          limit: 20
+        });
+        const byHook = new Map();
+        for (const delivery of due) {
+          if (!byHook.has(delivery.webhookId)) byHook.set(delivery.webhookId, []);
+          byHook.get(delivery.webhookId).push(delivery);
+        }
+        await Promise.all([...byHook.values()].map(async (queue) => {
+          for (const delivery of queue) {
+            if (await attemptDelivery(delivery, delivery.Webhook)) continue;
+            failing.add(delivery.webhookId);
+            break;
+          }
+        }));
+        if (due.length === 20) webhookQueueAgain = true;
+      } while (webhookQueueAgain);
+    } finally {
+      webhookQueueRunning = false;
+    }
+  }
+  function kickWebhookQueue() {
+    setImmediate(() => runWebhookQueue().catch(err => console.error('Webhook queue error:', err && err.stack || err)));
+  }
+  kickWebhookQueue();
+  setInterval(kickWebhookQueue, WEBHOOK_SWEEP_SECONDS * 1000);
+
+  // expire stale listings (active/reserved past expiresAt) and tell connected clients
+  async function expireStalePosts() {
+    const stale = await Post.findAll({ where: { status: ['active', 'reserved'], expiresAt: { [Op.lt]: new Date() } } });
+    for (const post of stale) {
+      await post.update({ status: 'expired' });
+      await publishPostChange(await postWithImages(post));
+    }
+    if (stale.length) console.log(`Expired ${stale.length} stale post(s)`);
+  }
+  function runExpirySweep() {
+    expireStalePosts().catch(err => console.error('Expiry sweep error:', err && err.stack || err));
+    IdempotencyKey.destroy({ where: { createdAt: { [Op.lt]: new Date(Date.now() - IDEMPOTENCY_TTL_HOURS * 3600000) } } })
+      .catch(err => console.error('Idempotency key cleanup error:', err && err.stack || err));
+    // the newest change is always kept so the version never goes backwards
+    feedVersion()
+      .then(latest => PostChange.destroy({ where: { id: { [Op.lt]: latest }, createdAt: { [Op.lt]: new Date(Date.now() - CHANGE_RETENTION_DAYS * 86400000) } } }))
+      .catch(err => console.error('Post change cleanup error:', err && err.stack || err));
+    RateLimit.destroy({ where: { resetAt: { [Op.lt]: new Date() } } })
+      .then(() => AuthFailure.destroy({ where: { lastFailureAt: { [Op.lt]: new Date(Date.now() - LOCKOUT_RESET_HOURS * 3600000) } } }))
+      .catch(err => console.error('Rate limit cleanup error:', err && err.stack || err));
+    // revoked sessions linger a day so a replayed refresh token still gets a clear answer
+    Session.destroy({ where: { [Op.or]: [
+      { lastUsedAt: { [Op.lt]: new Date(Date.now() - SESSION_IDLE_DAYS * 86400000) } },
+      { revokedAt: { [Op.lt]: new Date(Date.now() - 86400000) } }
+    ] } }).catch(err => console.error('Session cleanup error:', err && err.stack || err));
+    WebhookDelivery.destroy({ where: { status: ['delivered', 'failed'], updatedAt: { [Op.lt]: new Date(Date.now() - WEBHOOK_LOG_DAYS * 86400000) } } })
+      .catch(err => console.error('Webhook log cleanup error:', err && err.stack || err));
+  }
+  runExpirySweep();
+  setInterval(runExpirySweep, EXPIRE_SWEEP_MINUTES * 60 * 1000);
+
+  // held alerts for connected users whose digest is due; old matches are dropped
+  async function runAlertSweep() {
+    const pending = await AlertMatch.findAll({ where: { deliveredAt: null }, attributes: ['userId'], group: ['userId'], raw: true });
+    for (const { userId } of pending) await deliverHeldAlerts(userId);
+    await AlertMatch.destroy({ where: { createdAt: { [Op.lt]: new Date(Date.now() - ALERT_RETENTION_DAYS * 86400000) } } });
+  }
+  setInterval(() => runAlertSweep().catch(err => console.error('Alert sweep error:', err && err.stack || err)), ALERT_SWEEP_MINUTES * 60 * 1000);
+
+  // re-encode photos uploaded before the image pipeline existed (original file -> thumb + medium,
+  // metadata stripped). Runs in the background; the original keeps serving until it's replaced.
+  async function migrateLegacyImages() {
+    const legacy = await Post.findAll({ where: { image: { [Op.ne]: null }, thumb: null } });
+    let done = 0;
+    for (const post of legacy) {
+      const original = post.image;
+      const filepath = path.join(UPLOADS_DIR, original);
+      let buf = null;
+      try { buf = await fs.promises.readFile(filepath); } catch (e) {}
+      if (!buf || !images.sniffImageType(buf)) {
+        console.warn(`Legacy image for post ${post.id} missing or unreadable; leaving as is`);
+        continue;
+      }
+      const photos = await storeImages([{ buffer: buf }]);
+      if (photos.error) continue;
+      await PostImage.create({ ...photos.stored[0], position: 0, postId: post.id });
+      await setCover(post);
+      removeUploadFile(original);
+      await publishPostChange(await postWithImages(post));
+      done++;
+    }
+    if (legacy.length) console.log(`Legacy images: re-encoded ${done} of ${legacy.length}`);
+  }
+  migrateLegacyImages().catch(err => console.error('Legacy image migration error:', err && err.stack || err));
+
+  // coordinates for listings from before geolocation, from their typed location. Places the
+  // gazetteer doesn't know stay null (and are looked at again next start; lookups are in memory).
+  async function geocodeOldPosts() {
+    const rows = await Post.findAll({ where: { latitude: null, location: { [Op.ne]: '' } }, attributes: ['id', 'location'], raw: true });
+    let done = 0;
+    for (const row of rows) {
+      const place = gazetteer.lookupPlace(row.location);
+      if (!place) continue;
+      await Post.update({ latitude: place.lat, longitude: place.lng }, { where: { id: row.id }, silent: true });
+      done++;
+    }
+    if (done) console.log(`Geocoded ${done} older listings from their location`);
+  }
+  // seeds the price index from listings posted before it existed (once, while it is empty)
+  async function backfillPriceObservations() {
+    if (await PriceObservation.count()) return;
+    const posts = await Post.findAll({
+      where: { type: 'offer', commodityId: { [Op.ne]: null }, unit: { [Op.ne]: null }, price: { [Op.ne]: null } },
+      order: [['id', 'ASC']]
+    });
+    for (const post of posts) {
+      await recordPriceObservation(post, 'listed', post.createdAt);
+      if (post.status === 'sold') await recordPriceObservation(post, 'sold', post.updatedAt);
+    }
+    if (posts.length) console.log(`Price index: recorded ${posts.length} older listings`);
+  }
+  geocodeOldPosts()
+    .catch(err => console.error('Listing geocoding error:', err && err.stack || err))
+    .then(backfillPriceObservations)
+    .catch(err => console.error('Price index backfill error:', err && err.stack || err));
 
   // server self-ping (keepalive for some hosts)
   setInterval(() => {